@@ -2,8 +2,31 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { securityMiddleware } from './utils/security.js';
-import { redisClient } from './utils/redis.js';
+import { securityMiddleware, requireAdmin } from './utils/security.js';
+import { getPriceHistory, getPriceSourceHealth, getCachedPrices, HISTORY_INTERVALS, PRICE_CURRENCIES } from './src/services/priceService.js';
+import { getArticle, getLatestArticles, listArticles, decodeCursor, isPublicArticle, ARTICLE_STATUSES } from './src/services/articleStore.js';
+import { searchArticles } from './src/services/searchService.js';
+import { editArticle, removeArticle, regenerateArticle, getAuditTrail } from './src/services/moderationService.js';
+import { listFailures, getFailure, FAILURE_STATUSES } from './src/services/deadLetterService.js';
+import { retryFailedMessage } from './src/services/telegramService.js';
+import { addStreamClient } from './src/services/streamService.js';
+import {
+  listSubscribers, createSubscriber, updateSubscriber, deleteSubscriber, redactSubscriber, listDeliveries,
+  WEBHOOK_EVENTS, DELIVERY_STATUSES
+} from './src/services/webhookDeliveryService.js';
+import { getWebhookEvents, replayWebhookEvents } from './src/services/webhookService.js';
+import { renderFeed, feedValidators, FEED_FORMATS, FEED_ITEM_LIMIT } from './src/services/feedService.js';
+import {
+  listAlertRules, getAlertRule, createAlertRule, updateAlertRule, deleteAlertRule, getAlertHistory,
+  parseAlertWindow, ALERT_TYPES, ALERT_DIRECTIONS
+} from './src/services/alertService.js';
+import { TRACKED_SYMBOLS } from './utils/symbols.js';
+import { getAiUsageReport, getAiBudgetStatus, listAiAttempts } from './utils/aiUsage.js';
+import { EDITORIAL_FORMATS, DEFAULT_FORMAT } from './utils/editorialProfiles.js';
+import { ARTICLE_LANGUAGES, PRIMARY_LANGUAGE, languageName, articleLanguage } from './utils/language.js';
+import { describeQuality } from './utils/qualityGate.js';
+import { getSkipReport, getFilterRules, FILTER_RULES } from './src/services/filterService.js';
+import { getSentimentSummary, getSentimentOverview, parseSentimentWindow, SENTIMENT_INTERVALS } from './src/services/sentimentService.js';
 
 // --- Path Configuration ---
 // Setup __filename and __dirname for ES modules.
@@ -29,6 +52,93 @@ app.use(express.static(publicDir));
 // The level (1) indicates trusting the first hop. Configurable via PROXY_TRUST_LEVEL.
 app.set('trust proxy', parseInt(process.env.PROXY_TRUST_LEVEL) || 1);
 
+// --- Helpers ---
+
+/**
+ * Parses a time query parameter given either as a millisecond epoch or an ISO date string.
+ * @param {string|undefined} value - The raw query parameter.
+ * @returns {number|undefined|null} The epoch in ms, undefined if absent, or null if invalid.
+ */
+const parseTimeParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Normalizes a Telegram channel identifier for comparison ('@Some_Channel' -> 'some_channel').
+ * @param {string} channel - The channel username or ID.
+ * @returns {string} The normalized identifier.
+ */
+const normalizeChannel = (channel) => String(channel).trim().replace(/^@/, '').toLowerCase();
+
+/**
+ * Builds the archive filter for public articles, optionally restricted to a symbol and/or channel.
+ * @param {string|undefined} symbol - A tracked symbol (upper case), or undefined.
+ * @param {string|null} channel - A normalized channel, or null.
+ * @returns {function(object): boolean} The filter predicate.
+ */
+const publicArticleFilter = (symbol, channel) => (a) => isPublicArticle(a) &&
+  (!symbol || a.symbols?.some(s => s.symbol === symbol)) &&
+  (!channel || (a.channel && normalizeChannel(a.channel) === channel));
+
+/**
+ * Validates the 'format' query parameter of the article endpoints.
+ * @param {string|undefined} value - The raw query parameter.
+ * @returns {string|null} The format ('article' when absent), or null if unknown.
+ */
+const parseFormatParam = (value) => {
+  if (value === undefined || value === '') return DEFAULT_FORMAT;
+  return EDITORIAL_FORMATS.includes(value) ? value : null;
+};
+
+/**
+ * Serves an article in an editorial format: the rendering's headline and content replace the
+ * article's own 'headline' and 'article' fields, and 'format' names the rendering served.
+ * @param {object} article - A stored article.
+ * @param {string} format - The requested format.
+ * @param {boolean} [fallback=false] - Serve the full article ('format': 'article') when the rendering doesn't exist.
+ * @returns {object|null} The article as served, or null if the rendering doesn't exist and there is no fallback.
+ */
+const renderArticleFormat = (article, format, fallback = false) => {
+  if (format === DEFAULT_FORMAT) return article;
+  const rendering = article.renderings?.[format];
+  if (!rendering) return fallback ? { ...article, format: DEFAULT_FORMAT } : null;
+  return { ...article, headline: rendering.headline, article: rendering.content, format };
+};
+
+/**
+ * Picks the language to serve articles in: the 'lang' query parameter, else the best match of the
+ * Accept-Language header among ARTICLE_LANGUAGES, else the primary language.
+ * @param {object} req - The Express request.
+ * @returns {{language: string, explicit: boolean}|null} The language and whether 'lang' requested it, or null if 'lang' is unknown.
+ */
+const negotiateLanguage = (req) => {
+  const { lang } = req.query;
+  if (lang !== undefined && lang !== '') {
+    const language = String(lang).toLowerCase();
+    return ARTICLE_LANGUAGES.includes(language) ? { language, explicit: true } : null;
+  }
+  return { language: req.acceptsLanguages(...ARTICLE_LANGUAGES) || PRIMARY_LANGUAGE, explicit: false };
+};
+
+/**
+ * Serves an article in a language: the translation's headline and content replace the article's own,
+ * and 'language' names the language served. Renderings of other formats are only written in the
+ * article's own language.
+ * @param {object} article - An article, as returned by renderArticleFormat.
+ * @param {string} language - The requested language.
+ * @param {boolean} [fallback=false] - Serve the article's own language when the translation doesn't exist.
+ * @returns {object|null} The article as served, or null if the translation doesn't exist and there is no fallback.
+ */
+const renderArticleLanguage = (article, language, fallback = false) => {
+  const ownLanguage = articleLanguage(article);
+  const translation = (article.format || DEFAULT_FORMAT) === DEFAULT_FORMAT ? article.translations?.[language] : null;
+  if (language !== ownLanguage && !translation) return fallback ? { ...article, language: ownLanguage } : null;
+  if (!translation) return { ...article, language: ownLanguage };
+  return { ...article, headline: translation.headline, article: translation.content, language };
+};
+
 // --- Routes ---
 
 /**
@@ -55,57 +165,471 @@ app.get('/', (req, res) => {
  * GET /api/cached-prices
  * Retrieves the latest cached cryptocurrency prices from Redis.
  * It fetches prices for symbols defined in the CRYPTO_SYMBOLS env var.
- * Returns a JSON object mapping symbols to prices (or null if unavailable).
+ * Optional query parameter 'currency' selects the quote currency (one of PRICE_CURRENCIES, default usd).
+ * Returns a JSON object mapping symbols to { price, change24h, volume24h, marketCap } (or null if unavailable).
  */
 app.get('/api/cached-prices', async (req, res) => {
+  const currency = String(req.query.currency || 'usd').toLowerCase();
+  if (!PRICE_CURRENCIES.includes(currency)) {
+    return res.status(400).json({ error: `Unsupported currency. Use one of: ${PRICE_CURRENCIES.join(', ')}` });
+  }
+
   try {
-    // Parse symbols from environment, taking only the symbol part (e.g., BTC from BTC:bitcoin).
-    const symbols = process.env.CRYPTO_SYMBOLS?.split(',').map(p => p.split(':')[0].trim()).filter(Boolean) || [];
-    if (symbols.length === 0) {
+    if (TRACKED_SYMBOLS.length === 0) {
       console.warn("API: No CRYPTO_SYMBOLS defined for /api/cached-prices");
       return res.json({}); // Return empty if no symbols.
     }
+    res.json(await getCachedPrices(currency));
+  } catch (error) {
+    console.error('API Error fetching cached prices:', error);
+    res.status(500).json({ error: 'Failed to fetch cached prices' });
+  }
+});
+
+/**
+ * GET /api/currencies
+ * Lists the quote currencies prices are served in (PRICE_CURRENCIES), USD first.
+ */
+app.get('/api/currencies', (req, res) => {
+  res.json({ success: true, data: { default: 'usd', currencies: PRICE_CURRENCIES } });
+});
+
+/**
+ * GET /api/prices/:symbol/history
+ * Retrieves the stored price history for a tracked symbol from the priceHistory:<SYMBOL> sorted set.
+ * Query parameters:
+ *   - from / to: Range bounds (ms epoch or ISO date).
+ *   - limit: Max number of points/buckets returned (most recent kept).
+ *   - interval: Optional downsampling bucket (1m, 5m, 15m, 1h, 4h, 1d) returning OHLC values.
+ * Returns a JSON object with success status and the history data, or an error.
+ */
+app.get('/api/prices/:symbol/history', async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!TRACKED_SYMBOLS.includes(symbol)) {
+    return res.status(404).json({ success: false, error: `Symbol ${symbol} is not tracked` });
+  }
 
-    // Get latest prices from Redis.
-    const pricesJson = await redisClient.get('latestPrices');
-    const prices = pricesJson ? JSON.parse(pricesJson) : [];
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ success: false, error: 'Invalid from/to format - must be a ms timestamp or ISO date' });
+  }
+  if (from !== undefined && to !== undefined && from > to) {
+    return res.status(400).json({ success: false, error: "'from' must not be after 'to'" });
+  }
 
-    // Create a Map for efficient price lookup.
-    const priceMap = new Map(prices.map(p => [p.symbol, p.price]));
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+  if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({ success: false, error: 'Invalid limit - must be a positive number' });
+  }
 
-    // Build the response object with prices for requested symbols.
-    const priceData = symbols.reduce((acc, symbol) => {
-      acc[symbol] = priceMap.get(symbol) || null;
-      return acc;
-    }, {});
+  const interval = req.query.interval;
+  if (interval !== undefined && !Object.hasOwn(HISTORY_INTERVALS, interval)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid interval - must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`
+    });
+  }
 
-    res.json(priceData);
+  try {
+    const history = await getPriceHistory(symbol, { from, to, limit, interval });
+    res.json({ success: true, data: history });
   } catch (error) {
-    console.error('API Error fetching cached prices:', error);
-    res.status(500).json({ error: 'Failed to fetch cached prices' });
+    console.error(`API Error fetching price history for ${symbol}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to fetch price history' });
+  }
+});
+
+/**
+ * Validates the body of an alert rule create/update request.
+ * @param {object} body - The request body.
+ * @param {string} type - The rule type (from the body on create, from the stored rule on update).
+ * @param {boolean} partial - True for updates (all fields optional; the symbol and type cannot change).
+ * @returns {{error?: string, value?: object}} The validated fields, or an error message.
+ */
+const parseAlertFields = (body, type, partial) => {
+  const { symbol, direction, price, changePct, window, name, cooldownSeconds, hysteresisPct, active } = body || {};
+  const value = {};
+  const isPositiveNumber = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+
+  if (!ALERT_TYPES.includes(type)) return { error: `'type' must be one of: ${ALERT_TYPES.join(', ')}` };
+  if (partial && (symbol !== undefined || body?.type !== undefined)) {
+    return { error: "'symbol' and 'type' cannot be changed; create a new rule instead" };
+  }
+  if (!partial) {
+    const normalized = typeof symbol === 'string' ? symbol.toUpperCase() : null;
+    if (!TRACKED_SYMBOLS.includes(normalized)) return { error: `'symbol' must be one of: ${TRACKED_SYMBOLS.join(', ')}` };
+    value.symbol = normalized;
+    value.type = type;
+  }
+
+  const directions = ALERT_DIRECTIONS[type];
+  if (direction !== undefined || (!partial && type === 'threshold')) {
+    if (!directions.includes(direction)) return { error: `'direction' must be one of: ${directions.join(', ')}` };
+    value.direction = direction;
+  } else if (!partial) {
+    value.direction = 'any';
+  }
+
+  if (type === 'threshold') {
+    if (changePct !== undefined || window !== undefined) return { error: "'changePct' and 'window' only apply to percent_move rules" };
+    if (price !== undefined || !partial) {
+      if (!isPositiveNumber(price)) return { error: "'price' must be a positive number" };
+      value.price = price;
+    }
+  } else {
+    if (price !== undefined) return { error: "'price' only applies to threshold rules" };
+    if (changePct !== undefined || !partial) {
+      if (!isPositiveNumber(changePct)) return { error: "'changePct' must be a positive number (e.g., 5 for 5%)" };
+      value.changePct = changePct;
+    }
+    if (window !== undefined || !partial) {
+      if (!parseAlertWindow(window)) return { error: "'window' must be a duration such as '15m', '1h' or '2d' (at most 7 days)" };
+      value.window = window;
+    }
+  }
+
+  if (name !== undefined) {
+    if (name !== null && (typeof name !== 'string' || name.length > 100)) return { error: "'name' must be a string of at most 100 characters" };
+    value.name = name;
+  }
+  if (cooldownSeconds !== undefined) {
+    if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0) return { error: "'cooldownSeconds' must be a non-negative integer" };
+    value.cooldownSeconds = cooldownSeconds;
+  }
+  if (hysteresisPct !== undefined) {
+    if (typeof hysteresisPct !== 'number' || !Number.isFinite(hysteresisPct) || hysteresisPct < 0) {
+      return { error: "'hysteresisPct' must be a non-negative number" };
+    }
+    value.hysteresisPct = hysteresisPct;
+  }
+  if (active !== undefined) {
+    if (!partial) return { error: "'active' can only be set on update" };
+    if (typeof active !== 'boolean') return { error: "'active' must be a boolean" };
+    value.active = active;
+  }
+  return { value };
+};
+
+/**
+ * GET /api/alerts
+ * Lists the price alert rules, including their evaluation state (armed, last fired, last price).
+ */
+app.get('/api/alerts', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listAlertRules() });
+  } catch (error) {
+    console.error('API Error listing alert rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to list alert rules' });
+  }
+});
+
+/**
+ * GET /api/alerts/history
+ * Fired alerts, newest first. Query parameters: 'ruleId', 'symbol', 'limit' (default 50, max 1000).
+ */
+app.get('/api/alerts/history', async (req, res) => {
+  const { ruleId } = req.query;
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : undefined;
+  if (symbol && !TRACKED_SYMBOLS.includes(symbol)) {
+    return res.status(400).json({ success: false, error: `Symbol ${symbol} is not tracked` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+
+  try {
+    res.json({ success: true, data: await getAlertHistory({ ruleId, symbol, limit }) });
+  } catch (error) {
+    console.error('API Error fetching alert history:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch alert history' });
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Retrieves one alert rule.
+ */
+app.get('/api/alerts/:id', async (req, res) => {
+  try {
+    const rule = await getAlertRule(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    console.error(`API Error fetching alert rule ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to fetch alert rule' });
+  }
+});
+
+/**
+ * POST /api/alerts (admin)
+ * Creates a price alert rule. JSON body:
+ *   - threshold: { symbol, type: 'threshold', direction: 'above'|'below', price }
+ *   - percent_move: { symbol, type: 'percent_move', changePct, window, direction?: 'up'|'down'|'any' }
+ *   - both (optional): name, cooldownSeconds, hysteresisPct.
+ */
+app.post('/api/alerts', requireAdmin, async (req, res) => {
+  const { error, value } = parseAlertFields(req.body, req.body?.type, false);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const rule = await createAlertRule(value);
+    console.log(`📝 [Admin] ${req.adminUser} -> created alert rule ${rule.id}`);
+    res.status(201).json({ success: true, data: rule });
+  } catch (err) {
+    console.error('API Error creating alert rule:', err);
+    res.status(500).json({ success: false, error: 'Failed to create alert rule' });
+  }
+});
+
+/**
+ * PATCH /api/alerts/:id (admin)
+ * Updates an alert rule (same fields as on create, plus 'active'; the symbol and type are fixed).
+ * Changing the condition re-arms the rule.
+ */
+app.patch('/api/alerts/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = await getAlertRule(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, error: 'Alert rule not found' });
+
+    const { error, value } = parseAlertFields(req.body, rule.type, true);
+    if (error) return res.status(400).json({ success: false, error });
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    const updated = await updateAlertRule(rule.id, value);
+    console.log(`📝 [Admin] ${req.adminUser} -> updated alert rule ${rule.id}`);
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    console.error(`API Error updating alert rule ${req.params.id}:`, err);
+    res.status(500).json({ success: false, error: 'Failed to update alert rule' });
   }
 });
 
+/**
+ * DELETE /api/alerts/:id (admin)
+ * Deletes an alert rule. Alerts it already fired stay in the history.
+ */
+app.delete('/api/alerts/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!(await deleteAlertRule(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    console.log(`📝 [Admin] ${req.adminUser} -> deleted alert rule ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`API Error deleting alert rule ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to delete alert rule' });
+  }
+});
+
+/**
+ * GET /api/languages
+ * Lists the languages articles are served in (ARTICLE_LANGUAGES), the article's own language first.
+ */
+app.get('/api/languages', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: PRIMARY_LANGUAGE,
+      languages: ARTICLE_LANGUAGES.map(code => ({ code, name: languageName(code) }))
+    }
+  });
+});
+
 /**
  * GET /api/cached-articles
  * Retrieves all currently cached articles from Redis.
+ * Optional query parameter 'channel' restricts the result to one Telegram channel
+ * (matched case-insensitively, with or without a leading '@'), and 'format' selects an editorial
+ * rendering (articles without it are served in full). The language is chosen by 'lang' or the
+ * Accept-Language header (articles without that translation are served in their own language).
  * Returns a JSON array of article objects.
  */
 app.get('/api/cached-articles', async (req, res) => {
+  const format = parseFormatParam(req.query.format);
+  if (!format) {
+    return res.status(400).json({ error: `Invalid format. Use one of: ${EDITORIAL_FORMATS.join(', ')}` });
+  }
+  const negotiated = negotiateLanguage(req);
+  if (!negotiated) {
+    return res.status(400).json({ error: `Invalid lang. Use one of: ${ARTICLE_LANGUAGES.join(', ')}` });
+  }
+
   try {
-    const articlesJson = await redisClient.get('articles');
-    const articles = articlesJson ? JSON.parse(articlesJson) : [];
-    res.json(articles);
+    let articles = (await getLatestArticles()).filter(isPublicArticle);
+
+    if (req.query.channel) {
+      const channel = normalizeChannel(req.query.channel);
+      articles = articles.filter(a => a.channel && normalizeChannel(a.channel) === channel);
+    }
+
+    res.vary('Accept-Language').set('Content-Language', negotiated.language);
+    res.json(articles.map(article => renderArticleLanguage(renderArticleFormat(article, format, true), negotiated.language, true)));
   } catch (error) {
     console.error('API Error fetching cached articles:', error);
     res.status(500).json({ error: 'Failed to fetch cached articles' });
   }
 });
 
+/**
+ * GET /api/articles
+ * Pages through the long-term article archive (beyond the MAX_ARTICLES cache).
+ * Query parameters (all optional):
+ *   - limit: Page size (default 20, max 100).
+ *   - cursor: The 'nextCursor' returned by the previous page.
+ *   - since / until: Date range (ms epoch or ISO date).
+ *   - sort: 'date' (default) or 'apiId'. order: 'desc' (default) or 'asc'.
+ *   - symbol: Only articles tagged with this tracked symbol (e.g., BTC).
+ *   - channel: Only articles from this Telegram channel.
+ *   - format: Editorial rendering to serve (articles without it are served in full).
+ * Returns a JSON object with success status, the page of articles and the next cursor (or null).
+ */
+app.get('/api/articles', async (req, res) => {
+  const format = parseFormatParam(req.query.format);
+  if (!format) {
+    return res.status(400).json({ success: false, error: `Invalid format. Use one of: ${EDITORIAL_FORMATS.join(', ')}` });
+  }
+
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : undefined;
+  if (symbol && !TRACKED_SYMBOLS.includes(symbol)) {
+    return res.status(400).json({ success: false, error: `Symbol ${symbol} is not tracked` });
+  }
+
+  const since = parseTimeParam(req.query.since);
+  const until = parseTimeParam(req.query.until);
+  if (since === null || until === null) {
+    return res.status(400).json({ success: false, error: 'Invalid since/until format - must be a ms timestamp or ISO date' });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+  if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({ success: false, error: 'Invalid limit - must be a positive number' });
+  }
+
+  const { sort = 'date', order = 'desc', cursor } = req.query;
+  if (!['date', 'apiId'].includes(sort) || !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ success: false, error: "Invalid sort/order - sort must be 'date' or 'apiId', order 'asc' or 'desc'" });
+  }
+  if (cursor && !decodeCursor(cursor)) {
+    return res.status(400).json({ success: false, error: 'Invalid cursor' });
+  }
+
+  const channel = req.query.channel ? normalizeChannel(req.query.channel) : null;
+  const filter = publicArticleFilter(symbol, channel);
+
+  try {
+    const { articles, nextCursor } = await listArticles({ sort, order, limit, cursor, since, until, filter });
+    res.json({ success: true, data: articles.map(article => renderArticleFormat(article, format, true)), nextCursor });
+  } catch (error) {
+    console.error('API Error listing articles:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch articles' });
+  }
+});
+
+/**
+ * GET /api/search
+ * Full-text search over article headlines, bodies and source domains.
+ * Query parameters:
+ *   - q: The search text (required).
+ *   - since / until: Date range (ms epoch or ISO date).
+ *   - symbol: Only articles tagged with this tracked symbol.
+ *   - limit / offset: Paging (default 20 results, max 100).
+ * Returns a JSON object with success status, the total match count and ranked results
+ * with highlighted (HTML, <mark>-wrapped) headline and snippet.
+ */
+app.get('/api/search', async (req, res) => {
+  const query = (req.query.q || '').toString().trim();
+  if (!query) {
+    return res.status(400).json({ success: false, error: "Missing search query 'q'" });
+  }
+
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : undefined;
+  if (symbol && !TRACKED_SYMBOLS.includes(symbol)) {
+    return res.status(400).json({ success: false, error: `Symbol ${symbol} is not tracked` });
+  }
+
+  const since = parseTimeParam(req.query.since);
+  const until = parseTimeParam(req.query.until);
+  if (since === null || until === null) {
+    return res.status(400).json({ success: false, error: 'Invalid since/until format - must be a ms timestamp or ISO date' });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+  if ((limit !== undefined && (isNaN(limit) || limit < 1)) || isNaN(offset) || offset < 0) {
+    return res.status(400).json({ success: false, error: 'Invalid limit/offset - must be non-negative numbers' });
+  }
+
+  try {
+    const { total, results } = await searchArticles(query, { since, until, symbol, limit, offset });
+    res.json({ success: true, total, data: results });
+  } catch (error) {
+    console.error('API Error searching articles:', error);
+    res.status(500).json({ success: false, error: 'Failed to search articles' });
+  }
+});
+
+/**
+ * GET /api/sentiment
+ * Rolls up the market scores (sentiment, impact tier, category) of public articles over a window.
+ * Query parameters:
+ *   - symbol: Only articles tagged with this tracked symbol (default: all articles).
+ *   - window: The period up to now, e.g. '6h', '24h' or '7d' (default 24h, at most 30 days).
+ *   - interval: Time series bucket (1h, 4h, 1d), default by window length.
+ * Returns a JSON object with success status and the roll-up, or an error.
+ */
+app.get('/api/sentiment', async (req, res) => {
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : undefined;
+  if (symbol && !TRACKED_SYMBOLS.includes(symbol)) {
+    return res.status(400).json({ success: false, error: `Symbol ${symbol} is not tracked` });
+  }
+
+  const { window = '24h', interval } = req.query;
+  if (!parseSentimentWindow(window)) {
+    return res.status(400).json({ success: false, error: "Invalid window - must be a duration such as '6h', '24h' or '7d' (at most 30 days)" });
+  }
+  if (interval !== undefined && !Object.hasOwn(SENTIMENT_INTERVALS, interval)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid interval - must be one of: ${Object.keys(SENTIMENT_INTERVALS).join(', ')}`
+    });
+  }
+
+  try {
+    const summary = await getSentimentSummary({ symbol: symbol || null, window, interval });
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('API Error rolling up sentiment:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch sentiment' });
+  }
+});
+
+/**
+ * GET /api/sentiment/symbols
+ * Rolls up the market scores of public articles per tracked symbol over a window ('window' as above).
+ * Returns a JSON object with success status and one roll-up per symbol, or an error.
+ */
+app.get('/api/sentiment/symbols', async (req, res) => {
+  const { window = '24h' } = req.query;
+  if (!parseSentimentWindow(window)) {
+    return res.status(400).json({ success: false, error: "Invalid window - must be a duration such as '6h', '24h' or '7d' (at most 30 days)" });
+  }
+
+  try {
+    const overview = await getSentimentOverview({ window, symbols: TRACKED_SYMBOLS });
+    res.json({ success: true, data: overview });
+  } catch (error) {
+    console.error('API Error rolling up sentiment per symbol:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch sentiment' });
+  }
+});
+
 /**
  * GET /api/articles/:apiId
  * Retrieves a single article by its unique, sequential API ID (number).
- * This ID is generated during processing and is stable.
+ * This ID is generated during processing and is stable. Optional query parameter 'format'
+ * selects an editorial rendering and 'lang' a translation (404 if the article doesn't have it).
+ * Without 'lang', the Accept-Language header picks a translation, falling back to the article's own language.
  * Returns a JSON object with success status and article data, or an error.
  */
 app.get('/api/articles/:apiId', async (req, res) => {
@@ -115,19 +639,32 @@ app.get('/api/articles/:apiId', async (req, res) => {
   if (isNaN(apiIdAsNumber)) {
     return res.status(400).json({ success: false, error: 'Invalid API ID format - must be a number' });
   }
+  const format = parseFormatParam(req.query.format);
+  if (!format) {
+    return res.status(400).json({ success: false, error: `Invalid format. Use one of: ${EDITORIAL_FORMATS.join(', ')}` });
+  }
+  const negotiated = negotiateLanguage(req);
+  if (!negotiated) {
+    return res.status(400).json({ success: false, error: `Invalid lang. Use one of: ${ARTICLE_LANGUAGES.join(', ')}` });
+  }
 
   try {
-    const articlesJson = await redisClient.get('articles');
-    const articles = articlesJson ? JSON.parse(articlesJson) : [];
+    // Look the article up in the archive (covers articles older than the latest-N cache).
+    const article = await getArticle(apiIdAsNumber);
 
-    // Find the article with the matching 'apiId'.
-    const article = articles.find(a => a.apiId === apiIdAsNumber);
-
-    if (article) {
-      res.json({ success: true, data: article });
-    } else {
-      res.status(404).json({ success: false, error: 'Article not found for the given API ID' });
+    if (!article || !isPublicArticle(article)) {
+      return res.status(404).json({ success: false, error: 'Article not found for the given API ID' });
+    }
+    const rendered = renderArticleFormat(article, format);
+    if (!rendered) {
+      return res.status(404).json({ success: false, error: `Article is not available in format '${format}'` });
+    }
+    const localized = renderArticleLanguage(rendered, negotiated.language, !negotiated.explicit);
+    if (!localized) {
+      return res.status(404).json({ success: false, error: `Article is not available in language '${negotiated.language}'` });
     }
+    res.vary('Accept-Language').set('Content-Language', localized.language);
+    res.json({ success: true, data: localized });
   } catch (error) {
     console.error(`API Error fetching article by API ID ${requestedApiId}:`, error);
     res.status(500).json({
@@ -137,6 +674,543 @@ app.get('/api/articles/:apiId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stream
+ * Server-Sent Events stream of live updates, shared across instances via Redis pub/sub:
+ *   - 'article': a newly stored article (same shape as in /api/cached-articles).
+ *   - 'prices': the latest prices after each price poll (same shape as /api/cached-prices).
+ */
+app.get('/api/stream', (req, res) => {
+  if (!addStreamClient(req, res)) {
+    res.status(503).json({ success: false, error: 'Too many open streams, please poll instead' });
+  }
+});
+
+// --- Feeds ---
+
+/**
+ * GET /feed.rss, /feed.atom, /feed.json
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 feeds of the latest public articles (FEED_ITEM_LIMIT items).
+ * Optional query parameters 'symbol' and 'channel' select per-symbol/per-channel variants.
+ * Supports conditional requests (ETag / Last-Modified -> 304 Not Modified).
+ */
+app.get(Object.keys(FEED_FORMATS).map(format => `/feed.${format}`), async (req, res) => {
+  const format = path.extname(req.path).slice(1);
+  const symbol = req.query.symbol?.toString().toUpperCase();
+  if (symbol && !TRACKED_SYMBOLS.includes(symbol)) {
+    return res.status(400).json({ success: false, error: `Symbol ${symbol} is not tracked` });
+  }
+  const channel = req.query.channel ? normalizeChannel(req.query.channel) : null;
+
+  try {
+    const { articles } = await listArticles({ limit: FEED_ITEM_LIMIT, filter: publicArticleFilter(symbol, channel) });
+    const { etag, lastModified } = feedValidators(format, `${symbol || ''}|${channel || ''}`, articles);
+
+    res.set({
+      'Content-Type': FEED_FORMATS[format],
+      'ETag': etag,
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': 'public, max-age=60'
+    });
+    if (req.fresh) return res.status(304).end(); // Client's copy is current.
+
+    const siteUrl = (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    res.send(renderFeed(format, articles, {
+      siteUrl,
+      selfUrl: `${siteUrl}${req.originalUrl}`,
+      variant: [symbol, channel && `@${channel}`].filter(Boolean).join(', '),
+      updated: lastModified
+    }));
+  } catch (error) {
+    console.error(`API Error building ${format} feed:`, error);
+    res.status(500).json({ success: false, error: 'Failed to build feed' });
+  }
+});
+
+// --- Admin API ---
+// All routes below require 'Authorization: Bearer <ADMIN_API_TOKEN>' (see utils/security.js).
+
+/**
+ * Parses the :apiId route parameter of admin routes.
+ * Sends a 400 response and returns null if it isn't a number.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @returns {number|null} The API ID, or null if invalid.
+ */
+const parseAdminApiId = (req, res) => {
+  const apiId = parseInt(req.params.apiId, 10);
+  if (isNaN(apiId)) {
+    res.status(400).json({ success: false, error: 'Invalid API ID format - must be a number' });
+    return null;
+  }
+  return apiId;
+};
+
+/**
+ * GET /api/admin/articles
+ * Pages through the archive regardless of article status, newest first. Query parameters (all optional):
+ * 'status' ('processed', 'hidden' or 'held'; e.g. 'held' for the articles awaiting review), 'limit' (default 20, max 100)
+ * and 'cursor' (the 'nextCursor' of the previous page).
+ */
+app.get('/api/admin/articles', requireAdmin, async (req, res) => {
+  const { status, cursor } = req.query;
+  if (status !== undefined && !ARTICLE_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `'status' must be one of: ${ARTICLE_STATUSES.join(', ')}` });
+  }
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+  if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({ success: false, error: 'Invalid limit - must be a positive number' });
+  }
+  if (cursor && !decodeCursor(cursor)) {
+    return res.status(400).json({ success: false, error: 'Invalid cursor' });
+  }
+
+  try {
+    const filter = status ? (article) => article.status === status : undefined;
+    const { articles, nextCursor } = await listArticles({ limit, cursor, filter });
+    res.json({ success: true, data: articles, nextCursor });
+  } catch (error) {
+    console.error('Admin API Error listing articles:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch articles' });
+  }
+});
+
+/**
+ * GET /api/admin/articles/:apiId
+ * Retrieves an article regardless of its status, together with its audit trail.
+ */
+app.get('/api/admin/articles/:apiId', requireAdmin, async (req, res) => {
+  const apiId = parseAdminApiId(req, res);
+  if (apiId === null) return;
+
+  try {
+    const article = await getArticle(apiId);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found for the given API ID' });
+    }
+    res.json({ success: true, data: article, audit: await getAuditTrail(apiId) });
+  } catch (error) {
+    console.error(`Admin API Error fetching article ${apiId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to fetch article' });
+  }
+});
+
+/**
+ * PATCH /api/admin/articles/:apiId
+ * Edits an article. JSON body fields (all optional): 'headline', 'article' (the body)
+ * and 'status' ('processed', 'hidden' or 'held'; hidden and held articles are left out of public endpoints).
+ * Setting a held article to 'processed' approves and publishes it.
+ */
+app.patch('/api/admin/articles/:apiId', requireAdmin, async (req, res) => {
+  const apiId = parseAdminApiId(req, res);
+  if (apiId === null) return;
+
+  const { headline, article, status } = req.body || {};
+  if (headline === undefined && article === undefined && status === undefined) {
+    return res.status(400).json({ success: false, error: "Nothing to update - provide 'headline', 'article' and/or 'status'" });
+  }
+  if (headline !== undefined && (typeof headline !== 'string' || !headline.trim())) {
+    return res.status(400).json({ success: false, error: "'headline' must be a non-empty string" });
+  }
+  if (article !== undefined && (typeof article !== 'string' || article.trim().length < 50)) {
+    return res.status(400).json({ success: false, error: "'article' must be a string of at least 50 characters" });
+  }
+  if (status !== undefined && !ARTICLE_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `'status' must be one of: ${ARTICLE_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const updated = await editArticle(apiId, { headline, article, status }, req.adminUser);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Article not found for the given API ID' });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error(`Admin API Error editing article ${apiId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to update article' });
+  }
+});
+
+/**
+ * DELETE /api/admin/articles/:apiId
+ * Deletes an article from the archive, the latest-articles cache and the search index.
+ */
+app.delete('/api/admin/articles/:apiId', requireAdmin, async (req, res) => {
+  const apiId = parseAdminApiId(req, res);
+  if (apiId === null) return;
+
+  try {
+    const deleted = await removeArticle(apiId, req.adminUser);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Article not found for the given API ID' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Admin API Error deleting article ${apiId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to delete article' });
+  }
+});
+
+/**
+ * POST /api/admin/articles/:apiId/regenerate
+ * Re-runs AI generation on the article's original Telegram text and replaces its content.
+ * With '?format=' (e.g. 'social') or '?lang=' (e.g. 'es'), creates or replaces that rendering or translation instead.
+ */
+app.post('/api/admin/articles/:apiId/regenerate', requireAdmin, async (req, res) => {
+  const apiId = parseAdminApiId(req, res);
+  if (apiId === null) return;
+  const format = parseFormatParam(req.query.format);
+  if (!format) {
+    return res.status(400).json({ success: false, error: `Invalid format. Use one of: ${EDITORIAL_FORMATS.join(', ')}` });
+  }
+  const language = req.query.lang ? String(req.query.lang).toLowerCase() : undefined;
+  if (language !== undefined && !ARTICLE_LANGUAGES.includes(language)) {
+    return res.status(400).json({ success: false, error: `Invalid lang. Use one of: ${ARTICLE_LANGUAGES.join(', ')}` });
+  }
+  if (language !== undefined && format !== DEFAULT_FORMAT) {
+    return res.status(400).json({ success: false, error: 'Renderings are only written in the article\'s own language - use either format or lang' });
+  }
+
+  try {
+    const result = await regenerateArticle(apiId, req.adminUser, { format, language });
+    switch (result.status) {
+      case 'ok':
+        return res.json({ success: true, data: result.article });
+      case 'not_found':
+        return res.status(404).json({ success: false, error: 'Article not found for the given API ID' });
+      case 'no_source':
+        return res.status(409).json({ success: false, error: 'Original Telegram text is not available for this article' });
+      case 'low_quality':
+        return res.status(422).json({ success: false, error: `Regenerated text failed the source check (${describeQuality(result.quality)}) - article left unchanged` });
+      default:
+        return res.status(502).json({ success: false, error: 'AI generation failed - article left unchanged' });
+    }
+  } catch (error) {
+    console.error(`Admin API Error regenerating article ${apiId}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to regenerate article' });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Retrieves the global moderation audit trail (newest first). Query parameter 'limit' (default 50, max 1000).
+ */
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+  try {
+    res.json({ success: true, data: await getAuditTrail(null, limit) });
+  } catch (error) {
+    console.error('Admin API Error fetching audit trail:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch audit trail' });
+  }
+});
+
+/**
+ * GET /api/admin/failures
+ * Lists messages in the dead-letter queue (most recently failed first).
+ * Query parameters: 'status' ('pending' or 'exhausted'), 'channel', 'limit' (default 50, max 500).
+ */
+app.get('/api/admin/failures', requireAdmin, async (req, res) => {
+  const { status, channel } = req.query;
+  if (status !== undefined && !FAILURE_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Invalid status. Use one of: ${FAILURE_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  try {
+    const { total, failures } = await listFailures({ status, channel, limit });
+    res.json({ success: true, total, data: failures });
+  } catch (error) {
+    console.error('Admin API Error fetching failures:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch failures' });
+  }
+});
+
+/**
+ * POST /api/admin/failures/:id/retry
+ * Retries a dead-lettered message now, regardless of its backoff (also for exhausted ones).
+ * The ID is '<channel>:<messageId>', URL-encoded.
+ */
+app.post('/api/admin/failures/:id/retry', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const record = await getFailure(id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'No failure recorded under the given ID' });
+    }
+
+    if (await retryFailedMessage(record.channel, record.messageId) === 'locked') {
+      return res.status(409).json({ success: false, error: 'Message is already being processed' });
+    }
+    const remaining = await getFailure(id);
+    if (remaining) {
+      return res.status(502).json({ success: false, error: 'Retry failed', data: remaining });
+    }
+    console.log(`📝 [Admin] ${req.adminUser} -> retried ${id} successfully`);
+    res.json({ success: true, data: { id, status: 'resolved' } });
+  } catch (error) {
+    console.error(`Admin API Error retrying failure ${id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to retry message' });
+  }
+});
+
+/**
+ * GET /api/admin/price-sources
+ * The configured price sources in the order the next poll will try them, with each one's
+ * health: score (0-1), success/failure counts, last latency and error, and whether it is benched.
+ */
+app.get('/api/admin/price-sources', requireAdmin, (req, res) => {
+  res.json({ success: true, data: getPriceSourceHealth() });
+});
+
+/**
+ * GET /api/admin/ai-usage
+ * AI usage aggregated by day, model and key fingerprint (attempts, outcomes, prompt/completion
+ * tokens, cost and average latency), newest day first, plus today's usage against the budget caps.
+ * Query parameters: 'from' and 'to' (YYYY-MM-DD, UTC; default: the last 7 days, at most 90 days).
+ */
+app.get('/api/admin/ai-usage', requireAdmin, async (req, res) => {
+  const { from, to } = req.query;
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+  if ((from !== undefined && !isDay(from)) || (to !== undefined && !isDay(to))) {
+    return res.status(400).json({ success: false, error: "Invalid 'from' or 'to' - use YYYY-MM-DD" });
+  }
+  if (from && to && from > to) {
+    return res.status(400).json({ success: false, error: "'from' must not be after 'to'" });
+  }
+
+  try {
+    const [report, budget] = await Promise.all([getAiUsageReport({ from, to }), getAiBudgetStatus()]);
+    res.json({ success: true, data: { ...report, budget } });
+  } catch (error) {
+    console.error('Admin API Error fetching AI usage:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch AI usage' });
+  }
+});
+
+/**
+ * GET /api/admin/ai-usage/attempts
+ * Recent AI attempts, newest first: model, provider, key fingerprint, tokens, cost, latency,
+ * outcome and rejection reason. Query parameters: 'model', 'outcome', 'limit' (default 50, max 1000).
+ */
+app.get('/api/admin/ai-usage/attempts', requireAdmin, async (req, res) => {
+  const { model, outcome } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+  try {
+    res.json({ success: true, data: await listAiAttempts({ model, outcome, limit }) });
+  } catch (error) {
+    console.error('Admin API Error fetching AI attempts:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch AI attempts' });
+  }
+});
+
+/**
+ * GET /api/admin/filter-skips
+ * The message filter rules as configured, the number of messages each rule skipped, and recent skips,
+ * newest first. Query parameters: 'rule', 'channel', 'limit' (default 50, max 1000).
+ */
+app.get('/api/admin/filter-skips', requireAdmin, async (req, res) => {
+  const { rule, channel } = req.query;
+  if (rule !== undefined && !FILTER_RULES.includes(rule)) {
+    return res.status(400).json({ success: false, error: `'rule' must be one of: ${FILTER_RULES.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+  try {
+    const { counts, skips } = await getSkipReport({ rule, channel, limit });
+    res.json({ success: true, data: { rules: getFilterRules(), counts, skips } });
+  } catch (error) {
+    console.error('Admin API Error fetching filter skips:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch filter skips' });
+  }
+});
+
+/**
+ * Validates the body of a webhook subscriber create/update request.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for updates (all fields optional).
+ * @returns {{error?: string, value?: object}} The validated fields, or an error message.
+ */
+const parseWebhookFields = (body, partial) => {
+  const { url, events, symbols, active, secret } = body || {};
+  const value = {};
+
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (_) { /* Reported below. */ }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return { error: "'url' must be an http(s) URL" };
+    value.url = parsed.toString();
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_EVENTS.includes(e))) {
+      return { error: `'events' must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    value.events = [...new Set(events)];
+  }
+  if (symbols !== undefined) {
+    const normalized = Array.isArray(symbols) ? symbols.map(sym => String(sym).toUpperCase()) : null;
+    if (!normalized || !normalized.every(sym => TRACKED_SYMBOLS.includes(sym))) {
+      return { error: `'symbols' must be an array of tracked symbols: ${TRACKED_SYMBOLS.join(', ')}` };
+    }
+    value.symbols = [...new Set(normalized)];
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') return { error: "'active' must be a boolean" };
+    value.active = active;
+  }
+  if (secret !== undefined) {
+    if (partial) return { error: "'secret' cannot be changed; register a new subscriber instead" };
+    if (typeof secret !== 'string' || secret.length < 16) return { error: "'secret' must be a string of at least 16 characters" };
+    value.secret = secret;
+  }
+  return { value };
+};
+
+/**
+ * GET /api/admin/webhooks
+ * Lists webhook subscribers (secrets are not shown).
+ */
+app.get('/api/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, data: (await listSubscribers()).map(redactSubscriber) });
+  } catch (error) {
+    console.error('Admin API Error listing webhooks:', error);
+    res.status(500).json({ success: false, error: 'Failed to list webhooks' });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Registers a webhook subscriber. JSON body: { url, events?, symbols?, secret? }.
+ * The response includes the signing secret; it is not shown again.
+ */
+app.post('/api/admin/webhooks', requireAdmin, async (req, res) => {
+  const { error, value } = parseWebhookFields(req.body, false);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const subscriber = await createSubscriber(value);
+    console.log(`📝 [Admin] ${req.adminUser} -> registered webhook ${subscriber.id}`);
+    res.status(201).json({ success: true, data: subscriber });
+  } catch (err) {
+    console.error('Admin API Error registering webhook:', err);
+    res.status(500).json({ success: false, error: 'Failed to register webhook' });
+  }
+});
+
+/**
+ * PATCH /api/admin/webhooks/:id
+ * Updates a registered subscriber. JSON body (all optional): { url, events, symbols, active }.
+ */
+app.patch('/api/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  const { error, value } = parseWebhookFields(req.body, true);
+  if (error) return res.status(400).json({ success: false, error });
+  if (Object.keys(value).length === 0) {
+    return res.status(400).json({ success: false, error: 'Nothing to update - provide url, events, symbols and/or active' });
+  }
+
+  try {
+    const subscriber = await updateSubscriber(req.params.id, value);
+    if (!subscriber) {
+      return res.status(404).json({ success: false, error: 'Webhook not found (the WEBHOOK_TARGET_URL one is configured via the environment)' });
+    }
+    console.log(`📝 [Admin] ${req.adminUser} -> updated webhook ${subscriber.id}`);
+    res.json({ success: true, data: redactSubscriber(subscriber) });
+  } catch (err) {
+    console.error(`Admin API Error updating webhook ${req.params.id}:`, err);
+    res.status(500).json({ success: false, error: 'Failed to update webhook' });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ * Removes a registered subscriber. Its pending deliveries are cancelled.
+ */
+app.delete('/api/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!(await deleteSubscriber(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Webhook not found (the WEBHOOK_TARGET_URL one is configured via the environment)' });
+    }
+    console.log(`📝 [Admin] ${req.adminUser} -> removed webhook ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Admin API Error removing webhook ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to remove webhook' });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/deliveries
+ * The webhook delivery log, newest first, with every attempt's status code, error and duration.
+ * Query parameters: 'subscriberId', 'status' (pending, delivered, failed, cancelled), 'limit' (default 50, max 1000).
+ */
+app.get('/api/admin/webhooks/deliveries', requireAdmin, async (req, res) => {
+  const { subscriberId, status } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Invalid status. Use one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+
+  try {
+    res.json({ success: true, data: await listDeliveries({ subscriberId, status, limit }) });
+  } catch (error) {
+    console.error('Admin API Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/events
+ * Reads the webhook event log. Query parameters: 'since' (return events with a greater sequence
+ * number, default 0) and 'limit' (default 100, max 1000). Also returns the latest assigned and
+ * oldest retained sequence numbers.
+ */
+app.get('/api/admin/webhooks/events', requireAdmin, async (req, res) => {
+  const since = req.query.since !== undefined ? parseInt(req.query.since, 10) : 0;
+  if (isNaN(since) || since < 0) {
+    return res.status(400).json({ success: false, error: "Invalid 'since' - must be a sequence number" });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  try {
+    const { latestSeq, oldestSeq, events } = await getWebhookEvents(since, limit);
+    res.json({ success: true, latestSeq, oldestSeq, data: events });
+  } catch (error) {
+    console.error('Admin API Error fetching webhook events:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook events' });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/replay
+ * Re-sends a subscriber the events after a given sequence number. JSON body: { fromSeq }.
+ */
+app.post('/api/admin/webhooks/:id/replay', requireAdmin, async (req, res) => {
+  const fromSeq = req.body?.fromSeq;
+  if (!Number.isInteger(fromSeq) || fromSeq < 0) {
+    return res.status(400).json({ success: false, error: "'fromSeq' must be a non-negative integer" });
+  }
+
+  try {
+    const result = await replayWebhookEvents(req.params.id, fromSeq);
+    if (result.status === 'not_found') {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    if (result.status === 'gone') {
+      return res.status(410).json({
+        success: false,
+        error: `Events after #${fromSeq} are no longer in the event log (oldest retained: #${result.oldestSeq})`
+      });
+    }
+    console.log(`📝 [Admin] ${req.adminUser} -> replayed webhook events after #${fromSeq} to ${req.params.id}`);
+    res.json({ success: true, data: { queued: result.queued } });
+  } catch (error) {
+    console.error(`Admin API Error replaying events to webhook ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to replay webhook events' });
+  }
+});
+
 // --- Export App ---
 // Export the configured Express app instance for use by server.js.
 export default app;
\ No newline at end of file
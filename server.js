@@ -5,6 +5,10 @@ import { initializeSystem as initializeTelegramSystem } from './src/services/tel
 import { redisClient, connectRedis } from './utils/redis.js'; //
 import { startPricePolling } from './src/services/priceService.js';
 import { startWebhookService } from './src/services/webhookService.js';
+import { initializeArticleStore } from './src/services/articleStore.js';
+import { initializeSearchIndex } from './src/services/searchService.js';
+import { initializeDedupIndex } from './src/services/dedupService.js';
+import { initializeStream, closeStream } from './src/services/streamService.js';
 
 // Load environment variables from .env file into process.env.
 dotenv.config();
@@ -15,12 +19,16 @@ dotenv.config();
  */
 const validateEnvironment = () => {
   const requiredVars = [
-    'TELEGRAM_API_ID', 'TELEGRAM_API_HASH', 'TELEGRAM_SESSION_STRING', 'TELEGRAM_CHANNEL',
+    'TELEGRAM_API_ID', 'TELEGRAM_API_HASH', 'TELEGRAM_SESSION_STRING',
     'REDIS_URL',
-    'OPENROUTER_API_KEYS',
     'SITE_URL' // Crucial for CORS and OpenRouter headers.
+    // AI provider settings (e.g., OPENROUTER_API_KEYS) are validated per configured model in utils/aiProviders.js.
   ];
   const missingVars = requiredVars.filter(varName => !process.env[varName]);
+  // Either the multi-channel list or the legacy single channel must be set.
+  if (!process.env.TELEGRAM_CHANNELS && !process.env.TELEGRAM_CHANNEL) {
+    missingVars.push('TELEGRAM_CHANNELS (or TELEGRAM_CHANNEL)');
+  }
   if (missingVars.length > 0) {
     throw new Error(`💥 Missing required environment variables: ${missingVars.join(', ')}`);
   }
@@ -60,6 +68,10 @@ const startServer = async () => {
     console.log('⏳ Connecting to Redis...');
     await connectRedis(); // Establish connection to Redis.
     await handleRedisFlush(); // Check if Redis needs to be flushed.
+    await initializeArticleStore(); // Archive previously cached articles and apply retention.
+    await initializeSearchIndex(); // Index any archived articles missing from the search index.
+    await initializeDedupIndex(); // Index recent articles so reposts of them are recognised.
+    await initializeStream(); // Subscribe to live events for /api/stream.
 
     // --- Phase 3: Initialize Services & Start Background Tasks ---
 
@@ -99,6 +111,7 @@ const startServer = async () => {
     // Graceful Shutdown Handler: Listens for termination signals (e.g., from hosting platforms).
     process.on('SIGTERM', () => {
       console.log('\nSIGTERM signal received. Closing http server and Redis...');
+      closeStream(); // End open event streams, or server.close() would wait for them.
       server.close(() => {
         console.log('  Http server closed.');
         if (redisClient && redisClient.isOpen) {
@@ -5,6 +5,8 @@ document.addEventListener('DOMContentLoaded', () => {
   const articleGrid = document.getElementById('articleGrid');
   const modal = document.getElementById('articleModal');
   const closeModalBtn = modal?.querySelector('.close-btn');
+  const languageSelect = document.getElementById('languageSelect');
+  const currencySelect = document.getElementById('currencySelect');
 
   // If any essential element is missing, log an error and stop.
   if (!priceContainer || !priceScroller || !articleGrid || !modal || !closeModalBtn) {
@@ -14,6 +16,28 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Cache for storing fetched articles to avoid multiple API calls.
   let cachedArticles = [];
+  // Latest USD prices by symbol, for the modal's price change display: prices at publication
+  // are stored in USD, so that comparison stays in USD whatever currency the ticker shows.
+  let usdPrices = {};
+  const usdFormatter = createPriceFormatter('usd');
+
+  // Ticker currency picked in the switcher (remembered across visits), USD until one is picked.
+  const CURRENCY_STORAGE_KEY = 'priceCurrency';
+  let selectedCurrency = readStoredValue(CURRENCY_STORAGE_KEY) || 'usd';
+  let priceFormatter = createPriceFormatter(selectedCurrency);
+
+  // Fallback polling intervals (ms), used only while the live stream is unavailable.
+  const PRICE_POLL_INTERVAL = 30000;
+  const ARTICLE_POLL_INTERVAL = 60000;
+  // Max articles kept in the grid as new ones arrive live.
+  const MAX_DISPLAYED_ARTICLES = 50;
+
+  // Article language picked in the switcher (remembered across visits). While unset, the server
+  // goes by the browser's Accept-Language header.
+  const LANGUAGE_STORAGE_KEY = 'articleLanguage';
+  let selectedLanguage = readStoredValue(LANGUAGE_STORAGE_KEY);
+  // Language the articles are currently shown in, as reported by the server.
+  let displayedLanguage = null;
 
   // ================== UTILITY FUNCTIONS ==================
 
@@ -44,36 +68,104 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Reads a remembered switcher choice.
+   * @param {string} key - The storage key.
+   * @returns {string|null} The value, or null if none was picked (or storage is unavailable).
+   */
+  function readStoredValue(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Creates a formatter for prices in a currency.
+   * @param {string} currency - The currency code (e.g., 'usd').
+   * @returns {{format: function(number): string}} The formatter. Codes Intl doesn't accept are shown after the amount.
+   */
+  function createPriceFormatter(currency) {
+    try {
+      return new Intl.NumberFormat(undefined, {
+        style: 'currency', currency: currency.toUpperCase(), minimumFractionDigits: 2, maximumFractionDigits: 2
+      });
+    } catch (e) {
+      const number = new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      return { format: (value) => `${number.format(value)} ${currency.toUpperCase()}` };
+    }
+  }
+
   // ================== PRICE TICKER ==================
 
   /**
-   * Fetches the latest prices from the API and updates the price ticker.
+   * Returns the CSS direction class for a change ('up', 'down' or 'flat').
+   * @param {number} change - The change.
+   * @returns {string} The class name.
    */
-  async function updatePrices() {
-    if (!priceScroller) return; // Guard clause.
+  function changeDirection(change) {
+    return change > 0 ? 'up' : (change < 0 ? 'down' : 'flat');
+  }
 
-    try {
-      const response = await fetch('/api/cached-prices');
-      if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-      const prices = await response.json();
-      const symbols = Object.keys(prices);
+  /**
+   * Renders prices into the price ticker, each with its 24h change when known.
+   * Stale prices show their last value, greyed out and flagged.
+   * @param {Object<string, object>} prices - Quotes ({ price, change24h, stale, lastPrice, fetchedAt, source, ... }) by symbol,
+   *   as returned by /api/cached-prices, in the selected currency.
+   */
+  function renderPrices(prices) {
+    const symbols = Object.keys(prices);
+
+    if (symbols.length === 0) {
+      priceScroller.innerHTML = '<div class="price-item">No price data</div>';
+      return;
+    }
 
-      if (symbols.length === 0) {
-        priceScroller.innerHTML = '<div class="price-item">No price data</div>';
-        return;
+    // Create HTML for each price item, handling stale and unavailable values.
+    const priceElements = symbols.map(symbol => {
+      const quote = prices[symbol];
+      if (quote?.stale && typeof quote.lastPrice === 'number') {
+        const title = `Stale: last updated ${new Date(quote.fetchedAt).toLocaleString()}${quote.source ? ` (${quote.source})` : ''}`;
+        return `<div class="price-item stale" title="${sanitizeHTML(title)}">${sanitizeHTML(symbol)}: ${priceFormatter.format(quote.lastPrice)} <span class="price-stale-flag">stale</span></div>`;
+      }
+      if (typeof quote?.price !== 'number') {
+        return `<div class="price-item">${sanitizeHTML(symbol)}: ---</div>`; // Placeholder for unavailable prices.
       }
+      const change = typeof quote.change24h === 'number'
+        ? ` <span class="price-change ${changeDirection(quote.change24h)}" title="24h change">${quote.change24h > 0 ? '+' : ''}${quote.change24h.toFixed(2)}%</span>`
+        : '';
+      const title = quote.fetchedAt ? ` title="${sanitizeHTML(`Updated ${new Date(quote.fetchedAt).toLocaleString()}${quote.source ? ` (${quote.source})` : ''}`)}"` : '';
+      return `<div class="price-item"${title}>${sanitizeHTML(symbol)}: ${priceFormatter.format(quote.price)}${change}</div>`;
+    });
+
+    priceScroller.innerHTML = priceElements.join('');
+  }
 
-      // Create HTML for each price item, handling null values.
-      const priceElements = symbols.map(symbol => {
-        const priceValue = prices[symbol];
-        const displayPrice = (typeof priceValue === 'number')
-          ? `$${priceValue.toFixed(2)}`
-          : '---'; // Placeholder for unavailable prices.
-        return `<div class="price-item">${sanitizeHTML(symbol)}: ${displayPrice}</div>`;
-      });
+  /**
+   * Fetches the latest prices in one currency.
+   * @param {string} currency - The currency code.
+   * @returns {Promise<Object<string, object>>} Quotes by symbol, as returned by /api/cached-prices.
+   */
+  async function fetchPrices(currency) {
+    const response = await fetch(`/api/cached-prices?currency=${encodeURIComponent(currency)}`);
+    if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+    return response.json();
+  }
 
-      priceScroller.innerHTML = priceElements.join('');
+  /**
+   * Fetches the latest prices from the API and updates the price ticker (and the USD prices, when it shows another currency).
+   */
+  async function updatePrices() {
+    if (!priceScroller) return; // Guard clause.
 
+    try {
+      const [prices, usd] = await Promise.all([
+        fetchPrices(selectedCurrency),
+        selectedCurrency === 'usd' ? null : fetchPrices('usd')
+      ]);
+      usdPrices = usd || prices;
+      renderPrices(prices);
     } catch (error) {
       console.error('Price update failed:', error);
       priceScroller.innerHTML = '<div class="price-error">Prices unavailable</div>';
@@ -113,66 +205,293 @@ document.addEventListener('DOMContentLoaded', () => {
     scrollContainer.scrollLeft = scrollLeft - walk;
   });
 
+  // ================== CURRENCY SWITCHER ==================
+
+  /**
+   * Fills the currency switcher from /api/currencies. It stays hidden when prices come in one currency only.
+   * Forgets a remembered currency that is no longer offered.
+   */
+  async function loadCurrencies() {
+    if (!currencySelect) return;
+
+    try {
+      const response = await fetch('/api/currencies');
+      if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+      const { data } = await response.json();
+      const currencies = data?.currencies || [];
+
+      if (!currencies.includes(selectedCurrency)) {
+        selectedCurrency = data?.default || 'usd';
+        priceFormatter = createPriceFormatter(selectedCurrency);
+        try { localStorage.removeItem(CURRENCY_STORAGE_KEY); } catch (e) { /* Storage unavailable. */ }
+      }
+      if (currencies.length < 2) return;
+
+      currencySelect.innerHTML = '';
+      currencies.forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = code.toUpperCase();
+        currencySelect.appendChild(option);
+      });
+      currencySelect.value = selectedCurrency;
+      currencySelect.hidden = false;
+    } catch (error) {
+      console.error('Currency list load failed:', error);
+    }
+  }
+
   // ================== ARTICLE HANDLING ==================
 
+  /**
+   * Renders the cached articles into the grid, newest first.
+   */
+  function renderArticles() {
+    if (cachedArticles.length === 0) {
+      articleGrid.innerHTML = '<div class="empty">No articles found.</div>';
+      return;
+    }
+
+    // Sort by message date to show newest first (Telegram IDs are only unique per channel).
+    cachedArticles.sort((a, b) => new Date(b.messageDate || b.date) - new Date(a.messageDate || a.date));
+
+    // Generate HTML for each article card.
+    articleGrid.innerHTML = cachedArticles.map(article => {
+      const headline = article.headline || 'Untitled';
+      const articleContent = article.article || '';
+      const articleId = article.apiId;
+      const articleDate = article.date ? formatDate(article.date) : 'N/A';
+      const previewText = articleContent.substring(0, 120); // Create a short preview.
+
+      return `
+        <article class="article-card" data-id="${articleId}" tabindex="0" aria-labelledby="article-title-${articleId}">
+          <div class="article-header">
+            <h3 id="article-title-${articleId}">${sanitizeHTML(headline)}</h3>
+          </div>
+          <p class="preview">${sanitizeHTML(previewText)}${articleContent.length > 120 ? '...' : ''}</p>
+           <div class="article-meta">
+              <span class="date">${articleDate}</span>
+           </div>
+        </article>
+      `;
+    }).join('');
+  }
+
   /**
    * Fetches articles from the API and displays them in the grid.
+   * @param {boolean} [showLoading=true] - Show the loading state (false for background refreshes).
    */
-  async function loadArticles() {
+  async function loadArticles(showLoading = true) {
     if (!articleGrid) return; // Guard clause.
 
-    articleGrid.innerHTML = '<div class="loading">Loading articles...</div>'; // Show loading state.
+    if (showLoading) articleGrid.innerHTML = '<div class="loading">Loading articles...</div>'; // Show loading state.
 
     try {
-      const response = await fetch('/api/cached-articles');
+      const query = selectedLanguage ? `?lang=${encodeURIComponent(selectedLanguage)}` : '';
+      const response = await fetch(`/api/cached-articles${query}`);
       if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-      cachedArticles = await response.json(); // Store articles in cache.
+      const articles = await response.json();
+      if (!Array.isArray(articles)) throw new Error("Invalid article data format.");
 
-      if (!Array.isArray(cachedArticles)) throw new Error("Invalid article data format.");
-      if (cachedArticles.length === 0) {
-        articleGrid.innerHTML = '<div class="empty">No articles found.</div>';
-        return;
+      displayedLanguage = response.headers.get('Content-Language') || displayedLanguage;
+      if (displayedLanguage) {
+        document.documentElement.lang = displayedLanguage;
+        if (languageSelect) languageSelect.value = displayedLanguage;
       }
+      cachedArticles = articles; // Store articles in cache.
+      renderArticles();
+    } catch (error) {
+      console.error('Article load failed:', error);
+      if (showLoading) articleGrid.innerHTML = `<div class="error">Failed to load articles.</div>`;
+    }
+  }
+
+  /**
+   * Adds an article pushed by the live stream to the grid (replacing an older copy, if any).
+   * @param {object} article - The new article.
+   */
+  function addArticle(article) {
+    if (!article || article.apiId === undefined) return;
+    article = localizeArticle(article);
+    cachedArticles = [article, ...cachedArticles.filter(a => a.apiId !== article.apiId)].slice(0, MAX_DISPLAYED_ARTICLES);
+    renderArticles();
+  }
+
+  /**
+   * Shows a pushed article in the displayed language, when it has that translation
+   * (the stream sends articles in their own language, with their translations attached).
+   * @param {object} article - The article as pushed.
+   * @returns {object} The article to display.
+   */
+  function localizeArticle(article) {
+    const translation = displayedLanguage && article.language !== displayedLanguage
+      ? article.translations?.[displayedLanguage]
+      : null;
+    if (!translation) return article;
+    return { ...article, headline: translation.headline, article: translation.content, language: displayedLanguage };
+  }
+
+  // ================== LANGUAGE SWITCHER ==================
+
+  /**
+   * Fills the language switcher from /api/languages. It stays hidden when articles come in one language only.
+   * Forgets a remembered language that is no longer offered.
+   */
+  async function loadLanguages() {
+    if (!languageSelect) return;
 
-      // Sort by Telegram ID (b.id - a.id) to show newest first.
-      cachedArticles.sort((a, b) => b.id - a.id);
-
-      // Generate HTML for each article card.
-      articleGrid.innerHTML = cachedArticles.map(article => {
-        const headline = article.headline || 'Untitled';
-        const articleContent = article.article || '';
-        const articleId = article.id;
-        const articleDate = article.date ? formatDate(article.date) : 'N/A';
-        const previewText = articleContent.substring(0, 120); // Create a short preview.
-
-        return `
-          <article class="article-card" data-id="${articleId}" tabindex="0" aria-labelledby="article-title-${articleId}">
-            <div class="article-header">
-              <h3 id="article-title-${articleId}">${sanitizeHTML(headline)}</h3>
-            </div>
-            <p class="preview">${sanitizeHTML(previewText)}${articleContent.length > 120 ? '...' : ''}</p>
-             <div class="article-meta">
-                <span class="date">${articleDate}</span>
-             </div>
-          </article>
-        `;
-      }).join('');
+    try {
+      const response = await fetch('/api/languages');
+      if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+      const { data } = await response.json();
+      const languages = data?.languages || [];
+      const codes = languages.map(language => language.code);
 
+      if (selectedLanguage && !codes.includes(selectedLanguage)) {
+        selectedLanguage = null;
+        try { localStorage.removeItem(LANGUAGE_STORAGE_KEY); } catch (e) { /* Storage unavailable. */ }
+      }
+      if (languages.length < 2) return;
+
+      languageSelect.innerHTML = '';
+      languages.forEach(({ code, name }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        // Name each language in itself (e.g. 'Deutsch'), where the browser knows it.
+        try {
+          option.textContent = new Intl.DisplayNames([code], { type: 'language' }).of(code) || name;
+        } catch (e) {
+          option.textContent = name;
+        }
+        languageSelect.appendChild(option);
+      });
+      languageSelect.value = selectedLanguage || displayedLanguage || data.default;
+      languageSelect.hidden = false;
     } catch (error) {
-      console.error('Article load failed:', error);
-      articleGrid.innerHTML = `<div class="error">Failed to load articles.</div>`;
+      console.error('Language list load failed:', error);
     }
   }
 
+  // ================== LIVE UPDATES ==================
+
+  let pollingTimers = []; // Active fallback polling intervals.
+
+  /**
+   * Starts polling for prices and articles (used while the live stream is unavailable).
+   */
+  function startPolling() {
+    if (pollingTimers.length > 0) return; // Already polling.
+    pollingTimers = [
+      setInterval(updatePrices, PRICE_POLL_INTERVAL),
+      setInterval(() => loadArticles(false), ARTICLE_POLL_INTERVAL)
+    ];
+  }
+
+  /**
+   * Stops the fallback polling.
+   */
+  function stopPolling() {
+    pollingTimers.forEach(clearInterval);
+    pollingTimers = [];
+  }
+
+  /**
+   * Subscribes to /api/stream for pushed articles and prices. Falls back to polling when
+   * EventSource is unsupported or while the stream is disconnected (the browser reconnects on its own).
+   */
+  function connectStream() {
+    if (!('EventSource' in window)) {
+      startPolling();
+      return;
+    }
+
+    const stream = new EventSource('/api/stream');
+    stream.addEventListener('open', () => {
+      if (pollingTimers.length > 0) {
+        // Reconnected: catch up on anything missed while disconnected.
+        stopPolling();
+        updatePrices();
+        loadArticles(false);
+      }
+    });
+    stream.addEventListener('error', startPolling);
+    // Pushed prices are in USD; the ticker refetches them in its own currency.
+    stream.addEventListener('prices', (event) => {
+      usdPrices = JSON.parse(event.data);
+      if (selectedCurrency === 'usd') renderPrices(usdPrices);
+      else updatePrices();
+    });
+    stream.addEventListener('article', (event) => addArticle(JSON.parse(event.data)));
+  }
+
   // ================== MODAL SYSTEM ==================
 
+  /**
+   * Renders the tagged symbols of an article with the price change since publication.
+   * @param {Array<{symbol: string, priceAtPublish: number|null}>} symbols - The article's tagged symbols.
+   */
+  function renderSymbolChanges(symbols) {
+    const list = modal.querySelector('.modal-symbols');
+    if (!list) return;
+
+    if (!Array.isArray(symbols) || symbols.length === 0) {
+      list.innerHTML = '';
+      list.style.display = 'none';
+      return;
+    }
+
+    list.innerHTML = symbols.map(({ symbol, priceAtPublish }) => {
+      const current = usdPrices[symbol]?.price;
+      if (typeof priceAtPublish !== 'number' || priceAtPublish <= 0 || typeof current !== 'number') {
+        return `<li class="symbol-change">${sanitizeHTML(symbol)}: ---</li>`;
+      }
+      const changePct = ((current - priceAtPublish) / priceAtPublish) * 100;
+      const sign = changePct > 0 ? '+' : '';
+      return `<li class="symbol-change ${changeDirection(changePct)}">${sanitizeHTML(symbol)}: ${usdFormatter.format(priceAtPublish)} &rarr; ${usdFormatter.format(current)} (${sign}${changePct.toFixed(2)}%)</li>`;
+    }).join('');
+    list.style.display = 'flex';
+  }
+
+  /**
+   * Renders links to the other messages that reported the same story.
+   * @param {Array<{url: string, channel: string}>} extraSources - The article's linked duplicate sources.
+   */
+  function renderExtraSources(extraSources) {
+    const list = modal.querySelector('.modal-extra-sources');
+    if (!list) return;
+
+    if (!Array.isArray(extraSources) || extraSources.length === 0) {
+      list.innerHTML = '';
+      list.style.display = 'none';
+      return;
+    }
+
+    list.innerHTML = '';
+    extraSources.forEach(({ url, channel }) => {
+      let parsed;
+      try { parsed = new URL(url); } catch (_) { return; } // Skip malformed URLs.
+      const link = document.createElement('a');
+      link.href = parsed.href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = parsed.hostname.replace(/^www\./, '');
+      const via = document.createElement('span');
+      via.className = 'extra-source-channel';
+      via.textContent = ` via ${channel}`;
+      const item = document.createElement('li');
+      item.append(link, via);
+      list.appendChild(item);
+    });
+    list.style.display = 'block';
+  }
+
   /**
    * Displays the modal with the content of the selected article.
-   * @param {number} articleId - The ID of the article to display.
+   * @param {number} articleId - The API ID of the article to display.
    */
   function showArticleModal(articleId) {
-    // Find the article in the cache using its Telegram ID.
-    const article = cachedArticles.find(a => a.id === articleId);
+    // Find the article in the cache using its API ID.
+    const article = cachedArticles.find(a => a.apiId === articleId);
     if (!article || !modal) return;
 
     // Populate modal elements with article data.
@@ -187,6 +506,10 @@ document.addEventListener('DOMContentLoaded', () => {
       linkElement.style.display = 'none'; // Hide link if unavailable.
     }
 
+    // Show how the tagged coins moved since the article was published.
+    renderSymbolChanges(article.symbols);
+    renderExtraSources(article.extraSources);
+
     // Show the modal and set accessibility attributes.
     modal.style.display = 'block';
     modal.setAttribute('aria-hidden', 'false');
@@ -212,6 +535,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Reload the articles in the language picked in the switcher.
+  languageSelect?.addEventListener('change', () => {
+    selectedLanguage = languageSelect.value;
+    try { localStorage.setItem(LANGUAGE_STORAGE_KEY, selectedLanguage); } catch (e) { /* Storage unavailable. */ }
+    loadArticles();
+  });
+
+  // Show the ticker in the currency picked in the switcher.
+  currencySelect?.addEventListener('change', () => {
+    selectedCurrency = currencySelect.value;
+    priceFormatter = createPriceFormatter(selectedCurrency);
+    try { localStorage.setItem(CURRENCY_STORAGE_KEY, selectedCurrency); } catch (e) { /* Storage unavailable. */ }
+    updatePrices();
+  });
+
   // Add keyboard support (Enter key) for opening articles.
   articleGrid.addEventListener('keydown', (event) => {
     const card = event.target.closest('.article-card');
@@ -231,11 +569,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // ================== INITIAL LOAD & INTERVALS ==================
-  updatePrices(); // Load prices once on start.
-  loadArticles(); // Load articles once on start.
+  // ================== INITIAL LOAD & LIVE UPDATES ==================
+  loadCurrencies().then(updatePrices); // Load prices once on start, in the remembered currency if still offered.
+  loadLanguages().then(() => loadArticles()); // Load articles once on start, in the remembered language if still offered.
 
-  // Set up periodic refresh for prices.
-  setInterval(updatePrices, 30000); // 30-second interval.
+  // Receive further updates live, polling only as a fallback.
+  connectStream();
 
 });
\ No newline at end of file
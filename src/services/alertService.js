@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { redisClient } from '../../utils/redis.js';
+import { getPriceHistory } from './priceService.js';
+import { emitWebhookEvent } from './webhookService.js';
+
+dotenv.config();
+
+// --- Configuration ---
+const ALERT_DEFAULT_COOLDOWN_SECONDS = parseInt(process.env.ALERT_DEFAULT_COOLDOWN_SECONDS) || 3600; // Min time between two firings of a rule.
+const ALERT_DEFAULT_HYSTERESIS_PCT = parseFloat(process.env.ALERT_DEFAULT_HYSTERESIS_PCT) || 0.5; // How far back a condition must clear before re-arming.
+const ALERT_HISTORY_LIMIT = parseInt(process.env.ALERT_HISTORY_LIMIT) || 1000; // Fired alerts kept in the history.
+const ALERT_MAX_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // Longest percent-move window (7 days).
+const EVALUATION_LOCK_TTL_SECONDS = 60; // Safety expiry of the evaluation lock.
+
+// Redis keys.
+const RULES_KEY = 'alerts:rules'; // Hash: rule ID -> rule JSON (without its evaluation state).
+// Hash: rule ID -> evaluation state JSON. Kept apart from the rule so an evaluation never overwrites an edit made meanwhile.
+const STATES_KEY = 'alerts:states';
+const HISTORY_KEY = 'alerts:history'; // List: fired alert JSON, newest first.
+const EVALUATION_LOCK_KEY = 'alerts:evaluationLock'; // Holds the token of the instance evaluating.
+
+// Writes a rule's evaluation state only if the rule still exists and hasn't been edited since it was read
+// (an edit may have reset the state, which must not be overwritten with the state the evaluation started from).
+const WRITE_STATE_SCRIPT = `
+local json = redis.call('HGET', KEYS[1], ARGV[1])
+if not json then return 0 end
+local updatedAt = cjson.decode(json).updatedAt
+if type(updatedAt) ~= 'string' then updatedAt = '' end
+if updatedAt ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+return 1`;
+
+// Releases the evaluation lock only if this instance still holds it (it may have expired and been taken over).
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0`;
+
+// 'threshold' fires when the price crosses a level, 'percent_move' when it moves by a percentage within a window.
+export const ALERT_TYPES = ['threshold', 'percent_move'];
+export const ALERT_DIRECTIONS = {
+  threshold: ['above', 'below'],
+  percent_move: ['up', 'down', 'any']
+};
+
+const WINDOW_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a window such as '15m', '1h' or '2d'.
+ * @param {string} window - The window.
+ * @returns {number|null} The window in ms, or null if invalid or longer than 7 days.
+ */
+export function parseAlertWindow(window) {
+  const match = /^(\d+)([mhd])$/.exec(String(window));
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * WINDOW_UNITS_MS[match[2]];
+  return ms > 0 && ms <= ALERT_MAX_WINDOW_MS ? ms : null;
+}
+
+/**
+ * Formats a percentage with its sign.
+ * @param {number} pct - The percentage.
+ * @returns {string} E.g. '+5.21%'.
+ */
+const formatPct = (pct) => `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+
+/**
+ * Parses a stored rule and attaches its evaluation state.
+ * @param {string} json - The rule JSON.
+ * @param {string|null} stateJson - The state JSON; rules stored before the state was kept apart carry their own.
+ * @returns {object} The rule, with 'state'.
+ */
+const parseRule = (json, stateJson) => {
+  const rule = JSON.parse(json);
+  return stateJson ? { ...rule, state: JSON.parse(stateJson) } : rule;
+};
+
+/**
+ * Lists all alert rules, oldest first.
+ * @returns {Promise<Array<object>>} The rules.
+ */
+export async function listAlertRules() {
+  const [rules, states] = await Promise.all([redisClient.hGetAll(RULES_KEY), redisClient.hGetAll(STATES_KEY)]);
+  return Object.entries(rules)
+    .map(([id, json]) => parseRule(json, states[id]))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Reads one alert rule.
+ * @param {string} id - The rule ID.
+ * @returns {Promise<object|null>} The rule, or null.
+ */
+export async function getAlertRule(id) {
+  const [json, stateJson] = await Promise.all([redisClient.hGet(RULES_KEY, id), redisClient.hGet(STATES_KEY, id)]);
+  return json ? parseRule(json, stateJson) : null;
+}
+
+/**
+ * Stores a rule, and its evaluation state if given.
+ * @param {object} rule - The rule (its 'state' field is stored apart).
+ * @param {object} [state] - The state to store, or undefined to leave the stored state alone.
+ * @returns {Promise<void>}
+ */
+async function storeRule({ state: _state, ...rule }, state) {
+  const multi = redisClient.multi();
+  multi.hSet(RULES_KEY, rule.id, JSON.stringify(rule));
+  if (state) multi.hSet(STATES_KEY, rule.id, JSON.stringify(state));
+  await multi.exec();
+}
+
+/**
+ * Creates an alert rule.
+ * @param {object} fields - Validated fields: { symbol, type, direction, price (threshold) or
+ *   changePct and window (percent_move), name?, cooldownSeconds?, hysteresisPct? }.
+ * @returns {Promise<object>} The new rule.
+ */
+export async function createAlertRule(fields) {
+  const rule = {
+    id: crypto.randomUUID(),
+    name: null,
+    cooldownSeconds: ALERT_DEFAULT_COOLDOWN_SECONDS,
+    hysteresisPct: ALERT_DEFAULT_HYSTERESIS_PCT,
+    ...fields,
+    active: true,
+    createdAt: new Date().toISOString(),
+    // A threshold rule learns on its first evaluation which side of the level the price is on,
+    // so it only fires on an actual crossing. Percent-move rules start armed.
+    state: { armed: fields.type === 'percent_move' ? true : null, lastFiredAt: null, lastEvaluatedAt: null, lastPrice: null }
+  };
+  await storeRule(rule, rule.state);
+  console.log(`🔔 [Alerts] Created rule ${rule.id} (${describeRule(rule)}).`);
+  return rule;
+}
+
+/**
+ * Updates an alert rule. Changing what the rule watches resets its evaluation state.
+ * @param {string} id - The rule ID.
+ * @param {object} changes - Validated fields to change.
+ * @returns {Promise<object|null>} The updated rule, or null if not found.
+ */
+export async function updateAlertRule(id, changes) {
+  const rule = await getAlertRule(id);
+  if (!rule) return null;
+
+  const updated = { ...rule, ...changes, updatedAt: new Date().toISOString() };
+  const reset = ['symbol', 'direction', 'price', 'changePct', 'window'].some(field => field in changes);
+  if (reset) updated.state = { ...rule.state, armed: updated.type === 'percent_move' ? true : null };
+  await storeRule(updated, reset ? updated.state : undefined);
+  return updated;
+}
+
+/**
+ * Deletes an alert rule. Its history entries are kept.
+ * @param {string} id - The rule ID.
+ * @returns {Promise<boolean>} True if the rule existed.
+ */
+export async function deleteAlertRule(id) {
+  const multi = redisClient.multi();
+  multi.hDel(RULES_KEY, id);
+  multi.hDel(STATES_KEY, id);
+  const [deleted] = await multi.exec();
+  return deleted > 0;
+}
+
+/**
+ * Reads fired alerts, newest first.
+ * @param {object} [options={}] - Filters.
+ * @param {string} [options.ruleId] - Only alerts of this rule.
+ * @param {string} [options.symbol] - Only alerts for this symbol.
+ * @param {number} [options.limit=50] - Max alerts.
+ * @returns {Promise<Array<object>>} The alerts.
+ */
+export async function getAlertHistory({ ruleId, symbol, limit = 50 } = {}) {
+  const alerts = (await redisClient.lRange(HISTORY_KEY, 0, -1)).map(json => JSON.parse(json));
+  return alerts
+    .filter(alert => (!ruleId || alert.ruleId === ruleId) && (!symbol || alert.symbol === symbol))
+    .slice(0, limit);
+}
+
+/**
+ * Describes a rule for logs and alert messages.
+ * @param {object} rule - The rule.
+ * @returns {string} E.g. 'BTC above 100000' or 'ETH any 5% within 1h'.
+ */
+function describeRule(rule) {
+  if (rule.type === 'threshold') return `${rule.symbol} ${rule.direction} ${rule.price}`;
+  return `${rule.symbol} ${rule.direction} ${rule.changePct}% within ${rule.window}`;
+}
+
+/**
+ * Checks a threshold rule against the current price.
+ * Re-arms once the price is back on the other side of the level by more than hysteresisPct.
+ * @param {object} rule - The rule.
+ * @param {number} price - The current price.
+ * @returns {{triggered: boolean, rearm: boolean, details?: object, message?: string}} The outcome.
+ */
+function checkThreshold(rule, price) {
+  const band = rule.price * (rule.hysteresisPct / 100);
+  const triggered = rule.direction === 'above' ? price >= rule.price : price <= rule.price;
+  const rearm = rule.direction === 'above' ? price < rule.price - band : price > rule.price + band;
+  return {
+    triggered,
+    rearm,
+    details: { threshold: rule.price },
+    message: `${rule.symbol} crossed ${rule.direction} ${rule.price} (now ${price})`
+  };
+}
+
+/**
+ * Checks a percent-move rule against the current price and the prices within its window.
+ * 'up' compares with the window's low, 'down' with its high; 'any' takes the larger move.
+ * Re-arms once the move is back below changePct - hysteresisPct.
+ * @param {object} rule - The rule.
+ * @param {number} price - The current price.
+ * @param {Array<{timestamp: number, price: number}>} points - The price history within the window.
+ * @returns {{triggered: boolean, rearm: boolean, details?: object, message?: string}} The outcome.
+ */
+function checkPercentMove(rule, price, points) {
+  const prices = points.map(p => p.price).filter(p => p > 0);
+  if (prices.length === 0) return { triggered: false, rearm: false };
+
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  const up = { changePct: ((price - low) / low) * 100, referencePrice: low };
+  const down = { changePct: ((price - high) / high) * 100, referencePrice: high };
+  const move = rule.direction === 'up' ? up
+    : rule.direction === 'down' ? down
+      : (Math.abs(up.changePct) >= Math.abs(down.changePct) ? up : down);
+
+  const size = rule.direction === 'any' ? Math.abs(move.changePct)
+    : rule.direction === 'up' ? move.changePct : -move.changePct;
+  return {
+    triggered: size >= rule.changePct,
+    rearm: size < rule.changePct - rule.hysteresisPct,
+    details: { changePct: move.changePct, referencePrice: move.referencePrice, window: rule.window },
+    message: `${rule.symbol} moved ${formatPct(move.changePct)} within ${rule.window} (${move.referencePrice} -> ${price})`
+  };
+}
+
+/**
+ * Evaluates one rule and fires it if its condition is met, it is armed and its cooldown has passed.
+ * @param {object} rule - The rule.
+ * @param {number} price - The current price of the rule's symbol.
+ * @param {number} now - The evaluation time (ms epoch).
+ * @returns {Promise<object|null>} The fired alert, or null.
+ */
+async function evaluateRule(rule, price, now) {
+  let result;
+  if (rule.type === 'threshold') {
+    result = checkThreshold(rule, price);
+  } else {
+    const { points } = await getPriceHistory(rule.symbol, { from: now - parseAlertWindow(rule.window), to: now, limit: 5000 });
+    result = checkPercentMove(rule, price, points);
+  }
+
+  const state = { ...rule.state, lastEvaluatedAt: new Date(now).toISOString(), lastPrice: price };
+  let alert = null;
+
+  if (state.armed === null) {
+    state.armed = !result.triggered; // First look at a threshold rule: only a later crossing counts.
+  } else if (!state.armed) {
+    if (result.rearm) state.armed = true;
+  } else if (result.triggered) {
+    const coolingDown = state.lastFiredAt && now - Date.parse(state.lastFiredAt) < rule.cooldownSeconds * 1000;
+    if (!coolingDown) {
+      alert = {
+        id: crypto.randomUUID(),
+        ruleId: rule.id,
+        name: rule.name,
+        symbol: rule.symbol,
+        type: rule.type,
+        direction: rule.direction,
+        price,
+        ...result.details,
+        message: result.message,
+        firedAt: new Date(now).toISOString()
+      };
+      state.armed = false;
+      state.lastFiredAt = alert.firedAt;
+    }
+  }
+
+  // Only the state is written, and not at all if the rule was edited or deleted meanwhile.
+  await redisClient.eval(WRITE_STATE_SCRIPT, {
+    keys: [RULES_KEY, STATES_KEY],
+    arguments: [rule.id, rule.updatedAt || '', JSON.stringify(state)]
+  });
+  return alert;
+}
+
+/**
+ * Evaluates every active alert rule against freshly fetched prices. Fired alerts are
+ * recorded in the history and sent as 'alert.triggered' webhook events.
+ * Called after each price polling cycle; failures are logged and swallowed.
+ * @param {Array<{symbol: string, price: number}>} prices - The new prices.
+ */
+export async function evaluateAlerts(prices) {
+  try {
+    // Rule state lives in Redis, so instances must not evaluate at the same time (a busy lock skips this cycle).
+    const lockToken = crypto.randomUUID();
+    const locked = await redisClient.set(EVALUATION_LOCK_KEY, lockToken, { NX: true, EX: EVALUATION_LOCK_TTL_SECONDS });
+    if (!locked) return;
+
+    try {
+      const priceMap = new Map(prices.filter(p => p.price > 0).map(p => [p.symbol, p.price]));
+      const now = Date.now();
+
+      for (const rule of await listAlertRules()) {
+        if (!rule.active || !priceMap.has(rule.symbol)) continue;
+        const alert = await evaluateRule(rule, priceMap.get(rule.symbol), now);
+        if (!alert) continue;
+
+        const multi = redisClient.multi();
+        multi.lPush(HISTORY_KEY, JSON.stringify(alert));
+        multi.lTrim(HISTORY_KEY, 0, ALERT_HISTORY_LIMIT - 1);
+        await multi.exec();
+        console.log(`🚨 [Alerts] ${alert.message}`);
+        await emitWebhookEvent('alert.triggered', { alert });
+      }
+    } finally {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [EVALUATION_LOCK_KEY], arguments: [lockToken] });
+    }
+  } catch (error) {
+    console.error('💥 [Alerts] Evaluation failed:', error);
+  }
+}
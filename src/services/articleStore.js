@@ -0,0 +1,269 @@
+import dotenv from 'dotenv';
+import { redisClient } from '../../utils/redis.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// How long archived articles are kept (days). 0 keeps them forever. Independent of MAX_ARTICLES,
+// which only bounds the 'articles' key (the "latest N" cache).
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS ?? '90', 10) || 0;
+const LIST_DEFAULT_LIMIT = 20; // Page size when no limit is given.
+const LIST_MAX_LIMIT = 100; // Hard cap on page size.
+
+// Redis keys for the archive.
+const ARTICLE_KEY_PREFIX = 'article:'; // article:<apiId> -> article JSON.
+const BY_DATE_INDEX = 'articles:byDate'; // Sorted set: score = article time (ms), member = apiId.
+const BY_API_ID_INDEX = 'articles:byApiId'; // Sorted set: score = apiId, member = apiId.
+const LATEST_ARTICLES_KEY = 'articles'; // JSON array of the latest MAX_ARTICLES articles.
+const SOURCE_TEXT_KEY_PREFIX = 'articleSource:'; // articleSource:<apiId> -> original Telegram text.
+
+// Article statuses. Hidden articles (removed by a moderator) and held ones (below QUALITY_MIN_SCORE,
+// awaiting review) stay in storage but are left out of every public endpoint.
+export const ARTICLE_STATUSES = ['processed', 'hidden', 'held'];
+
+/**
+ * Sort key for articles: the Telegram message date when known, else the processing date.
+ * @param {object} article - A stored article.
+ * @returns {number} The timestamp in ms.
+ */
+export const articleSortTime = (article) => Date.parse(article.messageDate || article.date) || 0;
+
+/**
+ * Whether an article may be shown on public endpoints.
+ * @param {object} article - A stored article.
+ * @returns {boolean} False for hidden and held articles.
+ */
+export const isPublicArticle = (article) => article.status !== 'hidden' && article.status !== 'held';
+
+/**
+ * Builds the Redis key of an archived article.
+ * @param {number} apiId - The article's API ID.
+ * @returns {string} The Redis key.
+ */
+const articleKey = (apiId) => `${ARTICLE_KEY_PREFIX}${apiId}`;
+
+/**
+ * Encodes a pagination cursor from the last returned index entry.
+ * @param {number} score - The entry's score in the index.
+ * @param {string} member - The entry's member (apiId).
+ * @returns {string} An opaque, URL-safe cursor.
+ */
+const encodeCursor = (score, member) => Buffer.from(JSON.stringify({ s: score, m: member })).toString('base64url');
+
+/**
+ * Decodes a pagination cursor.
+ * @param {string} cursor - The cursor from a previous page.
+ * @returns {object|null} { score, member } or null if the cursor is invalid.
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { s, m } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return typeof s === 'number' && typeof m === 'string' ? { score: s, member: m } : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Writes an article to the archive and both indexes.
+ * @param {object} article - The article (must have an apiId).
+ * @param {object} [multi] - An open MULTI to add the commands to; when omitted they run immediately.
+ * @returns {Promise<void>}
+ */
+export async function saveArticle(article, multi = null) {
+  const pipeline = multi || redisClient.multi();
+  const member = article.apiId.toString();
+  pipeline.set(articleKey(article.apiId), JSON.stringify(article));
+  pipeline.zAdd(BY_DATE_INDEX, { score: articleSortTime(article), value: member });
+  pipeline.zAdd(BY_API_ID_INDEX, { score: article.apiId, value: member });
+  if (!multi) await pipeline.exec();
+}
+
+/**
+ * Replaces an article in both the archive and (if present) the latest-articles cache.
+ * @param {object} article - The updated article (matched by apiId).
+ * @returns {Promise<void>}
+ */
+export async function updateArticle(article) {
+  const latest = await getLatestArticles();
+  const multi = redisClient.multi();
+  saveArticle(article, multi);
+  if (latest.some(a => a.apiId === article.apiId)) {
+    multi.set(LATEST_ARTICLES_KEY, JSON.stringify(latest.map(a => (a.apiId === article.apiId ? article : a))));
+  }
+  await multi.exec();
+}
+
+/**
+ * Deletes an article from the archive, its indexes, its stored source text and the latest-articles cache.
+ * @param {number} apiId - The article's API ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteArticle(apiId) {
+  const latest = await getLatestArticles();
+  const member = apiId.toString();
+  const multi = redisClient.multi();
+  multi.del([articleKey(apiId), `${SOURCE_TEXT_KEY_PREFIX}${apiId}`]);
+  multi.zRem(BY_DATE_INDEX, member);
+  multi.zRem(BY_API_ID_INDEX, member);
+  if (latest.some(a => a.apiId === apiId)) {
+    multi.set(LATEST_ARTICLES_KEY, JSON.stringify(latest.filter(a => a.apiId !== apiId)));
+  }
+  await multi.exec();
+}
+
+/**
+ * Stores the original Telegram text an article was generated from (used to regenerate it).
+ * @param {number} apiId - The article's API ID.
+ * @param {string} text - The message text.
+ * @param {object} [multi] - An open MULTI to add the command to; when omitted it runs immediately.
+ * @returns {Promise<void>}
+ */
+export async function saveSourceText(apiId, text, multi = null) {
+  if (multi) multi.set(`${SOURCE_TEXT_KEY_PREFIX}${apiId}`, text);
+  else await redisClient.set(`${SOURCE_TEXT_KEY_PREFIX}${apiId}`, text);
+}
+
+/**
+ * Reads the original Telegram text of an article.
+ * @param {number} apiId - The article's API ID.
+ * @returns {Promise<string|null>} The text, or null if it wasn't stored.
+ */
+export async function getSourceText(apiId) {
+  return redisClient.get(`${SOURCE_TEXT_KEY_PREFIX}${apiId}`);
+}
+
+/**
+ * Reads a single archived article.
+ * @param {number} apiId - The article's API ID.
+ * @returns {Promise<object|null>} The article, or null if not found.
+ */
+export async function getArticle(apiId) {
+  const articleJson = await redisClient.get(articleKey(apiId));
+  return articleJson ? JSON.parse(articleJson) : null;
+}
+
+/**
+ * Lists the API IDs of every archived article, oldest first.
+ * @returns {Promise<string[]>} The API IDs.
+ */
+export async function getArchivedApiIds() {
+  return redisClient.zRange(BY_API_ID_INDEX, 0, -1);
+}
+
+/**
+ * Reads the "latest N" cache kept under the 'articles' key.
+ * @returns {Promise<Array<object>>} The cached articles, newest first.
+ */
+export async function getLatestArticles() {
+  const articlesJson = await redisClient.get(LATEST_ARTICLES_KEY);
+  return articlesJson ? JSON.parse(articlesJson) : [];
+}
+
+/**
+ * Lists archived articles with cursor pagination.
+ * @param {object} [options={}] - Query options.
+ * @param {string} [options.sort='date'] - Index to page through: 'date' or 'apiId'.
+ * @param {string} [options.order='desc'] - 'desc' (newest first) or 'asc'.
+ * @param {number} [options.limit] - Page size (capped at LIST_MAX_LIMIT).
+ * @param {string} [options.cursor] - Cursor returned by the previous page.
+ * @param {number} [options.since] - Only articles at or after this time (ms epoch).
+ * @param {number} [options.until] - Only articles at or before this time (ms epoch).
+ * @param {function(object): boolean} [options.filter] - Extra predicate applied to each article.
+ * @returns {Promise<{articles: Array<object>, nextCursor: string|null}>} The page and the cursor for the next one.
+ */
+export async function listArticles({ sort = 'date', order = 'desc', limit, cursor, since, until, filter } = {}) {
+  const pageSize = Math.min(limit || LIST_DEFAULT_LIMIT, LIST_MAX_LIMIT);
+  const byDate = sort !== 'apiId';
+  const index = byDate ? BY_DATE_INDEX : BY_API_ID_INDEX;
+  const descending = order !== 'asc';
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  // Date bounds can be applied on the date index directly; on the apiId index they filter loaded articles.
+  let min = byDate && since !== undefined ? since : '-inf';
+  let max = byDate && until !== undefined ? until : '+inf';
+  // Resume at the cursor's score (inclusive); entries up to and including the cursor are skipped below.
+  if (after) {
+    if (descending) max = after.score;
+    else min = after.score;
+  }
+
+  const articles = [];
+  let lastEntry = null;
+  let offset = 0;
+  let hasMore = true;
+  const batchSize = pageSize * 2;
+
+  while (articles.length < pageSize && hasMore) {
+    const entries = await redisClient.zRangeWithScores(index, descending ? max : min, descending ? min : max, {
+      BY: 'SCORE',
+      REV: descending || undefined,
+      LIMIT: { offset, count: batchSize }
+    });
+    offset += entries.length;
+
+    // Entries sharing the cursor's score are ordered by member; skip those already returned.
+    const fresh = entries.filter(({ score, value }) => !(after && score === after.score &&
+      (descending ? value >= after.member : value <= after.member)));
+    const loaded = fresh.length > 0 ? await redisClient.mGet(fresh.map(({ value }) => articleKey(value))) : [];
+
+    let consumed = 0;
+    for (; consumed < fresh.length && articles.length < pageSize; consumed++) {
+      lastEntry = fresh[consumed];
+      if (!loaded[consumed]) continue; // Pruned article whose index entry is still present.
+      const article = JSON.parse(loaded[consumed]);
+      const time = articleSortTime(article);
+      if (!byDate && ((since !== undefined && time < since) || (until !== undefined && time > until))) continue;
+      if (filter && !filter(article)) continue;
+      articles.push(article);
+    }
+
+    hasMore = entries.length === batchSize || consumed < fresh.length;
+  }
+
+  return { articles, nextCursor: hasMore && lastEntry ? encodeCursor(lastEntry.score, lastEntry.value) : null };
+}
+
+/**
+ * Removes archived articles older than ARCHIVE_RETENTION_DAYS, along with their index entries.
+ * @returns {Promise<number>} The number of articles removed.
+ */
+export async function pruneArchive() {
+  if (ARCHIVE_RETENTION_DAYS <= 0) return 0;
+  const cutoff = Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = await redisClient.zRangeByScore(BY_DATE_INDEX, '-inf', cutoff);
+  if (expired.length === 0) return 0;
+
+  const multi = redisClient.multi();
+  multi.del([...expired.map(articleKey), ...expired.map(apiId => `${SOURCE_TEXT_KEY_PREFIX}${apiId}`)]);
+  multi.zRem(BY_DATE_INDEX, expired);
+  multi.zRem(BY_API_ID_INDEX, expired);
+  await multi.exec();
+  console.log(`🧹 [Archive] Pruned ${expired.length} article(s) older than ${ARCHIVE_RETENTION_DAYS} days.`);
+  return expired.length;
+}
+
+/**
+ * Prepares the archive on startup: copies any cached articles that predate the archive
+ * into it, then applies the retention policy.
+ * @returns {Promise<void>}
+ */
+export async function initializeArticleStore() {
+  try {
+    const cached = await getLatestArticles();
+    const missing = [];
+    for (const article of cached) {
+      if (article.apiId && !(await redisClient.exists(articleKey(article.apiId)))) missing.push(article);
+    }
+    if (missing.length > 0) {
+      const multi = redisClient.multi();
+      missing.forEach(article => saveArticle(article, multi));
+      await multi.exec();
+      console.log(`   [Archive] Archived ${missing.length} previously cached article(s).`);
+    }
+    await pruneArchive();
+    console.log(`✅ [Archive] Article store ready (retention: ${ARCHIVE_RETENTION_DAYS > 0 ? `${ARCHIVE_RETENTION_DAYS} days` : 'unlimited'}).`);
+  } catch (error) {
+    console.error('💥 [Archive] Article store initialization failed:', error);
+  }
+}
@@ -0,0 +1,142 @@
+import dotenv from 'dotenv';
+import { redisClient } from '../../utils/redis.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Retries back off exponentially: base * 2^(attempts - 1), capped at DLQ_RETRY_MAX_MS.
+const DLQ_RETRY_BASE_MS = parseInt(process.env.DLQ_RETRY_BASE_MS) || 5 * 60 * 1000; // 5 minutes.
+const DLQ_RETRY_MAX_MS = parseInt(process.env.DLQ_RETRY_MAX_MS) || 6 * 60 * 60 * 1000; // 6 hours.
+// After this many failed attempts a message is no longer retried automatically.
+const DLQ_MAX_ATTEMPTS = parseInt(process.env.DLQ_MAX_ATTEMPTS) || 5;
+
+// Redis keys. Records are persistent (no TTL) until the message succeeds.
+const RECORD_KEY_PREFIX = 'dlq:record:'; // dlq:record:<channel>:<messageId> -> record JSON.
+const BY_FAILURE_INDEX = 'dlq:byLastFailure'; // Sorted set: score = last failure time, member = record ID.
+const RETRY_QUEUE = 'dlq:retryQueue'; // Sorted set: score = next retry time, member = record ID.
+
+// Record statuses: 'pending' records are retried automatically, 'exhausted' ones only on request.
+export const FAILURE_STATUSES = ['pending', 'exhausted'];
+
+/**
+ * Builds the ID of a dead-letter record. Message IDs are only unique per channel.
+ * @param {string} channel - The channel.
+ * @param {number} messageId - The Telegram message ID.
+ * @returns {string} The record ID ('<channel>:<messageId>').
+ */
+export const failureId = (channel, messageId) => `${channel}:${messageId}`;
+
+/**
+ * Splits a record ID back into its channel and message ID.
+ * @param {string} id - The record ID.
+ * @returns {{channel: string, messageId: number}|null} The parts, or null if malformed.
+ */
+export const parseFailureId = (id) => {
+  const separatorIndex = id.lastIndexOf(':');
+  const messageId = parseInt(id.slice(separatorIndex + 1), 10);
+  if (separatorIndex <= 0 || isNaN(messageId)) return null;
+  return { channel: id.slice(0, separatorIndex), messageId };
+};
+
+/**
+ * Computes the delay before the next automatic retry.
+ * @param {number} attempts - Failed attempts so far.
+ * @returns {number} The delay in ms.
+ */
+const retryDelay = (attempts) => Math.min(DLQ_RETRY_BASE_MS * 2 ** (attempts - 1), DLQ_RETRY_MAX_MS);
+
+/**
+ * Reads a dead-letter record.
+ * @param {string} id - The record ID.
+ * @returns {Promise<object|null>} The record, or null if none exists.
+ */
+export async function getFailure(id) {
+  const recordJson = await redisClient.get(`${RECORD_KEY_PREFIX}${id}`);
+  return recordJson ? JSON.parse(recordJson) : null;
+}
+
+/**
+ * Records a failed processing attempt and schedules the next retry with exponential backoff.
+ * @param {object} failure - The failure details.
+ * @param {string} failure.channel - The channel.
+ * @param {number} failure.messageId - The Telegram message ID.
+ * @param {string} failure.reason - Why processing failed.
+ * @param {string} failure.text - The raw message text.
+ * @param {string[]} [failure.attemptedModels=[]] - Models tried during this attempt.
+ * @returns {Promise<object>} The updated record.
+ */
+export async function recordFailure({ channel, messageId, reason, text, attemptedModels = [] }) {
+  const id = failureId(channel, messageId);
+  const existing = await getFailure(id);
+  const now = Date.now();
+  const attempts = (existing?.attempts || 0) + 1;
+  const exhausted = attempts >= DLQ_MAX_ATTEMPTS;
+
+  const record = {
+    id,
+    channel,
+    messageId,
+    reason,
+    text,
+    attemptedModels,
+    attempts,
+    status: exhausted ? 'exhausted' : 'pending',
+    firstFailedAt: existing?.firstFailedAt || new Date(now).toISOString(),
+    lastFailedAt: new Date(now).toISOString(),
+    nextRetryAt: exhausted ? null : new Date(now + retryDelay(attempts)).toISOString()
+  };
+
+  const multi = redisClient.multi();
+  multi.set(`${RECORD_KEY_PREFIX}${id}`, JSON.stringify(record));
+  multi.zAdd(BY_FAILURE_INDEX, { score: now, value: id });
+  if (exhausted) multi.zRem(RETRY_QUEUE, id);
+  else multi.zAdd(RETRY_QUEUE, { score: now + retryDelay(attempts), value: id });
+  await multi.exec();
+
+  console.warn(`   [DLQ] ${id} failed (attempt ${attempts}/${DLQ_MAX_ATTEMPTS}): ${reason}` +
+    (exhausted ? ' - no more automatic retries.' : ` - next retry at ${record.nextRetryAt}.`));
+  return record;
+}
+
+/**
+ * Removes a message from the dead-letter queue (after it was processed successfully).
+ * @param {string} channel - The channel.
+ * @param {number} messageId - The Telegram message ID.
+ * @param {object} [multi] - An open MULTI to add the commands to; when omitted they run immediately.
+ * @returns {Promise<void>}
+ */
+export async function resolveFailure(channel, messageId, multi = null) {
+  const id = failureId(channel, messageId);
+  const pipeline = multi || redisClient.multi();
+  pipeline.del(`${RECORD_KEY_PREFIX}${id}`);
+  pipeline.zRem(BY_FAILURE_INDEX, id);
+  pipeline.zRem(RETRY_QUEUE, id);
+  if (!multi) await pipeline.exec();
+}
+
+/**
+ * Lists the IDs of failures whose next retry is due.
+ * @param {number} [limit=10] - Max IDs to return.
+ * @returns {Promise<string[]>} The due record IDs, most overdue first.
+ */
+export async function getDueFailureIds(limit = 10) {
+  return redisClient.zRange(RETRY_QUEUE, '-inf', Date.now(), { BY: 'SCORE', LIMIT: { offset: 0, count: limit } });
+}
+
+/**
+ * Lists dead-letter records, most recently failed first.
+ * @param {object} [options={}] - Query options.
+ * @param {string} [options.status] - Only 'pending' or 'exhausted' records.
+ * @param {string} [options.channel] - Only records of this channel.
+ * @param {number} [options.limit=50] - Max records.
+ * @returns {Promise<{total: number, failures: Array<object>}>} The total count and the records.
+ */
+export async function listFailures({ status, channel, limit = 50 } = {}) {
+  const ids = await redisClient.zRange(BY_FAILURE_INDEX, 0, -1, { REV: true });
+  const records = ids.length > 0 ? await redisClient.mGet(ids.map(id => `${RECORD_KEY_PREFIX}${id}`)) : [];
+  const failures = records
+    .filter(Boolean)
+    .map(recordJson => JSON.parse(recordJson))
+    .filter(record => (!status || record.status === status) && (!channel || record.channel === channel));
+  return { total: failures.length, failures: failures.slice(0, limit) };
+}
@@ -0,0 +1,262 @@
+import dotenv from 'dotenv';
+import { redisClient } from '../../utils/redis.js';
+import { getArticle, updateArticle, listArticles, getSourceText } from './articleStore.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Messages are compared with the articles of the last DEDUP_WINDOW_HOURS, before the AI call:
+// first by canonical source URL, then by MinHash similarity of the raw message text.
+const DEDUP_ENABLED = process.env.DEDUP_ENABLED !== 'false';
+const DEDUP_WINDOW_HOURS = parseFloat(process.env.DEDUP_WINDOW_HOURS) || 72;
+const DEDUP_SIMILARITY_THRESHOLD = parseFloat(process.env.DEDUP_SIMILARITY_THRESHOLD) || 0.8; // Estimated Jaccard similarity (0-1).
+const DEDUP_MIN_WORDS = parseInt(process.env.DEDUP_MIN_WORDS) || 8; // Shorter messages are only matched by URL.
+const WINDOW_MS = DEDUP_WINDOW_HOURS * 60 * 60 * 1000;
+const SHINGLE_SIZE = 3; // Words per shingle.
+const SIGNATURE_SIZE = 64; // MinHash values per signature.
+const MAX_EXTRA_SOURCES = 50; // Cap on the sources linked to one article.
+
+// Redis keys.
+const URL_KEY_PREFIX = 'dedup:url:'; // dedup:url:<canonical URL> -> apiId (expires after the window).
+const SIGNATURES_KEY = 'dedup:signatures'; // Hash: apiId -> MinHash signature JSON.
+const RECENT_KEY = 'dedup:recent'; // Sorted set: score = time (ms), member = apiId; bounds the signatures hash.
+
+// Query parameters that only track where a click came from.
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'igsh', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'ref', 'ref_src', 'ref_url', 'referrer', 'si', 'cmpid', 'spm',
+  ...(process.env.DEDUP_STRIP_PARAMS || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+]);
+const TRACKING_PARAM_PREFIXES = ['utm_', 'hsa_', 'pk_', 'mtm_'];
+const HOST_PREFIXES = /^(?:www\d*|m|mobile|amp)\./; // Subdomains that serve the same page.
+
+/**
+ * Canonicalises a source URL so reposts of the same link compare equal: https scheme, host without
+ * 'www.'/'m.'/'amp.', no tracking parameters, remaining parameters sorted, no fragment or trailing slash.
+ * @param {string} url - The URL.
+ * @returns {string|null} The canonical URL, or null if it isn't a valid http(s) URL.
+ */
+export function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  const host = parsed.hostname.replace(HOST_PREFIXES, '');
+  const params = [...parsed.searchParams]
+    .filter(([name]) => {
+      const lower = name.toLowerCase();
+      return !TRACKING_PARAMS.has(lower) && !TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  return `https://${host}${parsed.port ? `:${parsed.port}` : ''}${path}${query}`;
+}
+
+/**
+ * Whether a canonical URL points at a specific page. Home pages (a channel's footer link, say)
+ * are shared by unrelated messages, so they never count as a match.
+ * @param {string} canonical - A canonical URL.
+ * @returns {boolean} True if it has a path or a query.
+ */
+const isSpecificUrl = (canonical) => {
+  const { pathname, search } = new URL(canonical);
+  return pathname.length > 1 || search.length > 0;
+};
+
+/**
+ * Murmur3's 32-bit finalizer: mixes the bits of an integer.
+ * @param {number} h - The input.
+ * @returns {number} The mixed, unsigned 32-bit value.
+ */
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * FNV-1a hash of a string.
+ * @param {string} str - The string.
+ * @returns {number} The unsigned 32-bit hash.
+ */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// One seed per hash function of the signature (fixed, so signatures stay comparable across restarts).
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32((i + 1) * 0x9e3779b9));
+
+/**
+ * Splits a message into normalised words: lowercase, without URLs, punctuation or emoji.
+ * @param {string} text - The message text.
+ * @returns {string[]} The words.
+ */
+const messageWords = (text) => (text || '')
+  .toLowerCase()
+  .replace(/https?:\/\/\S+/g, ' ')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Computes the MinHash signature of a message's word shingles.
+ * @param {string} text - The message text.
+ * @returns {number[]|null} The signature, or null if the message is too short to compare.
+ */
+export function textSignature(text) {
+  const words = messageWords(text);
+  if (words.length < DEDUP_MIN_WORDS) return null;
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    for (let j = 0; j < SIGNATURE_SIZE; j++) {
+      const value = fmix32(shingle ^ SEEDS[j]);
+      if (value < signature[j]) signature[j] = value;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimates the Jaccard similarity of two messages from their signatures.
+ * @param {number[]} a - A signature.
+ * @param {number[]} b - Another signature.
+ * @returns {number} The share of matching values (0-1).
+ */
+export const signatureSimilarity = (a, b) => a.filter((value, i) => value === b[i]).length / SIGNATURE_SIZE;
+
+/**
+ * Looks for an article of the dedupe window that a message repeats.
+ * @param {string} text - The raw message text.
+ * @param {string} url - The source URL extracted from the message.
+ * @returns {Promise<{apiId: number, matchedBy: string, similarity: number|null}|null>} The original
+ *   ('url' or 'text' match), or null if the message is new (or deduplication is disabled).
+ */
+export async function findDuplicate(text, url) {
+  if (!DEDUP_ENABLED) return null;
+
+  const canonical = canonicalizeUrl(url);
+  if (canonical && isSpecificUrl(canonical)) {
+    const apiId = await redisClient.get(`${URL_KEY_PREFIX}${canonical}`);
+    if (apiId) return { apiId: parseInt(apiId, 10), matchedBy: 'url', similarity: null };
+  }
+
+  const signature = textSignature(text);
+  if (!signature) return null;
+
+  let best = null;
+  for (const [apiId, json] of Object.entries(await redisClient.hGetAll(SIGNATURES_KEY))) {
+    const similarity = signatureSimilarity(signature, JSON.parse(json));
+    if (similarity >= DEDUP_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { apiId: parseInt(apiId, 10), matchedBy: 'text', similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Adds an article's URL and text signature to the dedupe index.
+ * @param {number} apiId - The article's API ID.
+ * @param {string} text - The raw message text.
+ * @param {string} url - The source URL.
+ * @param {object} [multi] - An open MULTI to add the commands to; when omitted they run immediately.
+ * @param {number} [time=Date.now()] - When the article was published (ms epoch).
+ * @returns {Promise<void>}
+ */
+export async function registerArticle(apiId, text, url, multi = null, time = Date.now()) {
+  if (!DEDUP_ENABLED) return;
+  const pipeline = multi || redisClient.multi();
+  const ttlSeconds = Math.max(1, Math.ceil((time + WINDOW_MS - Date.now()) / 1000));
+
+  const canonical = canonicalizeUrl(url);
+  if (canonical && isSpecificUrl(canonical)) {
+    pipeline.set(`${URL_KEY_PREFIX}${canonical}`, apiId.toString(), { EX: ttlSeconds });
+  }
+  const signature = textSignature(text);
+  if (signature) {
+    pipeline.hSet(SIGNATURES_KEY, apiId.toString(), JSON.stringify(signature));
+    pipeline.zAdd(RECENT_KEY, { score: time, value: apiId.toString() });
+  }
+  if (!multi) await pipeline.exec();
+}
+
+/**
+ * Drops signatures that fell out of the dedupe window. (URL entries expire on their own.)
+ * @returns {Promise<void>}
+ */
+export async function pruneDedupIndex() {
+  const expired = await redisClient.zRangeByScore(RECENT_KEY, '-inf', Date.now() - WINDOW_MS);
+  if (expired.length === 0) return;
+  const multi = redisClient.multi();
+  multi.hDel(SIGNATURES_KEY, expired);
+  multi.zRem(RECENT_KEY, expired);
+  await multi.exec();
+}
+
+/**
+ * Links a duplicate message to the original article as an extra source, and points its URL at
+ * the original too. A message already linked is not added twice.
+ * @param {{apiId: number, matchedBy: string, similarity: number|null}} duplicate - The match from findDuplicate.
+ * @param {object} source - The duplicate: { url, channel, messageId, messageDate }.
+ * @returns {Promise<object|null>} The updated article, or null if the original no longer exists.
+ */
+export async function linkDuplicate(duplicate, source) {
+  const article = await getArticle(duplicate.apiId);
+  if (!article) return null;
+
+  const extraSources = article.extraSources || [];
+  const alreadyLinked = extraSources.some(s => s.channel === source.channel && s.messageId === source.messageId)
+    || (article.channel === source.channel && article.id === source.messageId);
+  if (alreadyLinked) return article;
+
+  const updated = {
+    ...article,
+    extraSources: [
+      ...extraSources,
+      { ...source, matchedBy: duplicate.matchedBy, similarity: duplicate.similarity, linkedAt: new Date().toISOString() }
+    ].slice(-MAX_EXTRA_SOURCES)
+  };
+  await updateArticle(updated);
+  await registerArticle(updated.apiId, '', source.url, null, Date.parse(article.date) || Date.now());
+  return updated;
+}
+
+/**
+ * Rebuilds the dedupe index for the articles of the current window from their stored source
+ * texts, so duplicates are caught right after a restart or an upgrade.
+ * @returns {Promise<void>}
+ */
+export async function initializeDedupIndex() {
+  if (!DEDUP_ENABLED) return;
+  try {
+    await pruneDedupIndex();
+    let indexed = 0;
+    let cursor;
+    do {
+      const page = await listArticles({ since: Date.now() - WINDOW_MS, limit: 100, cursor });
+      for (const article of page.articles) {
+        if (await redisClient.hExists(SIGNATURES_KEY, article.apiId.toString())) continue;
+        const text = await getSourceText(article.apiId);
+        await registerArticle(article.apiId, text || '', article.source, null, Date.parse(article.date) || Date.now());
+        indexed++;
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+    console.log(`✅ [Dedup] Index ready (${indexed} article(s) newly indexed).`);
+  } catch (error) {
+    console.error('💥 [Dedup] Index initialization failed:', error);
+  }
+}
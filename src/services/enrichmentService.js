@@ -0,0 +1,328 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import dotenv from 'dotenv';
+import { JSDOM } from 'jsdom';
+import { redisClient } from '../../utils/redis.js';
+import { parseDomains, matchesDomain, normalizeHost } from '../../utils/domains.js';
+import { canonicalizeUrl } from './dedupService.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Before the AI call, the message's source link is fetched and its readable content, title,
+// publish date and image are extracted, so the model writes from the page rather than the teaser.
+const ENRICHMENT_ENABLED = process.env.ENRICHMENT_ENABLED !== 'false';
+const ENRICHMENT_TIMEOUT_MS = parseInt(process.env.ENRICHMENT_TIMEOUT_MS) || 8000; // Whole request, including the body.
+const ENRICHMENT_MAX_BYTES = parseInt(process.env.ENRICHMENT_MAX_BYTES) || 2 * 1024 * 1024; // Larger pages are not read.
+const ENRICHMENT_MAX_CHARS = parseInt(process.env.ENRICHMENT_MAX_CHARS) || 6000; // Content passed on to the AI.
+const ENRICHMENT_CACHE_TTL_SECONDS = parseInt(process.env.ENRICHMENT_CACHE_TTL_SECONDS) || 24 * 60 * 60;
+const ENRICHMENT_FAILURE_TTL_SECONDS = 10 * 60; // Failed fetches are retried after this long.
+const ENRICHMENT_MAX_REDIRECTS = 5;
+const MIN_PARAGRAPH_CHARS = 40; // Shorter blocks (bylines, captions, buttons) are left out of the content.
+
+// Only these domains (and their subdomains) are fetched when set; private addresses are only reachable when listed here.
+const ENRICHMENT_ALLOW_DOMAINS = parseDomains(process.env.ENRICHMENT_ALLOW_DOMAINS);
+// Never fetched. Social and video pages carry no article text, so they're denied by default.
+const ENRICHMENT_DENY_DOMAINS = parseDomains(process.env.ENRICHMENT_DENY_DOMAINS ?? 't.me,telegram.me,twitter.com,x.com,youtube.com,youtu.be');
+
+const CACHE_KEY_PREFIX = 'enrichment:'; // enrichment:<sha1 of canonical URL> -> page JSON, or { error }.
+const USER_AGENT = `${process.env.APP_NAME || 'Crypto AI News'} (+${process.env.SITE_URL || 'https://localhost'})`;
+
+// Elements that never hold the article text.
+const BOILERPLATE_SELECTOR = 'script, style, noscript, template, iframe, svg, form, nav, header, footer, aside, button, [role="navigation"], [aria-hidden="true"]';
+// Where the article text usually is, most specific first.
+const CONTENT_SELECTORS = ['[itemprop="articleBody"]', 'article', 'main', '[role="main"]'];
+
+// Addresses that are not publicly routable. BlockList matches IPv4-mapped IPv6 addresses (::ffff:a.b.c.d,
+// in dotted or hex notation) against the IPv4 ranges itself; the IPv4-compatible and NAT64 ranges lead to
+// IPv4 hosts without naming them, so they are refused whole.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 3]
+]) PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not publicly routable.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} True for non-public addresses (and for anything that isn't an IP address).
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a host may be connected to at an address: private addresses only for explicitly allowed hosts.
+ * @param {string} host - The host name (or IP literal) being connected to.
+ * @param {string} address - The IP address it resolved to.
+ * @returns {boolean} True if the connection is blocked.
+ */
+const isBlockedAddress = (host, address) =>
+  !matchesDomain(normalizeHost(host), ENRICHMENT_ALLOW_DOMAINS) && isPrivateAddress(address);
+
+/**
+ * DNS lookup for page downloads that fails for hosts resolving to a private address. It runs for every
+ * connection (the first request and each redirect), on the very addresses connected to, so neither a
+ * redirect nor a rebinding domain can reach an internal host.
+ * @param {string} hostname - The host to resolve.
+ * @param {object} options - dns.lookup options.
+ * @param {function} callback - Called with (error, address, family), or (error, addresses) when options.all is set.
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isBlockedAddress(hostname, entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Creates an agent that connects through guardedLookup. IP literals are never looked up, so they
+ * are checked before connecting.
+ * @param {function} Agent - http.Agent or https.Agent.
+ * @returns {object} The agent.
+ */
+const createGuardedAgent = (Agent) => {
+  const agent = new Agent({ lookup: guardedLookup });
+  const createConnection = agent.createConnection.bind(agent);
+  agent.createConnection = (options, callback) => {
+    const host = String(options.host || '').replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host, host)) {
+      process.nextTick(callback, new Error(`${host} is a private address`));
+      return undefined;
+    }
+    return createConnection(options, callback);
+  };
+  return agent;
+};
+
+const httpAgent = createGuardedAgent(http.Agent);
+const httpsAgent = createGuardedAgent(https.Agent);
+
+/**
+ * Checks whether a URL may be fetched: http(s) and allowed by the domain lists. Private addresses
+ * are refused when connecting (see guardedLookup).
+ * @param {string} url - The URL.
+ * @returns {string|null} Why it may not be fetched, or null if it may.
+ */
+function fetchBlockReason(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 'invalid URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'unsupported protocol';
+
+  const host = normalizeHost(parsed.hostname);
+  if (matchesDomain(host, ENRICHMENT_DENY_DOMAINS)) return 'domain denied';
+  if (ENRICHMENT_ALLOW_DOMAINS.length > 0 && !matchesDomain(host, ENRICHMENT_ALLOW_DOMAINS)) return 'domain not allowed';
+  return null;
+}
+
+/**
+ * Collapses whitespace in a string.
+ * @param {string} str - The string.
+ * @returns {string} The trimmed string with single spaces.
+ */
+const squash = (str) => (str || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Reads the first non-empty meta tag content among the selectors.
+ * @param {Document} document - The page.
+ * @param {string[]} selectors - Meta tag selectors, in order of preference.
+ * @returns {string|null} The content, or null.
+ */
+const metaContent = (document, selectors) => {
+  for (const selector of selectors) {
+    const value = squash(document.querySelector(selector)?.getAttribute('content'));
+    if (value) return value;
+  }
+  return null;
+};
+
+/**
+ * Finds a publish date in the page's JSON-LD blocks.
+ * @param {Document} document - The page.
+ * @returns {string|null} The raw datePublished value, or null.
+ */
+function jsonLdPublishDate(document) {
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = [].concat(data, data?.['@graph'] || []);
+      const item = items.find(entry => entry && typeof entry.datePublished === 'string');
+      if (item) return item.datePublished;
+    } catch (_) { /* Ignore malformed JSON-LD */ }
+  }
+  return null;
+}
+
+/**
+ * Finds the element holding the article text: a known article container, or else the
+ * element with the most paragraph text directly inside it.
+ * @param {Document} document - The page (boilerplate already removed).
+ * @returns {Element} The content root.
+ */
+function findContentRoot(document) {
+  for (const selector of CONTENT_SELECTORS) {
+    const candidates = [...document.querySelectorAll(selector)];
+    const best = candidates.sort((a, b) => b.textContent.length - a.textContent.length)[0];
+    if (best && squash(best.textContent).length >= MIN_PARAGRAPH_CHARS * 3) return best;
+  }
+
+  const scores = new Map();
+  for (const paragraph of document.querySelectorAll('p')) {
+    const parent = paragraph.parentElement;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + squash(paragraph.textContent).length);
+  }
+  const [best] = [...scores.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  return best || document.body;
+}
+
+/**
+ * Extracts the readable content and metadata from an HTML page. Scripts are never run.
+ * @param {string} html - The page HTML.
+ * @param {string} url - The page URL (used to resolve a relative image URL).
+ * @returns {{title: string|null, publishedAt: string|null, image: string|null, content: string}} The page.
+ */
+export function extractPage(html, url) {
+  const { document } = new JSDOM(html, { url }).window;
+
+  const title = metaContent(document, ['meta[property="og:title"]', 'meta[name="twitter:title"]'])
+    || squash(document.querySelector('title')?.textContent)
+    || squash(document.querySelector('h1')?.textContent)
+    || null;
+
+  const rawDate = metaContent(document, [
+    'meta[property="article:published_time"]', 'meta[property="og:published_time"]',
+    'meta[name="pubdate"]', 'meta[name="publish-date"]', 'meta[name="date"]', 'meta[itemprop="datePublished"]'
+  ]) || jsonLdPublishDate(document) || document.querySelector('time[datetime]')?.getAttribute('datetime');
+  const publishedTime = rawDate ? Date.parse(rawDate) : NaN;
+
+  let image = metaContent(document, ['meta[property="og:image"]', 'meta[property="og:image:url"]', 'meta[name="twitter:image"]']);
+  try {
+    const resolved = image ? new URL(image, url) : null;
+    image = resolved && /^https?:$/.test(resolved.protocol) ? resolved.toString() : null;
+  } catch (_) {
+    image = null;
+  }
+
+  document.querySelectorAll(BOILERPLATE_SELECTOR).forEach(element => element.remove());
+  const root = findContentRoot(document);
+  const blocks = [...root.querySelectorAll('p, h2, h3, li, blockquote')]
+    .filter(element => !element.parentElement?.closest('p, li, blockquote')) // Nested blocks are part of their parent's text.
+    .map(element => squash(element.textContent))
+    .filter(text => text.length >= MIN_PARAGRAPH_CHARS);
+  const content = (blocks.length > 0 ? blocks.join('\n\n') : squash(root.textContent)).substring(0, ENRICHMENT_MAX_CHARS);
+
+  return {
+    title,
+    publishedAt: Number.isNaN(publishedTime) ? null : new Date(publishedTime).toISOString(),
+    image,
+    content
+  };
+}
+
+/**
+ * Downloads a page, within the timeout and size limits. Redirects are followed, but a redirect
+ * to a denied domain fails the request, as does any connection to a private address.
+ * @param {string} url - The page URL.
+ * @returns {Promise<{html: string, finalUrl: string}>} The HTML and the URL it was served from.
+ * @throws {Error} If the request fails, the page isn't HTML or a limit is exceeded.
+ */
+async function downloadPage(url) {
+  let finalUrl = url;
+  const response = await axios.get(url, {
+    timeout: ENRICHMENT_TIMEOUT_MS,
+    signal: AbortSignal.timeout(ENRICHMENT_TIMEOUT_MS), // 'timeout' alone doesn't bound a slow body.
+    maxContentLength: ENRICHMENT_MAX_BYTES,
+    maxRedirects: ENRICHMENT_MAX_REDIRECTS,
+    responseType: 'text',
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+    httpAgent,
+    httpsAgent,
+    beforeRedirect: (options) => {
+      finalUrl = options.href;
+      const blockReason = fetchBlockReason(options.href);
+      if (blockReason) throw new Error(`redirect to blocked URL (${blockReason})`);
+    }
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (!/html/i.test(contentType)) throw new Error(`not an HTML page (${contentType || 'no content type'})`);
+  return { html: response.data, finalUrl };
+}
+
+/**
+ * Builds the cache key of a URL.
+ * @param {string} url - The URL.
+ * @returns {string} The Redis key.
+ */
+const cacheKey = (url) => `${CACHE_KEY_PREFIX}${crypto.createHash('sha1').update(canonicalizeUrl(url) || url).digest('hex')}`;
+
+/**
+ * Fetches a message's source page and extracts its content and metadata. Results (including
+ * failures, for a shorter time) are cached per canonical URL. Never throws: failures are logged.
+ * @param {string} url - The source URL.
+ * @returns {Promise<{url: string, title: string|null, publishedAt: string|null, image: string|null, content: string}|null>}
+ *   The page, or null if it couldn't be fetched, is blocked or has no content (or enrichment is disabled).
+ */
+export async function enrichSourceUrl(url) {
+  if (!ENRICHMENT_ENABLED || !url) return null;
+  const key = cacheKey(url);
+
+  try {
+    const cached = await redisClient.get(key);
+    if (cached) {
+      const page = JSON.parse(cached);
+      return page.error ? null : page;
+    }
+  } catch (error) {
+    console.error('   [Enrichment] Cache read failed:', error.message);
+  }
+
+  let page = null;
+  let failure = null;
+  try {
+    const blockReason = fetchBlockReason(url);
+    if (blockReason) {
+      failure = blockReason;
+    } else {
+      const startTime = Date.now();
+      const { html, finalUrl } = await downloadPage(url);
+      const extracted = extractPage(html, finalUrl);
+      if (extracted.content.length < MIN_PARAGRAPH_CHARS) {
+        failure = 'no readable content';
+      } else {
+        page = { url: finalUrl, ...extracted, fetchedAt: new Date().toISOString() };
+        console.log(`   [Enrichment] Fetched ${finalUrl} (${extracted.content.length} chars, ${Date.now() - startTime}ms).`);
+      }
+    }
+  } catch (error) {
+    failure = axios.isCancel(error) || error.code === 'ECONNABORTED' ? `timed out after ${ENRICHMENT_TIMEOUT_MS}ms` : error.message;
+  }
+  if (failure) console.warn(`   [Enrichment] Skipping ${url}: ${failure}`);
+
+  try {
+    const value = JSON.stringify(page || { error: failure });
+    await redisClient.set(key, value, { EX: page ? ENRICHMENT_CACHE_TTL_SECONDS : ENRICHMENT_FAILURE_TTL_SECONDS });
+  } catch (error) {
+    console.error('   [Enrichment] Cache write failed:', error.message);
+  }
+  return page;
+}
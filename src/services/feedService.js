@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Configuration ---
+const FEED_TITLE = process.env.FEED_TITLE || 'Crypto AI News';
+const FEED_DESCRIPTION = process.env.FEED_DESCRIPTION || 'AI-written crypto news from monitored Telegram channels.';
+export const FEED_ITEM_LIMIT = Math.min(parseInt(process.env.FEED_ITEM_LIMIT) || 50, 100); // Items per feed (the archive pages at most 100).
+
+// Supported formats and their content types.
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+/**
+ * Escapes a string for use in XML text and attribute values.
+ * @param {string} str - The raw string.
+ * @returns {string} The escaped string.
+ */
+const escapeXml = (str) => String(str ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+/**
+ * Builds the stable, globally unique ID of an article (its API URL).
+ * @param {string} siteUrl - The public site URL.
+ * @param {object} article - The article.
+ * @returns {string} The GUID.
+ */
+const articleGuid = (siteUrl, article) => `${siteUrl}/api/articles/${article.apiId}`;
+
+/**
+ * The time an article last changed (moderator edits included).
+ * @param {object} article - The article.
+ * @returns {number} The timestamp in ms.
+ */
+const articleUpdatedTime = (article) => Date.parse(article.editedAt || article.date) || 0;
+
+/**
+ * Computes the HTTP validators of a feed. The ETag covers the format, the variant
+ * (filters) and the ID and revision of every item, so it changes whenever the output would.
+ * @param {string} format - 'rss', 'atom' or 'json'.
+ * @param {string} variant - A key for the feed variant (e.g., its query string).
+ * @param {Array<object>} articles - The feed's articles.
+ * @returns {{etag: string, lastModified: Date}} The ETag and Last-Modified values.
+ */
+export function feedValidators(format, variant, articles) {
+  const revisions = articles.map(a => `${a.apiId}@${a.editedAt || a.date}`).join(',');
+  const hash = crypto.createHash('sha1').update(`${format}|${variant}|${revisions}`).digest('base64url');
+  const lastModified = new Date(Math.max(0, ...articles.map(articleUpdatedTime)));
+  return { etag: `"${hash}"`, lastModified };
+}
+
+/**
+ * Renders an RSS 2.0 feed. RSS requires RFC 822 dates.
+ * @param {Array<object>} articles - The articles, newest first.
+ * @param {object} meta - { title, siteUrl, selfUrl, updated }.
+ * @returns {string} The XML document.
+ */
+const renderRss = (articles, { title, siteUrl, selfUrl, updated }) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${articles.map(article => `    <item>
+      <title>${escapeXml(article.headline)}</title>
+      <link>${escapeXml(article.source)}</link>
+      <guid isPermaLink="false">${escapeXml(articleGuid(siteUrl, article))}</guid>
+      <pubDate>${new Date(article.date).toUTCString()}</pubDate>
+      <description>${escapeXml(article.article)}</description>
+${(article.symbols || []).map(({ symbol }) => `      <category>${escapeXml(symbol)}</category>\n`).join('')}    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+
+/**
+ * Renders an Atom 1.0 feed.
+ * @param {Array<object>} articles - The articles, newest first.
+ * @param {object} meta - { title, siteUrl, selfUrl, updated }.
+ * @returns {string} The XML document.
+ */
+const renderAtom = (articles, { title, siteUrl, selfUrl, updated }) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <id>${escapeXml(selfUrl)}</id>
+  <link href="${escapeXml(siteUrl)}"/>
+  <link href="${escapeXml(selfUrl)}" rel="self" type="application/atom+xml"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>
+${articles.map(article => `  <entry>
+    <title>${escapeXml(article.headline)}</title>
+    <id>${escapeXml(articleGuid(siteUrl, article))}</id>
+    <link href="${escapeXml(article.source)}"/>
+    <published>${new Date(article.date).toISOString()}</published>
+    <updated>${new Date(articleUpdatedTime(article)).toISOString()}</updated>
+${article.summary ? `    <summary type="text">${escapeXml(article.summary)}</summary>\n` : ''}    <content type="text">${escapeXml(article.article)}</content>
+${(article.symbols || []).map(({ symbol }) => `    <category term="${escapeXml(symbol)}"/>\n`).join('')}  </entry>`).join('\n')}
+</feed>
+`;
+
+/**
+ * Renders a JSON Feed 1.1 document.
+ * @param {Array<object>} articles - The articles, newest first.
+ * @param {object} meta - { title, siteUrl, selfUrl }.
+ * @returns {string} The JSON document.
+ */
+const renderJsonFeed = (articles, { title, siteUrl, selfUrl }) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title,
+  description: FEED_DESCRIPTION,
+  home_page_url: siteUrl,
+  feed_url: selfUrl,
+  items: articles.map(article => ({
+    id: articleGuid(siteUrl, article),
+    url: article.source,
+    title: article.headline,
+    content_text: article.article,
+    ...(article.summary ? { summary: article.summary } : {}),
+    date_published: new Date(article.date).toISOString(),
+    ...(article.editedAt ? { date_modified: new Date(article.editedAt).toISOString() } : {}),
+    tags: [...(article.symbols || []).map(({ symbol }) => symbol), ...(article.tags || [])]
+  }))
+}, null, 2);
+
+/**
+ * Renders a feed of articles.
+ * @param {string} format - 'rss', 'atom' or 'json'.
+ * @param {Array<object>} articles - The articles, newest first.
+ * @param {object} options - Feed options.
+ * @param {string} options.siteUrl - The public site URL (no trailing slash).
+ * @param {string} options.selfUrl - The feed's own URL.
+ * @param {string} [options.variant] - Label appended to the title for filtered feeds (e.g., 'ETH').
+ * @param {Date} options.updated - When the feed last changed.
+ * @returns {string} The feed document.
+ */
+export function renderFeed(format, articles, { siteUrl, selfUrl, variant, updated }) {
+  const meta = { title: variant ? `${FEED_TITLE} - ${variant}` : FEED_TITLE, siteUrl, selfUrl, updated };
+  if (format === 'rss') return renderRss(articles, meta);
+  if (format === 'atom') return renderAtom(articles, meta);
+  return renderJsonFeed(articles, meta);
+}
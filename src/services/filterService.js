@@ -0,0 +1,179 @@
+import dotenv from 'dotenv';
+import { redisClient } from '../../utils/redis.js';
+import { parseDomains, matchesDomain, normalizeHost } from '../../utils/domains.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Before a message reaches the AI, it runs through these rules; the first one that matches skips it.
+// Every rule is off until configured. Set FILTER_ENABLED=false to turn the whole stage off. (Default: true)
+const FILTER_ENABLED = process.env.FILTER_ENABLED !== 'false';
+const FILTER_SKIP_LOG_LIMIT = parseInt(process.env.FILTER_SKIP_LOG_LIMIT) || 1000; // Skip records kept.
+
+/**
+ * Parses a comma-separated list.
+ * @param {string} value - The list.
+ * @returns {string[]} The trimmed, lowercase, non-empty entries.
+ */
+const parseList = (value) => (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Compiles a regex setting (case-insensitive).
+ * @param {string} name - The environment variable, for the error message.
+ * @returns {RegExp|null} The pattern, or null if unset.
+ * @throws {Error} If the pattern is invalid.
+ */
+const parsePattern = (name) => {
+  const source = (process.env[name] || '').trim();
+  if (!source) return null;
+  try {
+    return new RegExp(source, 'iu');
+  } catch (error) {
+    throw new Error(`${name} is not a valid regular expression: ${error.message}`);
+  }
+};
+
+/**
+ * Normalizes a Telegram entity type: 'MessageEntityHashtag', 'messageEntityHashtag' and 'hashtag' are all 'hashtag'.
+ * @param {string} type - The entity class name or short name.
+ * @returns {string} The short, lowercase name.
+ */
+const entityType = (type) => String(type || '').toLowerCase().replace(/^messageentity/, '');
+
+// Keywords (whole words or phrases) and patterns checked against the message text. When an allow rule is set,
+// messages must match at least one allow keyword or the allow pattern. Deny rules win over allow rules.
+const FILTER_ALLOW_KEYWORDS = parseList(process.env.FILTER_ALLOW_KEYWORDS);
+const FILTER_DENY_KEYWORDS = parseList(process.env.FILTER_DENY_KEYWORDS);
+const FILTER_ALLOW_REGEX = parsePattern('FILTER_ALLOW_REGEX');
+const FILTER_DENY_REGEX = parsePattern('FILTER_DENY_REGEX');
+// Domains of the message's source link (subdomains included).
+const FILTER_ALLOW_DOMAINS = parseDomains(process.env.FILTER_ALLOW_DOMAINS);
+const FILTER_DENY_DOMAINS = parseDomains(process.env.FILTER_DENY_DOMAINS);
+// Minimum length of the message text, links excluded. (Default: 0)
+const FILTER_MIN_LENGTH = parseInt(process.env.FILTER_MIN_LENGTH) || 0;
+// Skip messages forwarded from elsewhere, pinned messages, and messages carrying these Telegram entities
+// (e.g. 'hashtag', 'cashtag', 'mention', 'bankCard'; see the MessageEntity* types of the Telegram API).
+const FILTER_SKIP_FORWARDS = process.env.FILTER_SKIP_FORWARDS === 'true';
+const FILTER_SKIP_PINNED = process.env.FILTER_SKIP_PINNED === 'true';
+const FILTER_SKIP_ENTITIES = parseList(process.env.FILTER_SKIP_ENTITIES).map(entityType);
+
+// Redis keys.
+const SKIP_LOG_KEY = 'filter:skips'; // List: skip record JSON, newest first.
+const SKIP_COUNTS_KEY = 'filter:counts'; // Hash: rule -> number of messages it skipped.
+
+// Rules, in the order they are checked. 'no_url' is recorded by the pipeline itself (messages without a source link).
+export const FILTER_RULES = [
+  'forward', 'pinned', 'entity', 'min_length', 'deny_domain', 'allow_domain', 'deny_keyword', 'deny_regex', 'allow_text', 'no_url'
+];
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Finds the first keyword that occurs in a text as a whole word or phrase (case-insensitive).
+ * @param {string} text - The text.
+ * @param {string[]} keywords - Lowercase keywords.
+ * @returns {string|null} The keyword, or null.
+ */
+const findKeyword = (text, keywords) => keywords.find(keyword =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(keyword)}(?![\\p{L}\\p{N}])`, 'iu').test(text)) || null;
+
+/**
+ * Runs a message through the filter rules.
+ * @param {object} message - The Telegram message (fwdFrom, pinned and entities are read).
+ * @param {string} text - The message text.
+ * @param {string} url - The source link extracted from the message.
+ * @returns {{rule: string, reason: string}|null} The first rule that skips the message, or null to process it.
+ */
+export function checkMessageFilters(message, text, url) {
+  if (!FILTER_ENABLED) return null;
+
+  if (FILTER_SKIP_FORWARDS && message.fwdFrom) return { rule: 'forward', reason: 'forwarded message' };
+  if (FILTER_SKIP_PINNED && message.pinned) return { rule: 'pinned', reason: 'pinned message' };
+
+  const entity = (message.entities || []).map(e => entityType(e.className || e.type)).find(type => FILTER_SKIP_ENTITIES.includes(type));
+  if (entity) return { rule: 'entity', reason: `contains a '${entity}' entity` };
+
+  const length = text.replace(/https?:\/\/\S+/g, '').trim().length;
+  if (length < FILTER_MIN_LENGTH) return { rule: 'min_length', reason: `text is ${length} characters long (minimum ${FILTER_MIN_LENGTH})` };
+
+  const host = normalizeHost(new URL(url).hostname);
+  if (matchesDomain(host, FILTER_DENY_DOMAINS)) return { rule: 'deny_domain', reason: `source domain ${host} is denied` };
+  if (FILTER_ALLOW_DOMAINS.length > 0 && !matchesDomain(host, FILTER_ALLOW_DOMAINS)) {
+    return { rule: 'allow_domain', reason: `source domain ${host} is not allowed` };
+  }
+
+  const deniedKeyword = findKeyword(text, FILTER_DENY_KEYWORDS);
+  if (deniedKeyword) return { rule: 'deny_keyword', reason: `contains denied keyword '${deniedKeyword}'` };
+  const deniedMatch = FILTER_DENY_REGEX?.exec(text);
+  if (deniedMatch) return { rule: 'deny_regex', reason: `matches the deny pattern ('${deniedMatch[0].slice(0, 40)}')` };
+
+  const allowRules = FILTER_ALLOW_KEYWORDS.length > 0 || FILTER_ALLOW_REGEX;
+  if (allowRules && !findKeyword(text, FILTER_ALLOW_KEYWORDS) && !FILTER_ALLOW_REGEX?.test(text)) {
+    return { rule: 'allow_text', reason: 'matches no allow keyword or pattern' };
+  }
+  return null;
+}
+
+/**
+ * Records a skipped message, for tuning the rules. Failures are logged and swallowed:
+ * the message is skipped either way.
+ * @param {object} skip - { channel, messageId, rule, reason, text }.
+ * @returns {Promise<void>}
+ */
+export async function recordSkip({ channel, messageId, rule, reason, text }) {
+  try {
+    const record = { at: new Date().toISOString(), channel, messageId, rule, reason, text: (text || '').slice(0, 280) };
+    const multi = redisClient.multi();
+    multi.lPush(SKIP_LOG_KEY, JSON.stringify(record));
+    multi.lTrim(SKIP_LOG_KEY, 0, FILTER_SKIP_LOG_LIMIT - 1);
+    multi.hIncrBy(SKIP_COUNTS_KEY, rule, 1);
+    await multi.exec();
+  } catch (error) {
+    console.error('💥 [Filter] Failed to record skip:', error.message);
+  }
+}
+
+/**
+ * The active rules, as configured.
+ * @returns {object} Each rule's setting (empty lists and null for rules that are off).
+ */
+export const getFilterRules = () => ({
+  enabled: FILTER_ENABLED,
+  allowKeywords: FILTER_ALLOW_KEYWORDS,
+  denyKeywords: FILTER_DENY_KEYWORDS,
+  allowRegex: FILTER_ALLOW_REGEX?.source ?? null,
+  denyRegex: FILTER_DENY_REGEX?.source ?? null,
+  allowDomains: FILTER_ALLOW_DOMAINS,
+  denyDomains: FILTER_DENY_DOMAINS,
+  minLength: FILTER_MIN_LENGTH,
+  skipForwards: FILTER_SKIP_FORWARDS,
+  skipPinned: FILTER_SKIP_PINNED,
+  skipEntities: FILTER_SKIP_ENTITIES
+});
+
+/**
+ * Reads the skip counts and recent skip records.
+ * @param {object} [options={}] - Filters.
+ * @param {string} [options.rule] - Only records of this rule.
+ * @param {string} [options.channel] - Only records of this channel.
+ * @param {number} [options.limit=50] - Max records.
+ * @returns {Promise<{counts: object, skips: Array<object>}>} Skips per rule since the counts were started, and the records, newest first.
+ */
+export async function getSkipReport({ rule, channel, limit = 50 } = {}) {
+  const [counts, records] = await Promise.all([
+    redisClient.hGetAll(SKIP_COUNTS_KEY),
+    redisClient.lRange(SKIP_LOG_KEY, 0, -1)
+  ]);
+  return {
+    counts: Object.fromEntries(Object.entries(counts).map(([name, count]) => [name, parseInt(count, 10) || 0])),
+    skips: records
+      .map(json => JSON.parse(json))
+      .filter(record => (!rule || record.rule === rule) && (!channel || record.channel === channel))
+      .slice(0, limit)
+  };
+}
@@ -0,0 +1,243 @@
+import { redisClient } from '../../utils/redis.js';
+import { sanitizeContent } from '../../utils/validation.js';
+import { processTelegramMessage, scoreArticle } from '../../utils/openai.js';
+import { DEFAULT_FORMAT } from '../../utils/editorialProfiles.js';
+import { articleLanguage } from '../../utils/language.js';
+import { isBelowQualityThreshold } from '../../utils/qualityGate.js';
+import { getArticle, updateArticle, deleteArticle, getSourceText, isPublicArticle } from './articleStore.js';
+import { indexArticle, removeFromIndex } from './searchService.js';
+import { fetchMessageText } from './telegramService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { enrichSourceUrl } from './enrichmentService.js';
+
+// --- Configuration ---
+// Audit trail: one capped list per article plus a capped global list, newest entry first.
+const AUDIT_KEY_PREFIX = 'audit:article:';
+const AUDIT_GLOBAL_KEY = 'audit:articles';
+const AUDIT_PER_ARTICLE_LIMIT = 100;
+const AUDIT_GLOBAL_LIMIT = 1000;
+
+/**
+ * Appends an entry to the audit trail.
+ * @param {number} apiId - The article's API ID.
+ * @param {string} action - What was done ('edit', 'hide', 'unhide', 'hold', 'approve', 'delete', 'regenerate').
+ * @param {string} actor - Who did it.
+ * @param {object} [changes={}] - Changed fields as { field: { from, to } }.
+ * @returns {Promise<object>} The recorded entry.
+ */
+async function recordAudit(apiId, action, actor, changes = {}) {
+  const entry = { at: new Date().toISOString(), actor, action, apiId, changes };
+  const serialized = JSON.stringify(entry);
+  const multi = redisClient.multi();
+  multi.lPush(`${AUDIT_KEY_PREFIX}${apiId}`, serialized);
+  multi.lTrim(`${AUDIT_KEY_PREFIX}${apiId}`, 0, AUDIT_PER_ARTICLE_LIMIT - 1);
+  multi.lPush(AUDIT_GLOBAL_KEY, serialized);
+  multi.lTrim(AUDIT_GLOBAL_KEY, 0, AUDIT_GLOBAL_LIMIT - 1);
+  await multi.exec();
+  console.log(`📝 [Moderation] ${actor} -> ${action} article ${apiId}`);
+  return entry;
+}
+
+/**
+ * Collects the fields that differ between two versions of an article.
+ * @param {object} before - The article before the change.
+ * @param {object} after - The article after the change.
+ * @param {string[]} fields - The fields to compare.
+ * @returns {object} { field: { from, to } } for every changed field.
+ */
+const diffFields = (before, after, fields) => Object.fromEntries(
+  fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => [field, { from: before[field] ?? null, to: after[field] ?? null }])
+);
+
+/**
+ * Builds the data of an 'article.deleted' webhook event.
+ * @param {object} article - The article that was removed (or hidden).
+ * @param {string} reason - 'deleted', 'hidden' or 'held'.
+ * @returns {object} The event data.
+ */
+const deletedEventData = (article, reason) => ({
+  apiId: article.apiId,
+  channel: article.channel,
+  symbols: (article.symbols || []).map(s => s.symbol),
+  reason
+});
+
+/**
+ * Reads the audit trail of one article, or of all articles.
+ * @param {number|null} apiId - The article's API ID, or null for the global trail.
+ * @param {number} [limit=50] - Max entries (newest first).
+ * @returns {Promise<Array<object>>} The audit entries.
+ */
+export async function getAuditTrail(apiId, limit = 50) {
+  const key = apiId === null ? AUDIT_GLOBAL_KEY : `${AUDIT_KEY_PREFIX}${apiId}`;
+  const entries = await redisClient.lRange(key, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Names a status change for the audit trail: 'hide', 'hold', 'approve' (a held article published) or 'unhide'.
+ * @param {string} from - The previous status.
+ * @param {string} to - The new status.
+ * @returns {string} The action.
+ */
+const statusAction = (from, to) => {
+  if (to === 'hidden') return 'hide';
+  if (to === 'held') return 'hold';
+  return from === 'held' ? 'approve' : 'unhide';
+};
+
+/**
+ * Applies a moderator edit (headline, body and/or status) to an article.
+ * @param {number} apiId - The article's API ID.
+ * @param {object} changes - Validated changes: { headline?, article?, status? }.
+ * @param {string} actor - Who made the edit.
+ * @returns {Promise<object|null>} The updated article, or null if it doesn't exist.
+ */
+export async function editArticle(apiId, { headline, article: body, status }, actor) {
+  const current = await getArticle(apiId);
+  if (!current) return null;
+
+  const updated = { ...current };
+  if (headline !== undefined) updated.headline = headline.replace(/[*_~`"']/g, '').trim().substring(0, 100);
+  if (body !== undefined) updated.article = sanitizeContent(body);
+  if (status !== undefined) updated.status = status;
+
+  const changes = diffFields(current, updated, ['headline', 'article', 'status']);
+  if (Object.keys(changes).length === 0) return current; // Nothing to change.
+  updated.editedAt = new Date().toISOString();
+
+  await updateArticle(updated);
+  // Re-indexing drops the terms the edit removed, so edited-out wording no longer finds the article.
+  await indexArticle(updated);
+
+  // Record status changes as hide/unhide/hold/approve so they stand out in the trail.
+  const action = changes.status && Object.keys(changes).length === 1
+    ? statusAction(current.status, updated.status)
+    : 'edit';
+  await recordAudit(apiId, action, actor, changes);
+
+  // For webhook consumers, hiding or holding removes the article and unhiding or approving publishes it.
+  const wasPublic = isPublicArticle(current);
+  const isPublic = isPublicArticle(updated);
+  if (wasPublic && !isPublic) await emitWebhookEvent('article.deleted', deletedEventData(updated, updated.status));
+  else if (!wasPublic && isPublic) await emitWebhookEvent('article.created', { article: updated });
+  else if (isPublic) await emitWebhookEvent('article.updated', { article: updated, changedFields: Object.keys(changes) });
+  return updated;
+}
+
+/**
+ * Deletes an article everywhere (archive, latest cache, search index).
+ * The audit trail keeps a copy of the deleted article.
+ * @param {number} apiId - The article's API ID.
+ * @param {string} actor - Who deleted it.
+ * @returns {Promise<boolean>} False if the article doesn't exist.
+ */
+export async function removeArticle(apiId, actor) {
+  const current = await getArticle(apiId);
+  if (!current) return false;
+
+  await deleteArticle(apiId);
+  await removeFromIndex(apiId);
+  await recordAudit(apiId, 'delete', actor, { article: { from: current, to: null } });
+  if (isPublicArticle(current)) await emitWebhookEvent('article.deleted', deletedEventData(current, 'deleted'));
+  return true;
+}
+
+/**
+ * Re-runs AI generation on the article's original Telegram text (plus its linked page) and replaces its content,
+ * or (for another format or language) creates or replaces that rendering or translation.
+ * The text is read from storage, or refetched from Telegram for articles stored before it was kept.
+ * @param {number} apiId - The article's API ID.
+ * @param {string} actor - Who requested the regeneration.
+ * @param {object} [options={}] - What to regenerate; at most one of the two.
+ * @param {string} [options.format='article'] - The editorial profile to regenerate.
+ * @param {string} [options.language] - The language to regenerate, default the article's own.
+ * A regenerated article scoring below QUALITY_MIN_SCORE is held, as at ingest; a variant scoring below it is not stored.
+ * @returns {Promise<{status: string, article?: object, quality?: object}>} status is 'ok', 'not_found', 'no_source',
+ *   'ai_failed' or 'low_quality' (a variant, with its quality report).
+ */
+export async function regenerateArticle(apiId, actor, { format = DEFAULT_FORMAT, language } = {}) {
+  const current = await getArticle(apiId);
+  if (!current) return { status: 'not_found' };
+  const ownLanguage = articleLanguage(current);
+  language = language || ownLanguage;
+
+  let text = await getSourceText(apiId);
+  if (!text && current.channel) {
+    try {
+      text = await fetchMessageText(current.channel, current.id);
+    } catch (error) {
+      console.error(`   [Moderation] Could not refetch message ${current.channel}/${current.id}:`, error.message);
+    }
+  }
+  if (!text) return { status: 'no_source' };
+
+  const page = await enrichSourceUrl(current.source);
+  // Renderings are written in the article's own language.
+  const processed = await processTelegramMessage(text, current.id, current.source, [], page,
+    { format, language: format !== DEFAULT_FORMAT ? ownLanguage : language });
+  if (!processed || !processed.headline) return { status: 'ai_failed' };
+  if (format !== DEFAULT_FORMAT) return regenerateVariant(current, processed, actor, 'renderings', format);
+  if (!processed.content) return { status: 'ai_failed' };
+  if (language !== ownLanguage) return regenerateVariant(current, processed, actor, 'translations', language);
+
+  const updated = {
+    ...current,
+    headline: processed.headline.replace(/[*_~`"']/g, '').trim().substring(0, 100),
+    article: processed.content,
+    editedAt: new Date().toISOString()
+  };
+  // The new text's source check. A held article stays held until a moderator approves it, and a public one
+  // whose new text fails the check is held like a new article would be.
+  if (processed.quality) updated.quality = processed.quality;
+  if (isBelowQualityThreshold(processed.quality)) updated.status = 'held';
+  // Structured fields are only present when AI_OUTPUT_MODE is 'json'.
+  for (const field of ['summary', 'tickers', 'sentiment', 'tags']) {
+    if (processed[field] !== undefined) updated[field] = processed[field];
+  }
+  // The new text is scored afresh; the old score is kept if scoring fails.
+  const marketScore = await scoreArticle(processed, current.id);
+  if (marketScore) updated.marketScore = marketScore;
+
+  await updateArticle(updated);
+  await indexArticle(updated); // Replaces the old text's terms.
+  const changes = diffFields(current, updated, ['headline', 'article', 'summary', 'tickers', 'sentiment', 'tags', 'marketScore', 'status']);
+  await recordAudit(apiId, 'regenerate', actor, changes);
+  if (isPublicArticle(updated)) {
+    await emitWebhookEvent('article.updated', { article: updated, changedFields: Object.keys(changes) });
+  } else if (isPublicArticle(current)) {
+    await emitWebhookEvent('article.deleted', deletedEventData(updated, updated.status));
+  }
+  return { status: 'ok', article: updated };
+}
+
+/**
+ * Stores a regenerated variant of an article: a rendering (a non-default format) or a translation.
+ * @param {object} current - The article.
+ * @param {object} processed - The AI output ({ headline, content }).
+ * @param {string} actor - Who requested the regeneration.
+ * @param {string} field - 'renderings' or 'translations'.
+ * @param {string} key - The variant's format or language.
+ * @returns {Promise<{status: string, article?: object, quality?: object}>} status 'ok' and the updated article, or
+ *   'low_quality' and the quality report if the variant scored below QUALITY_MIN_SCORE (nothing is stored, as at ingest).
+ */
+async function regenerateVariant(current, processed, actor, field, key) {
+  if (isBelowQualityThreshold(processed.quality)) return { status: 'low_quality', quality: processed.quality };
+  const variant = {
+    headline: processed.headline.replace(/[*_~`"']/g, '').trim().substring(0, 100),
+    content: processed.content,
+    generatedAt: new Date().toISOString(),
+    ...(processed.quality && { quality: processed.quality })
+  };
+  const updated = { ...current, [field]: { ...current[field], [key]: variant } };
+
+  await updateArticle(updated);
+  const previous = current[field]?.[key];
+  await recordAudit(current.apiId, 'regenerate', actor, {
+    [`${field}.${key}`]: { from: previous ? { headline: previous.headline, content: previous.content } : null, to: { headline: variant.headline, content: variant.content } }
+  });
+  if (isPublicArticle(updated)) await emitWebhookEvent('article.updated', { article: updated, changedFields: [field] });
+  return { status: 'ok', article: updated };
+}
@@ -1,130 +1,351 @@
 import { redisClient } from '../../utils/redis.js';
-import axios from 'axios';
+import { SYMBOL_MAP } from '../../utils/symbols.js';
+import { publishEvent } from './streamService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { evaluateAlerts } from './alertService.js';
+import { resolvePriceSources, rankPriceSources } from '../../utils/priceProviders.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 // --- Configuration ---
 
-// Define the default API URL to use if the environment variable is not set.
-const DEFAULT_PRICE_API = 'https://api.coingecko.com/api/v3/simple/price';
+// Price sources, in order of preference: provider names (coingecko, binance, kraken, coincap, fixture),
+// 'provider:url' for custom endpoints/files, or bare URLs (provider recognized by host).
+// PRICE_API_URLS is the older name, from when every URL had to speak CoinGecko's format.
+const PRICE_SOURCES = resolvePriceSources(
+    (process.env.PRICE_PROVIDERS || process.env.PRICE_API_URLS || 'coingecko')
+        .split(',')
+        .map(entry => entry.trim()) // Ensure no leading/trailing whitespace
+        .filter(Boolean) // Remove any empty strings
+);
 
-// Get the comma-separated list of API URLs from the environment variable.
-const PRICE_API_URLS = (process.env.PRICE_API_URLS || DEFAULT_PRICE_API)
+// Quote currencies fetched for every symbol. USD is always included: 'price', the price history
+// and alerts are in USD; the others are available through /api/cached-prices?currency=.
+export const PRICE_CURRENCIES = [...new Set(['usd', ...(process.env.PRICE_CURRENCIES || '')
     .split(',')
-    .map(url => url.trim()) // Ensure no leading/trailing whitespace
-    .filter(Boolean); // Remove any empty strings
-
-// Parse crypto symbols and create a mapping (e.g., BTC -> bitcoin).
-const CRYPTO_SYMBOLS = process.env.CRYPTO_SYMBOLS?.split(',') || [];
-const SYMBOL_MAP = Object.fromEntries(
-    CRYPTO_SYMBOLS.map(pair => {
-        const [symbol, apiId] = pair.split(':');
-        return [symbol, apiId];
-    })
-);
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean)])];
 
 // Define limits and intervals from environment variables or use defaults.
 const PRICE_HISTORY_LIMIT = parseInt(process.env.PRICE_HISTORY_LIMIT) || 1440;
 const PRICE_API_TIMEOUT = parseInt(process.env.PRICE_API_TIMEOUT) || 8000; // 8 seconds
 // --- UPDATED: Default interval changed to 150000ms (150 seconds) ---
 const PRICE_POLL_INTERVAL_MS = parseInt(process.env.PRICE_POLL_INTERVAL) || 150000;
+// Quotes older than this are served as stale (price null) instead of as current data.
+const PRICE_MAX_AGE_MS = parseInt(process.env.PRICE_MAX_AGE_MS) || 10 * 60 * 1000; // 10 minutes.
+
+// Supported downsampling intervals for the price history API (bucket size in ms).
+export const HISTORY_INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+const HISTORY_DEFAULT_LIMIT = 500; // Points/buckets returned when no limit is given.
+const HISTORY_MAX_LIMIT = 5000; // Hard cap on points/buckets per request.
 
 /**
- * Initializes Redis with default prices if none exist.
+ * Fetches prices from the configured sources. Sources are tried in ranked order (see
+ * rankPriceSources) until every tracked symbol has a quote in every currency, so a provider that
+ * lacks some symbols or currencies, or fails, is backed up by the next one.
+ * Every quote records the source it came from and when it was fetched.
+ * @returns {Promise<Array|null>} An array of price objects (see toPriceEntry; price is null for symbols no
+ *   source priced), or null if none succeeded.
  */
-async function initializePrices() {
-    try {
-        const exists = await redisClient.exists('latestPrices');
-        if (!exists) {
-            const initialPrices = [{ symbol: 'BTC', price: 50000 }, { symbol: 'ETH', price: 3000 }];
-            await redisClient.set('latestPrices', JSON.stringify(initialPrices));
-            console.log('💡 Default prices initialized in Redis.');
+async function fetchCurrentPrices() {
+    if (Object.keys(SYMBOL_MAP).length === 0) {
+        console.warn('[Price Fetch] No CRYPTO_SYMBOLS configured.');
+        return null;
+    }
+
+    const found = Object.fromEntries(Object.keys(SYMBOL_MAP).map(symbol => [symbol, {}]));
+    const isMissing = (symbol, currency) => !found[symbol][currency];
+
+    for (const source of rankPriceSources(PRICE_SOURCES)) {
+        const currencies = PRICE_CURRENCIES.filter(currency => source.supports(currency) &&
+            Object.keys(SYMBOL_MAP).some(symbol => isMissing(symbol, currency)));
+        const missing = Object.fromEntries(Object.entries(SYMBOL_MAP)
+            .filter(([symbol]) => currencies.some(currency => isMissing(symbol, currency))));
+        if (Object.keys(missing).length === 0) continue;
+
+        console.log(`   [Price Fetch] Trying ${source.provider} (${source.url}) for ${Object.keys(missing).join(', ')} in ${currencies.join(', ')}`);
+        try {
+            const quotes = await source.fetchPrices(missing, currencies, PRICE_API_TIMEOUT);
+            const fetchedAt = new Date().toISOString();
+            for (const [symbol, byCurrency] of Object.entries(quotes)) {
+                for (const [currency, quote] of Object.entries(byCurrency)) {
+                    if (found[symbol] && isMissing(symbol, currency)) found[symbol][currency] = { ...quote, source: source.provider, fetchedAt };
+                }
+            }
+            console.log(`   [Price Fetch] ${source.provider} priced ${Object.keys(quotes).join(', ')}`);
+        } catch (error) {
+            console.error(`   [Price Fetch] Failed for ${source.provider} (${source.url}):`, error.message);
         }
-    } catch (error) {
-        console.error('💥 Price initialization failed:', error);
     }
+
+    if (Object.values(found).every(byCurrency => Object.keys(byCurrency).length === 0)) {
+        console.error('💥 [Price Fetch] All price sources failed.');
+        return null;
+    }
+    return Object.entries(found).map(([symbol, quotes]) => toPriceEntry(symbol, quotes));
 }
 
 /**
- * Tries fetching prices from the list of API URLs, returning the first successful result.
- * @param {string[]} urls - An array of API URLs to try.
- * @param {string} ids - Comma-separated list of API IDs.
- * @returns {Promise<Array|null>} An array of price objects or null.
+ * Builds a stored price object from a symbol's quotes. The top-level fields mirror the USD quote.
+ * @param {string} symbol - The symbol.
+ * @param {object} quotes - Currency -> quote ({ price, change24h, volume24h, marketCap, source, fetchedAt }).
+ * @returns {object} { symbol, price, timestamp, source, quotes }; price, timestamp (ms) and source are null without a USD quote.
  */
-async function tryPriceApis(urls, ids) {
-    for (const apiUrl of urls) {
-        console.log(`   [Price Fetch] Trying API: ${apiUrl}`);
-        try {
-            const response = await axios.get(apiUrl, {
-                params: {
-                    ids: ids,
-                    vs_currencies: 'usd',
-                    precision: 2
-                },
-                timeout: PRICE_API_TIMEOUT
-            });
-
-            if (response.data && typeof response.data === 'object' && Object.keys(response.data).length > 0) {
-                const prices = Object.entries(SYMBOL_MAP).map(([symbol, apiId]) => ({
-                    symbol,
-                    price: response.data[apiId]?.usd || 0,
-                    timestamp: Date.now()
-                }));
-                console.log(`   [Price Fetch] Success from ${apiUrl}`);
-                return prices;
-            }
-            console.warn(`   [Price Fetch] Malformed response from ${apiUrl}`);
+function toPriceEntry(symbol, quotes) {
+    const usd = quotes.usd;
+    return {
+        symbol,
+        price: usd?.price ?? null,
+        timestamp: usd ? Date.parse(usd.fetchedAt) : null,
+        source: usd?.source ?? null,
+        quotes
+    };
+}
 
-        } catch (error) {
-            console.error(`   [Price Fetch] Failed for API ${apiUrl}:`, error.message);
+/**
+ * Reads a quote from a stored price object. Entries written before quotes were stored only have a
+ * USD 'price' (and, before that, no timestamp: those were seeded placeholders and are ignored).
+ * @param {object|undefined} entry - The stored price object.
+ * @param {string} currency - The currency.
+ * @returns {object|null} The quote, or null if there is none with a fetch time.
+ */
+function storedQuote(entry, currency) {
+    if (entry?.quotes) return entry.quotes[currency]?.fetchedAt ? entry.quotes[currency] : null;
+    if (currency !== 'usd' || !(entry?.price > 0) || !entry.timestamp) return null;
+    return { price: entry.price, change24h: null, volume24h: null, marketCap: null, source: null, fetchedAt: new Date(entry.timestamp).toISOString() };
+}
+
+/**
+ * Whether a quote is older than PRICE_MAX_AGE_MS.
+ * @param {object} quote - The quote.
+ * @param {number} [now=Date.now()] - The reference time (ms epoch).
+ * @returns {boolean} True if stale.
+ */
+const isStale = (quote, now = Date.now()) => now - Date.parse(quote.fetchedAt) > PRICE_MAX_AGE_MS;
+
+/**
+ * Merges freshly fetched prices into the previous snapshot: quotes missing from this poll are kept
+ * from the previous one, with their original fetch time, so they age into staleness.
+ * @param {Array} previous - The previous price objects.
+ * @param {Array} current - The fetched price objects.
+ * @returns {Array} The merged price objects, one per tracked symbol.
+ */
+function mergePriceSnapshots(previous, current) {
+    const previousBySymbol = new Map(previous.map(p => [p.symbol, p]));
+    return current.map(({ symbol, quotes }) => {
+        const merged = { ...quotes };
+        for (const currency of PRICE_CURRENCIES) {
+            const kept = merged[currency] ? null : storedQuote(previousBySymbol.get(symbol), currency);
+            if (kept) merged[currency] = kept;
         }
-    }
-    console.error('💥 [Price Fetch] All price API attempts failed.');
-    return null;
+        return toPriceEntry(symbol, merged);
+    });
 }
 
 /**
- * Fetches the current prices using the configured API URLs.
- * @returns {Promise<Array|null>} An array of price objects or null.
+ * Converts stored price objects into the /api/cached-prices shape for one currency. Every symbol
+ * gets { price, change24h, volume24h, marketCap, source, fetchedAt, stale, reason }: price is null
+ * with reason 'unavailable' if there is no quote, or 'stale' (plus the quote's lastPrice) if the
+ * quote is older than PRICE_MAX_AGE_MS.
+ * @param {Array} prices - The stored price objects.
+ * @param {string} [currency='usd'] - One of PRICE_CURRENCIES.
+ * @returns {object} Symbol -> quote, for every tracked symbol.
  */
-async function fetchCurrentPrices() {
-    const apiIds = Object.values(SYMBOL_MAP).join(',');
-    if (!apiIds) {
-        console.warn('[Price Fetch] No CRYPTO_SYMBOLS configured.');
-        return null;
-    }
-    return await tryPriceApis(PRICE_API_URLS, apiIds);
+export function toPriceQuotes(prices, currency = 'usd') {
+    const bySymbol = new Map(prices.map(p => [p.symbol, p]));
+    const now = Date.now();
+    return Object.fromEntries(Object.keys(SYMBOL_MAP).map(symbol => {
+        const quote = storedQuote(bySymbol.get(symbol), currency);
+        const empty = { price: null, change24h: null, volume24h: null, marketCap: null };
+        if (!quote) {
+            return [symbol, { ...empty, source: null, fetchedAt: null, stale: false, reason: 'unavailable' }];
+        }
+        const { source, fetchedAt } = quote;
+        if (isStale(quote, now)) {
+            return [symbol, { ...empty, source, fetchedAt, stale: true, reason: 'stale', lastPrice: quote.price }];
+        }
+        const { price, change24h, volume24h, marketCap } = quote;
+        return [symbol, { price, change24h, volume24h, marketCap, source, fetchedAt, stale: false, reason: null }];
+    }));
+}
+
+/**
+ * Reads the latest stored prices in one currency.
+ * @param {string} [currency='usd'] - One of PRICE_CURRENCIES.
+ * @returns {Promise<object>} See toPriceQuotes.
+ */
+export async function getCachedPrices(currency = 'usd') {
+    const pricesJson = await redisClient.get('latestPrices');
+    return toPriceQuotes(pricesJson ? JSON.parse(pricesJson) : [], currency);
+}
+
+/**
+ * Reports the configured price sources and their health, in the order they would be tried next.
+ * @returns {Array<object>} { id, provider, url, benched, health } per source.
+ */
+export function getPriceSourceHealth() {
+    return rankPriceSources(PRICE_SOURCES).map(source => ({
+        id: source.id,
+        provider: source.provider,
+        url: source.url,
+        benched: source.isBenched(),
+        health: { ...source.health, score: Math.round(source.health.score * 1000) / 1000 }
+    }));
+}
+
+/**
+ * Computes per-symbol changes between two price snapshots.
+ * Symbols without a valid price in the new snapshot are left out.
+ * @param {Array} previous - The previous price objects.
+ * @param {Array} current - The new price objects.
+ * @returns {Array<object>} { symbol, price, previousPrice, change, changePct } for every changed symbol.
+ */
+function computePriceDeltas(previous, current) {
+    const previousMap = new Map(previous.map(p => [p.symbol, storedQuote(p, 'usd')?.price ?? null]));
+    return current
+        .filter(({ symbol, price }) => price > 0 && price !== previousMap.get(symbol))
+        .map(({ symbol, price }) => {
+            const previousPrice = previousMap.get(symbol) > 0 ? previousMap.get(symbol) : null;
+            return {
+                symbol,
+                price,
+                previousPrice,
+                change: previousPrice !== null ? price - previousPrice : null,
+                changePct: previousPrice !== null ? ((price - previousPrice) / previousPrice) * 100 : null
+            };
+        });
 }
 
 /**
  * Stores the fetched price data in Redis (latest and history).
+ * Symbols this poll couldn't price keep their previous quotes (see mergePriceSnapshots) and get no history point.
+ * Emits a 'prices.updated' webhook event with the per-symbol changes.
  * @param {Array} prices - An array of price objects.
  */
 async function storePriceData(prices) {
     try {
+        const previousJson = await redisClient.get('latestPrices');
+        const previous = previousJson ? JSON.parse(previousJson) : [];
+        const merged = mergePriceSnapshots(previous, prices);
+
         const pipeline = redisClient.multi();
-        pipeline.set('latestPrices', JSON.stringify(prices));
-        for (const { symbol, price, timestamp } of prices) {
+        pipeline.set('latestPrices', JSON.stringify(merged));
+        for (const { symbol, price, timestamp } of prices.filter(p => p.price > 0)) {
             const key = `priceHistory:${symbol}`;
-            pipeline.zAdd(key, { score: timestamp, value: price.toString() });
+            // Members are prefixed with the timestamp so repeated prices don't overwrite each other.
+            pipeline.zAdd(key, { score: timestamp, value: `${timestamp}:${price}` });
             pipeline.zRemRangeByRank(key, 0, -PRICE_HISTORY_LIMIT - 1);
         }
         await pipeline.exec();
+        // Push to live (SSE) clients in the same shape as /api/cached-prices (USD).
+        await publishEvent('prices', toPriceQuotes(merged));
+
+        const deltas = computePriceDeltas(previous, prices);
+        if (deltas.length > 0) await emitWebhookEvent('prices.updated', { prices: deltas });
     } catch (error) {
         console.error('💥 Price storage failed:', error);
     }
 }
 
 /**
- * Performs one price polling cycle: fetch and store.
+ * Reads the latest stored USD prices as a lookup map. Stale and missing prices are left out.
+ * @returns {Promise<Map<string, number>>} A map of symbol -> latest price.
+ */
+export async function getLatestPriceMap() {
+    const pricesJson = await redisClient.get('latestPrices');
+    const prices = pricesJson ? JSON.parse(pricesJson) : [];
+    return new Map(prices
+        .map(p => [p.symbol, storedQuote(p, 'usd')])
+        .filter(([, quote]) => quote && !isStale(quote))
+        .map(([symbol, quote]) => [symbol, quote.price]));
+}
+
+/**
+ * Parses a price history sorted set member into a price.
+ * Handles both the current `timestamp:price` format and legacy bare price members.
+ * @param {string} member - The sorted set member.
+ * @returns {number} The parsed price (NaN if unparseable).
+ */
+function parseHistoryMember(member) {
+    const separatorIndex = member.indexOf(':');
+    return parseFloat(separatorIndex === -1 ? member : member.slice(separatorIndex + 1));
+}
+
+/**
+ * Groups raw price points into fixed-size time buckets with OHLC values.
+ * @param {Array<{timestamp: number, price: number}>} points - Raw points, oldest first.
+ * @param {number} bucketMs - The bucket size in milliseconds.
+ * @returns {Array<object>} Buckets ({ timestamp, open, high, low, close, count }), oldest first.
+ */
+function downsamplePoints(points, bucketMs) {
+    const buckets = [];
+    let current = null;
+    for (const { timestamp, price } of points) {
+        const bucketStart = Math.floor(timestamp / bucketMs) * bucketMs;
+        if (!current || current.timestamp !== bucketStart) {
+            current = { timestamp: bucketStart, open: price, high: price, low: price, close: price, count: 0 };
+            buckets.push(current);
+        }
+        current.high = Math.max(current.high, price);
+        current.low = Math.min(current.low, price);
+        current.close = price;
+        current.count++;
+    }
+    return buckets;
+}
+
+/**
+ * Reads the stored price history for a symbol, optionally downsampled into buckets.
+ * @param {string} symbol - The tracked symbol (e.g., BTC).
+ * @param {object} [options={}] - Query options.
+ * @param {number} [options.from] - Start of the range (ms epoch, inclusive).
+ * @param {number} [options.to] - End of the range (ms epoch, inclusive).
+ * @param {number} [options.limit] - Max number of points/buckets (most recent are kept).
+ * @param {string} [options.interval] - Downsampling interval (one of HISTORY_INTERVALS), or raw points if omitted.
+ * @returns {Promise<object>} { symbol, interval, from, to, count, last, points }.
+ */
+export async function getPriceHistory(symbol, { from, to, limit, interval } = {}) {
+    const entries = await redisClient.zRangeByScoreWithScores(
+        `priceHistory:${symbol}`,
+        from ?? '-inf',
+        to ?? '+inf'
+    );
+    const rawPoints = entries
+        .map(({ value, score }) => ({ timestamp: score, price: parseHistoryMember(value) }))
+        .filter(point => Number.isFinite(point.price));
+
+    const series = interval ? downsamplePoints(rawPoints, HISTORY_INTERVALS[interval]) : rawPoints;
+    const cappedLimit = Math.min(limit || HISTORY_DEFAULT_LIMIT, HISTORY_MAX_LIMIT);
+
+    return {
+        symbol,
+        interval: interval || 'raw',
+        from: from ?? null,
+        to: to ?? null,
+        count: Math.min(series.length, cappedLimit),
+        last: rawPoints.length > 0 ? rawPoints[rawPoints.length - 1] : null,
+        points: series.slice(-cappedLimit)
+    };
+}
+
+/**
+ * Performs one price polling cycle: fetch, store and evaluate the alert rules.
  */
 async function pricePollingCycle() {
     console.log('🔄 Fetching new prices...');
     const prices = await fetchCurrentPrices();
     if (prices) {
-        console.log('💹 New prices fetched:', prices.map(p => `${p.symbol}: $${p.price}`).join(', '));
+        console.log('💹 New prices fetched:', prices.map(p => `${p.symbol}: ${p.price !== null ? `$${p.price}` : 'n/a'}`).join(', '));
         await storePriceData(prices);
+        await evaluateAlerts(prices);
     }
 }
 
@@ -132,11 +353,7 @@ async function pricePollingCycle() {
  * Starts the periodic price polling service.
  */
 export function startPricePolling() {
-    initializePrices().then(() => {
-        pricePollingCycle();
-        setInterval(pricePollingCycle, PRICE_POLL_INTERVAL_MS);
-        console.log(`⏲ Price polling active (Interval: ${PRICE_POLL_INTERVAL_MS / 1000}s)`);
-    }).catch(err => {
-        console.error("💥 Failed to initialize prices, polling not started.", err);
-    });
+    pricePollingCycle();
+    setInterval(pricePollingCycle, PRICE_POLL_INTERVAL_MS);
+    console.log(`⏲ Price polling active (Interval: ${PRICE_POLL_INTERVAL_MS / 1000}s)`);
 }
\ No newline at end of file
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import { redisClient } from '../../utils/redis.js';
+import { getArticle, getArchivedApiIds, articleSortTime, isPublicArticle } from './articleStore.js';
+
+// --- Configuration ---
+// The index lives in plain Redis so every instance shares it:
+//   search:term:<token> -> sorted set, member = apiId, score = weighted term frequency.
+//   search:doc:<apiId>  -> set of the tokens indexed for that article (used to un-index it).
+const TERM_KEY_PREFIX = 'search:term:';
+const DOC_KEY_PREFIX = 'search:doc:';
+const TEMP_KEY_PREFIX = 'search:tmp:';
+const TEMP_KEY_TTL = 30; // Seconds to keep a query's intermediate result set.
+
+// Weight of a term occurrence in each field.
+const FIELD_WEIGHTS = { headline: 3, domain: 2, body: 1 };
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const SNIPPET_RADIUS = 80; // Characters of context on each side of the first match.
+
+// Common words that carry no search value.
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+/**
+ * Splits text into lowercase search tokens, dropping stopwords and single characters.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The tokens (with repeats).
+ */
+export const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+/**
+ * Extracts the host of the article's source URL (without 'www.').
+ * @param {string} source - The source URL.
+ * @returns {string} The domain, or an empty string.
+ */
+const sourceDomain = (source) => {
+  try {
+    return new URL(source).hostname.replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+};
+
+/**
+ * Escapes HTML special characters.
+ * @param {string} str - The raw string.
+ * @returns {string} The escaped string.
+ */
+const escapeHtml = (str) => str.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+/**
+ * Escapes a string for literal use inside a RegExp.
+ * @param {string} str - The string to escape.
+ * @returns {string} The escaped string.
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Wraps query term matches in <mark> tags. Terms are matched on the raw text and the pieces escaped
+ * afterwards, so a term can't match inside an entity ('amp' in '&amp;').
+ * @param {string} text - The text to highlight.
+ * @param {string[]} terms - The query tokens.
+ * @returns {string} Escaped HTML with highlighted terms.
+ */
+const highlight = (text, terms) => {
+  if (terms.length === 0) return escapeHtml(text);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+  // Splitting on a capturing pattern alternates unmatched text (even indexes) and matches (odd).
+  return text.split(pattern).map((piece, i) => (i % 2 === 1 ? `<mark>${escapeHtml(piece)}</mark>` : escapeHtml(piece))).join('');
+};
+
+/**
+ * Builds a highlighted excerpt of the body around the first query term.
+ * @param {string} body - The article body.
+ * @param {string[]} terms - The query tokens.
+ * @returns {string} The highlighted snippet.
+ */
+const buildSnippet = (body, terms) => {
+  const lower = (body || '').toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(lower.length, first + SNIPPET_RADIUS);
+  const excerpt = (start > 0 ? '…' : '') + body.slice(start, end).trim() + (end < lower.length ? '…' : '');
+  return highlight(excerpt, terms);
+};
+
+/**
+ * Computes the weighted term scores of an article.
+ * @param {object} article - The article.
+ * @returns {Map<string, number>} token -> score.
+ */
+const scoreTerms = (article) => {
+  const scores = new Map();
+  const fields = {
+    headline: article.headline,
+    domain: sourceDomain(article.source).replace(/\./g, ' '),
+    body: article.article
+  };
+  for (const [field, text] of Object.entries(fields)) {
+    for (const token of tokenize(text)) {
+      scores.set(token, (scores.get(token) || 0) + FIELD_WEIGHTS[field]);
+    }
+  }
+  return scores;
+};
+
+/**
+ * Removes an article from the search index.
+ * @param {number|string} apiId - The article's API ID.
+ * @returns {Promise<void>}
+ */
+export async function removeFromIndex(apiId) {
+  const docKey = `${DOC_KEY_PREFIX}${apiId}`;
+  const tokens = await redisClient.sMembers(docKey);
+  const multi = redisClient.multi();
+  tokens.forEach(token => multi.zRem(`${TERM_KEY_PREFIX}${token}`, apiId.toString()));
+  multi.del(docKey);
+  await multi.exec();
+}
+
+/**
+ * Adds (or re-adds) an article to the search index. On a re-add, the article is removed from the
+ * terms its previous text had and the new one doesn't.
+ * @param {object} article - The article (must have an apiId).
+ * @param {object} [multi] - An open MULTI to add the commands to; when omitted they run immediately.
+ *   The commands are queued synchronously, so the previous terms can't be read: only pass one for
+ *   articles that aren't indexed yet.
+ * @returns {Promise<void>}
+ */
+export async function indexArticle(article, multi = null) {
+  const member = article.apiId.toString();
+  const docKey = `${DOC_KEY_PREFIX}${member}`;
+  const scores = scoreTerms(article);
+  const previousTokens = multi ? [] : await redisClient.sMembers(docKey);
+  const pipeline = multi || redisClient.multi();
+
+  previousTokens
+    .filter(token => !scores.has(token))
+    .forEach(token => pipeline.zRem(`${TERM_KEY_PREFIX}${token}`, member));
+  pipeline.del(docKey);
+  for (const [token, score] of scores) {
+    pipeline.zAdd(`${TERM_KEY_PREFIX}${token}`, { score, value: member });
+  }
+  if (scores.size > 0) pipeline.sAdd(docKey, [...scores.keys()]);
+  if (!multi) await pipeline.exec();
+}
+
+/**
+ * Searches indexed articles. Articles matching all terms are returned; if none do,
+ * articles matching any term are returned instead. Results are ranked by weighted
+ * term score, then by recency.
+ * @param {string} query - The search text.
+ * @param {object} [options={}] - Search options.
+ * @param {number} [options.since] - Only articles at or after this time (ms epoch).
+ * @param {number} [options.until] - Only articles at or before this time (ms epoch).
+ * @param {string} [options.symbol] - Only articles tagged with this symbol.
+ * @param {number} [options.limit] - Max results (capped at SEARCH_MAX_LIMIT).
+ * @param {number} [options.offset=0] - Results to skip (for paging).
+ * @returns {Promise<{total: number, results: Array<object>}>} The ranked results with highlights.
+ */
+export async function searchArticles(query, { since, until, symbol, limit, offset = 0 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return { total: 0, results: [] };
+
+  const termKeys = terms.map(term => `${TERM_KEY_PREFIX}${term}`);
+  const tempKey = `${TEMP_KEY_PREFIX}${crypto.randomUUID()}`;
+  let matches = [];
+  try {
+    // Prefer articles containing every term, fall back to any term.
+    for (const combine of ['zInterStore', 'zUnionStore']) {
+      const count = await redisClient[combine](tempKey, termKeys);
+      if (count > 0) {
+        await redisClient.expire(tempKey, TEMP_KEY_TTL);
+        matches = await redisClient.zRangeWithScores(tempKey, 0, -1, { REV: true });
+        break;
+      }
+      if (termKeys.length === 1) break; // Union of one term is the same set.
+    }
+  } finally {
+    await redisClient.del(tempKey);
+  }
+
+  // Load and filter the matched articles.
+  const hits = [];
+  for (const { value: apiId, score } of matches) {
+    const article = await getArticle(apiId);
+    if (!article) {
+      await removeFromIndex(apiId); // Pruned from the archive: drop its stale index entries.
+      continue;
+    }
+    if (!isPublicArticle(article)) continue;
+    const time = articleSortTime(article);
+    if (since !== undefined && time < since) continue;
+    if (until !== undefined && time > until) continue;
+    if (symbol && !article.symbols?.some(s => s.symbol === symbol)) continue;
+    hits.push({ article, score, time });
+  }
+  hits.sort((a, b) => b.score - a.score || b.time - a.time);
+
+  const pageSize = Math.min(limit || SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT);
+  const results = hits.slice(offset, offset + pageSize).map(({ article, score }) => ({
+    score,
+    article,
+    highlights: {
+      headline: highlight(article.headline || '', terms),
+      snippet: buildSnippet(article.article || '', terms),
+      domain: sourceDomain(article.source)
+    }
+  }));
+  return { total: hits.length, results };
+}
+
+/**
+ * Indexes any archived articles that aren't in the search index yet (e.g., after
+ * an upgrade or a lost index). Runs at startup.
+ * @returns {Promise<void>}
+ */
+export async function initializeSearchIndex() {
+  try {
+    let indexed = 0;
+    for (const apiId of await getArchivedApiIds()) {
+      if (await redisClient.exists(`${DOC_KEY_PREFIX}${apiId}`)) continue;
+      const article = await getArticle(apiId);
+      if (!article) continue;
+      await indexArticle(article);
+      indexed++;
+    }
+    console.log(`✅ [Search] Index ready (${indexed} article(s) newly indexed).`);
+  } catch (error) {
+    console.error('💥 [Search] Index initialization failed:', error);
+  }
+}
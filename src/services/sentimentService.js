@@ -0,0 +1,167 @@
+import dotenv from 'dotenv';
+import { listArticles, isPublicArticle, articleSortTime } from './articleStore.js';
+import { IMPACT_TIERS, ARTICLE_CATEGORIES } from '../../utils/validation.js';
+
+dotenv.config();
+
+// --- Configuration ---
+const SENTIMENT_MAX_WINDOW_MS = 30 * 24 * 60 * 60 * 1000; // Longest roll-up window (30 days).
+const SENTIMENT_MAX_ARTICLES = parseInt(process.env.SENTIMENT_MAX_ARTICLES) || 5000; // Articles read per roll-up.
+const NEUTRAL_BAND = 0.2; // Scores within ±0.2 count as neutral, beyond as bullish/bearish.
+const SCAN_PAGE_SIZE = 100; // Archive page size while collecting scores.
+
+// Weight of each impact tier in the impact-weighted average.
+const IMPACT_WEIGHTS = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Roll-up bucket sizes.
+export const SENTIMENT_INTERVALS = {
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const WINDOW_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a roll-up window such as '24h', '7d' or '90m'.
+ * @param {string} window - The window.
+ * @returns {number|null} The window in ms, or null if invalid or longer than 30 days.
+ */
+export function parseSentimentWindow(window) {
+  const match = /^(\d+)([mhd])$/.exec(String(window));
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * WINDOW_UNITS_MS[match[2]];
+  return ms > 0 && ms <= SENTIMENT_MAX_WINDOW_MS ? ms : null;
+}
+
+/**
+ * Picks a bucket size giving a readable series for a window: hourly up to 2 days, 4-hourly up to 7, then daily.
+ * @param {number} windowMs - The window in ms.
+ * @returns {string} A key of SENTIMENT_INTERVALS.
+ */
+const defaultInterval = (windowMs) => {
+  if (windowMs <= 2 * WINDOW_UNITS_MS.d) return '1h';
+  if (windowMs <= 7 * WINDOW_UNITS_MS.d) return '4h';
+  return '1d';
+};
+
+/**
+ * Rounds a score for output.
+ * @param {number} value - The score.
+ * @returns {number} The score to 3 decimals.
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Collects the scored public articles published since a time, newest first.
+ * @param {number} since - The earliest article time (ms epoch).
+ * @param {string|null} symbol - Only articles tagged with this symbol, or null for all.
+ * @returns {Promise<Array<{time: number, symbols: string[], score: object}>>} The scores with their article time and symbols.
+ */
+async function loadScores(since, symbol) {
+  const filter = (article) => isPublicArticle(article) && Boolean(article.marketScore) &&
+    (!symbol || article.symbols?.some(s => s.symbol === symbol));
+  const scores = [];
+  let cursor;
+  do {
+    const page = await listArticles({ since, limit: SCAN_PAGE_SIZE, cursor, filter });
+    for (const article of page.articles) {
+      scores.push({ time: articleSortTime(article), symbols: (article.symbols || []).map(s => s.symbol), score: article.marketScore });
+    }
+    cursor = page.nextCursor;
+  } while (cursor && scores.length < SENTIMENT_MAX_ARTICLES);
+  return scores.slice(0, SENTIMENT_MAX_ARTICLES);
+}
+
+/**
+ * Rolls a set of scores up.
+ * @param {Array<object>} scores - Article scores ({ sentiment, impact, category }).
+ * @returns {object} { count, average, weighted (by impact tier), bullish, bearish, neutral }; averages are null without scores.
+ */
+const summarizeScores = (scores) => {
+  let sum = 0;
+  let weightedSum = 0;
+  let weights = 0;
+  const counts = { bullish: 0, bearish: 0, neutral: 0 };
+  for (const { sentiment, impact } of scores) {
+    const weight = IMPACT_WEIGHTS[impact] || 1;
+    sum += sentiment;
+    weightedSum += sentiment * weight;
+    weights += weight;
+    counts[sentiment > NEUTRAL_BAND ? 'bullish' : sentiment < -NEUTRAL_BAND ? 'bearish' : 'neutral']++;
+  }
+  return {
+    count: scores.length,
+    average: scores.length > 0 ? round(sum / scores.length) : null,
+    weighted: scores.length > 0 ? round(weightedSum / weights) : null,
+    ...counts
+  };
+};
+
+/**
+ * Rolls the market scores of public articles up over a window: overall sentiment, impact tiers,
+ * categories and a time series.
+ * @param {object} options - The roll-up.
+ * @param {string|null} [options.symbol=null] - Only articles tagged with this tracked symbol, or null for all.
+ * @param {string} options.window - The window (see parseSentimentWindow), validated by the caller.
+ * @param {string} [options.interval] - Bucket size (a key of SENTIMENT_INTERVALS), default by window length.
+ * @param {number} [options.now=Date.now()] - The end of the window (ms epoch).
+ * @returns {Promise<object>} { symbol, window, interval, from, to, ...summary (see summarizeScores), impact: { tier: count },
+ *   categories: { category: summary }, buckets: [{ start, ...summary }] } (buckets oldest first, empty ones included).
+ */
+export async function getSentimentSummary({ symbol = null, window, interval, now = Date.now() }) {
+  const windowMs = parseSentimentWindow(window);
+  const bucketKey = interval || defaultInterval(windowMs);
+  const bucketMs = SENTIMENT_INTERVALS[bucketKey];
+  const from = now - windowMs;
+  const scores = (await loadScores(from, symbol)).filter(({ time }) => time <= now);
+
+  const impact = Object.fromEntries(IMPACT_TIERS.map(tier => [tier, 0]));
+  for (const { score } of scores) impact[score.impact] = (impact[score.impact] || 0) + 1;
+
+  const categories = {};
+  for (const category of ARTICLE_CATEGORIES) {
+    const inCategory = scores.filter(({ score }) => score.category === category).map(({ score }) => score);
+    if (inCategory.length > 0) categories[category] = summarizeScores(inCategory);
+  }
+
+  const buckets = [];
+  for (let start = Math.floor(from / bucketMs) * bucketMs; start <= now; start += bucketMs) {
+    const inBucket = scores.filter(({ time }) => time >= start && time < start + bucketMs).map(({ score }) => score);
+    buckets.push({ start: new Date(start).toISOString(), ...summarizeScores(inBucket) });
+  }
+
+  return {
+    symbol,
+    window,
+    interval: bucketKey,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    ...summarizeScores(scores.map(({ score }) => score)),
+    impact,
+    categories,
+    buckets
+  };
+}
+
+/**
+ * Rolls the market scores of public articles up per tracked symbol, for a side-by-side view.
+ * @param {object} options - The roll-up.
+ * @param {string} options.window - The window (see parseSentimentWindow), validated by the caller.
+ * @param {string[]} options.symbols - The symbols to report.
+ * @param {number} [options.now=Date.now()] - The end of the window (ms epoch).
+ * @returns {Promise<object>} { window, from, to, symbols: [{ symbol, ...summary (see summarizeScores) }] }.
+ */
+export async function getSentimentOverview({ window, symbols, now = Date.now() }) {
+  const from = now - parseSentimentWindow(window);
+  const scores = (await loadScores(from, null)).filter(({ time }) => time <= now);
+  return {
+    window,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    symbols: symbols.map(symbol => ({
+      symbol,
+      ...summarizeScores(scores.filter(entry => entry.symbols.includes(symbol)).map(({ score }) => score))
+    }))
+  };
+}
@@ -0,0 +1,103 @@
+import dotenv from 'dotenv';
+import { redisClient } from '../../utils/redis.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Events are published on one Redis pub/sub channel, so every instance forwards events
+// produced by any instance to its own Server-Sent Events clients.
+const STREAM_CHANNEL = 'stream:events';
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 25000; // Keeps proxies from closing idle streams.
+const SSE_MAX_CLIENTS = parseInt(process.env.SSE_MAX_CLIENTS) || 1000; // Max open streams per instance.
+const SSE_RETRY_MS = 5000; // Reconnect delay suggested to browsers.
+
+// Service State Variables
+const clients = new Set(); // Open SSE responses on this instance.
+let subscriber = null; // Dedicated Redis connection in subscribe mode.
+let heartbeatInterval = null;
+
+/**
+ * Writes a message to every connected client.
+ * @param {string} message - A complete SSE message (ending in a blank line).
+ */
+const broadcast = (message) => {
+  for (const res of clients) res.write(message);
+};
+
+/**
+ * Publishes an event to all SSE clients of all instances.
+ * Failures are logged and swallowed: streaming is best-effort and must not break processing.
+ * @param {string} type - The event name (e.g., 'article', 'prices').
+ * @param {object} data - The JSON-serializable event payload.
+ * @returns {Promise<void>}
+ */
+export async function publishEvent(type, data) {
+  try {
+    await redisClient.publish(STREAM_CHANNEL, JSON.stringify({ type, data }));
+  } catch (error) {
+    console.error(`   [Stream] Failed to publish '${type}' event:`, error.message);
+  }
+}
+
+/**
+ * Opens a Server-Sent Events stream on the response and keeps it registered until the client disconnects.
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @returns {boolean} False if the per-instance client limit is reached (nothing was written).
+ */
+export function addStreamClient(req, res) {
+  if (clients.size >= SSE_MAX_CLIENTS) return false;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable response buffering in nginx-style proxies.
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+  return true;
+}
+
+/**
+ * Subscribes to the Redis event channel and starts the heartbeat.
+ * Errors are logged but don't stop startup; clients then fall back to polling.
+ * @returns {Promise<void>}
+ */
+export async function initializeStream() {
+  if (subscriber) return;
+  try {
+    subscriber = redisClient.duplicate();
+    subscriber.on('error', (err) => console.error('  [Stream Subscriber Error]:', err));
+    await subscriber.connect();
+    await subscriber.subscribe(STREAM_CHANNEL, (message) => {
+      try {
+        const { type, data } = JSON.parse(message);
+        broadcast(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      } catch (error) {
+        console.error('   [Stream] Ignoring malformed event:', error.message);
+      }
+    });
+
+    heartbeatInterval = setInterval(() => broadcast(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    console.log('✅ [Stream] Subscribed to live events.');
+  } catch (error) {
+    console.error('💥 [Stream] Could not subscribe to live events:', error);
+    subscriber = null;
+  }
+}
+
+/**
+ * Ends all open streams and closes the subscriber connection (used on shutdown).
+ * @returns {Promise<void>}
+ */
+export async function closeStream() {
+  clearInterval(heartbeatInterval);
+  for (const res of clients) res.end();
+  clients.clear();
+  if (subscriber?.isOpen) await subscriber.quit();
+  subscriber = null;
+}
@@ -3,8 +3,21 @@ import { StringSession } from 'telegram/sessions/StringSession.js';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import dotenv from 'dotenv';
-import { processTelegramMessage } from '../../utils/openai.js';
+import { processTelegramMessage, scoreArticle } from '../../utils/openai.js';
+import { GENERATED_FORMATS } from '../../utils/editorialProfiles.js';
+import { detectLanguage, PRIMARY_LANGUAGE, TRANSLATION_LANGUAGES } from '../../utils/language.js';
+import { isBelowQualityThreshold, describeQuality } from '../../utils/qualityGate.js';
 import { redisClient } from '../../utils/redis.js';
+import { extractSymbols } from '../../utils/symbols.js';
+import { getLatestPriceMap } from './priceService.js';
+import { saveArticle, saveSourceText, articleSortTime, pruneArchive, isPublicArticle } from './articleStore.js';
+import { indexArticle } from './searchService.js';
+import { findDuplicate, linkDuplicate, registerArticle, pruneDedupIndex } from './dedupService.js';
+import { enrichSourceUrl } from './enrichmentService.js';
+import { checkMessageFilters, recordSkip } from './filterService.js';
+import { publishEvent } from './streamService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { recordFailure, resolveFailure, getFailure, getDueFailureIds, failureId, parseFailureId } from './deadLetterService.js';
 
 // --- Configuration ---
 dotenv.config(); // Load environment variables.
@@ -12,15 +25,32 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Telegram & Application Settings from Environment Variables
-const TELEGRAM_CHANNEL = process.env.TELEGRAM_CHANNEL;
+// Channels to monitor: TELEGRAM_CHANNELS (comma-separated) takes precedence over the legacy single TELEGRAM_CHANNEL.
+const TELEGRAM_CHANNELS = (process.env.TELEGRAM_CHANNELS || process.env.TELEGRAM_CHANNEL || '')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(Boolean);
 const MAX_ARTICLES = parseInt(process.env.MAX_ARTICLES) || 25; // Max articles to keep in cache.
 const MESSAGE_FETCH_LIMIT = parseInt(process.env.MESSAGE_FETCH_LIMIT) || 25; // How many messages to fetch per cycle.
 const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL) || 60000; // Interval in ms for checking new messages.
-const PROCESSED_SET = 'processed_ids'; // Redis set key for tracking processed message IDs.
 const LOCK_TTL = parseInt(process.env.PROCESSING_LOCK_TTL) || 60; // Lock time-to-live in seconds to prevent race conditions.
+const DLQ_RETRY_BATCH = parseInt(process.env.DLQ_RETRY_BATCH) || 5; // Max dead-lettered messages retried per cycle.
 const ARTICLE_API_ID_COUNTER_KEY = 'article_api_id_counter'; // Redis key for the sequential article ID.
 const ARTICLE_API_ID_START = 999; // Set to 999 so the first INCR yields 1000.
 
+/**
+ * Builds the per-channel Redis keys. Telegram message IDs are only unique within a channel,
+ * so every piece of polling state is namespaced by the channel identifier.
+ * @param {string} channel - The channel username or ID, as configured.
+ * @returns {object} The Redis keys/prefixes used for this channel.
+ */
+const channelKeys = (channel) => ({
+  lastMaxId: `lastMaxId:${channel}`, // Newest message ID seen in the channel.
+  processedSet: `processed_ids:${channel}`, // Set of processed message IDs.
+  backfillCursor: `backfillCursor:${channel}`, // Oldest message ID examined during backfill.
+  lockPrefix: `lock:${channel}:` // Prefix for per-message processing locks.
+});
+
 // Service State Variables
 let isPollingActive = false; // Flag to prevent overlapping poll cycles.
 let clientInstance = null; // Holds the active Telegram client instance.
@@ -34,14 +64,16 @@ const validateEnvironment = () => {
   const requiredVars = [
     'TELEGRAM_API_ID',
     'TELEGRAM_API_HASH',
-    'TELEGRAM_SESSION_STRING',
-    'TELEGRAM_CHANNEL'
+    'TELEGRAM_SESSION_STRING'
   ];
   requiredVars.forEach(varName => {
     if (!process.env[varName]) {
       throw new Error(`Missing required environment variable: ${varName}`);
     }
   });
+  if (TELEGRAM_CHANNELS.length === 0) {
+    throw new Error('Missing required environment variable: TELEGRAM_CHANNELS (or TELEGRAM_CHANNEL)');
+  }
   console.log("✅ Telegram environment variables validated.");
   return [Number(process.env.TELEGRAM_API_ID), process.env.TELEGRAM_API_HASH];
 };
@@ -133,196 +165,409 @@ function extractValidUrl(text, entities = []) {
 }
 
 
+/**
+ * Generates variants of a new article: one per editorial format or language.
+ * A variant that fails, or scores below QUALITY_MIN_SCORE, is left out (moderators can regenerate it); it never fails the article.
+ * @param {string} text - The raw message text.
+ * @param {number} msgId - The message ID, for logging.
+ * @param {string} url - The source URL.
+ * @param {object|null} page - The enriched source page, if any.
+ * @param {string} option - The processTelegramMessage option to vary ('format' or 'language').
+ * @param {string[]} values - The formats or languages to generate.
+ * @returns {Promise<Object<string, object>>} { value: { headline, content, generatedAt, quality } }.
+ */
+async function generateVariants(text, msgId, url, page, option, values) {
+  const variants = {};
+  for (const value of values) {
+    const generated = await processTelegramMessage(text, msgId, url, [], page, { [option]: value });
+    if (!generated) {
+      console.warn(`   [Process Store] No '${value}' ${option} variant for ${msgId}; the article is stored without it.`);
+      continue;
+    }
+    if (isBelowQualityThreshold(generated.quality)) {
+      console.warn(`   [Process Store] '${value}' ${option} variant for ${msgId} failed the quality check (${describeQuality(generated.quality)}); the article is stored without it.`);
+      continue;
+    }
+    variants[value] = {
+      headline: generated.headline.replace(/[*_~`"']/g, '').trim().substring(0, 100),
+      content: generated.content,
+      generatedAt: new Date().toISOString(),
+      ...(generated.quality && { quality: generated.quality })
+    };
+  }
+  return variants;
+}
+
 /**
  * Processes a single Telegram message: extracts content, calls AI, stores article.
- * Includes locking and duplicate checks.
+ * Includes locking and duplicate checks. Failures are recorded in the dead-letter queue.
  * @param {object} message - The Telegram message object.
- * @returns {Promise<boolean>} True if processed or skipped successfully, false on failure.
+ * @param {string} channel - The channel the message was fetched from.
+ * @param {object} [options={}] - Processing options.
+ * @param {boolean} [options.retry=false] - Retrying a dead-lettered message: process it even though it's marked as processed.
+ * @returns {Promise<string>} 'ok' if processed or skipped, 'locked' if another worker is processing it, 'failed' on failure.
  */
-async function processAndStoreMessage(message) {
+async function processAndStoreMessage(message, channel, { retry = false } = {}) {
   if (!message || !message.id) {
     console.warn("   [Process Store] Invalid message object received.");
-    return false;
+    return 'failed';
   }
   const msgId = message.id;
-  const lockKey = `lock:${msgId}`;
+  const keys = channelKeys(channel);
+  const lockKey = `${keys.lockPrefix}${msgId}`;
+  const rawText = message.text?.substring(0, 2000) || ''; // Limit text size.
 
+  let lockAcquired = false;
   try {
     // 1. Lock message ID to prevent concurrent processing and check if already processed.
-    const lockAcquired = await redisClient.set(lockKey, 'processing', { NX: true, EX: LOCK_TTL });
-    if (!lockAcquired) return true; // Already being processed, count as skipped.
+    lockAcquired = Boolean(await redisClient.set(lockKey, 'processing', { NX: true, EX: LOCK_TTL }));
+    if (!lockAcquired) return 'locked'; // Already being processed by another worker.
 
-    const isProcessed = await redisClient.sIsMember(PROCESSED_SET, msgId.toString());
+    const isProcessed = !retry && await redisClient.sIsMember(keys.processedSet, msgId.toString());
     if (isProcessed) {
       await redisClient.del(lockKey);
-      return true; // Already processed, count as skipped.
+      return 'ok'; // Already processed, count as skipped.
     }
 
     // 2. Extract URL and check if message is suitable for processing.
-    const rawText = message.text?.substring(0, 2000) || ''; // Limit text size.
     const entities = message.entities || [];
     const extractedUrl = extractValidUrl(rawText, entities);
 
-    if (!extractedUrl) {
-      console.log(`   [Process Store] Skipping ${msgId} - No valid URL found.`);
-      await redisClient.sAdd(PROCESSED_SET, msgId.toString());
+    // Ads, giveaways, notices and other messages the filter rules exclude never reach the AI.
+    const skip = extractedUrl ? checkMessageFilters(message, rawText, extractedUrl) : { rule: 'no_url', reason: 'no valid URL found' };
+    if (skip) {
+      console.log(`   [Process Store] Skipping ${channel}/${msgId} - ${skip.reason}.`);
+      await recordSkip({ channel, messageId: msgId, ...skip, text: rawText });
+      await redisClient.sAdd(keys.processedSet, msgId.toString());
+      if (retry) await resolveFailure(channel, msgId); // Nothing left to retry.
       await redisClient.del(lockKey);
-      return true; // Skipped (no URL).
+      return 'ok'; // Skipped (no URL or filtered).
+    }
+
+    // 3. Link reposts of a story already covered to the original article instead of generating a new one.
+    const duplicate = await findDuplicate(rawText, extractedUrl);
+    if (duplicate) {
+      const messageDate = message.date ? new Date(message.date * 1000).toISOString() : null;
+      const original = await linkDuplicate(duplicate, { url: extractedUrl, channel, messageId: msgId, messageDate });
+      if (original) {
+        const match = duplicate.matchedBy === 'url' ? 'same URL' : `${Math.round(duplicate.similarity * 100)}% similar`;
+        console.log(`   [Process Store] ${channel}/${msgId} duplicates API_ID ${original.apiId} (${match}). Linked as extra source.`);
+        await redisClient.sAdd(keys.processedSet, msgId.toString());
+        if (retry) await resolveFailure(channel, msgId);
+        if (isPublicArticle(original)) await emitWebhookEvent('article.updated', { article: original, changedFields: ['extraSources'] });
+        return 'ok'; // Skipped (duplicate).
+      }
     }
 
-    // 3. Call AI to process content.
-    console.log(`   [Process Store] Processing content for ${msgId}...`);
-    const processed = await processTelegramMessage(rawText, msgId, extractedUrl);
+    // 4. Fetch the linked page so the AI works from the full story, then call AI to process content.
+    const page = await enrichSourceUrl(extractedUrl);
+    console.log(`   [Process Store] Processing content for ${channel}/${msgId}...`);
+    const attemptLog = [];
+    const processed = await processTelegramMessage(rawText, msgId, extractedUrl, attemptLog, page);
 
-    // 4. Validate AI output.
+    // 5. Validate AI output.
     if (!processed || !processed.headline || !processed.content || processed.content.length < 50) {
-      const reason = !processed ? 'AI returned null' : (!processed.headline ? 'missing headline' : 'content too short');
-      console.warn(`   [Process Store] Invalid article format for ${msgId} (${reason}). Skipping.`);
-      await redisClient.set(`failed:${msgId}`, `Processing failed: ${reason}`, { EX: 3600 * 24 }); // Log failure temporarily.
-      await redisClient.sAdd(PROCESSED_SET, msgId.toString()); // Mark as processed (even if failed).
+      const overBudget = attemptLog.some(attempt => attempt.outcome === 'budget_exceeded');
+      const reason = !processed ? (overBudget ? 'daily AI budget exceeded' : 'AI returned null')
+        : (!processed.headline ? 'missing headline' : 'content too short');
+      console.warn(`   [Process Store] Invalid article format for ${channel}/${msgId} (${reason}). Skipping.`);
+      await recordFailure({
+        channel,
+        messageId: msgId,
+        reason: `Processing failed: ${reason}`,
+        text: rawText,
+        attemptedModels: attemptLog.filter(attempt => attempt.model)
+      });
+      await redisClient.sAdd(keys.processedSet, msgId.toString()); // Mark as processed; retries go through the dead-letter queue.
       await redisClient.del(lockKey);
-      return false; // Failure.
+      return 'failed'; // Failure.
     }
 
-    // 5. Prepare and store the new article.
+    // 6. Prepare and store the new article.
     const cleanHeadline = processed.headline.replace(/[*_~`"']/g, '').trim().substring(0, 100);
     const nextApiId = await redisClient.incr(ARTICLE_API_ID_COUNTER_KEY); // Get unique sequential ID.
 
     const newArticle = {
       id: msgId,
       apiId: nextApiId,
+      channel,
       headline: cleanHeadline,
       article: processed.content,
       source: extractedUrl,
       date: new Date().toISOString(),
-      status: 'processed'
+      messageDate: message.date ? new Date(message.date * 1000).toISOString() : null,
+      status: 'processed',
+      language: PRIMARY_LANGUAGE
     };
-
-    // 6. Update articles list in Redis atomically.
+    // Articles below QUALITY_MIN_SCORE wait for a moderator (with QUALITY_ACTION=reject, they never get here).
+    if (processed.quality) newArticle.quality = processed.quality;
+    if (isBelowQualityThreshold(processed.quality)) {
+      newArticle.status = 'held';
+      console.warn(`   [Process Store] Holding ${channel}/${msgId} for review: quality ${describeQuality(processed.quality)}.`);
+    }
+    // The language the story was reported in; the linked page decides when the message is too short to tell.
+    const sourceLanguage = detectLanguage(rawText) || (page ? detectLanguage(page.content) : null);
+    if (sourceLanguage) newArticle.sourceLanguage = sourceLanguage;
+    // Structured fields are only present when AI_OUTPUT_MODE is 'json'.
+    for (const field of ['summary', 'tickers', 'sentiment', 'tags']) {
+      if (processed[field] !== undefined) newArticle[field] = processed[field];
+    }
+    // Sentiment, impact and category for traders, rolled up by /api/sentiment.
+    const marketScore = await scoreArticle(processed, msgId);
+    if (marketScore) newArticle.marketScore = marketScore;
+    // Metadata of the linked page, when it could be fetched.
+    if (page?.title) newArticle.sourceTitle = page.title;
+    if (page?.publishedAt) newArticle.sourcePublishedAt = page.publishedAt;
+    if (page?.image) newArticle.image = page.image;
+
+    // Other editorial formats and languages of the same story, served via ?format= and ?lang= on the article endpoints.
+    const renderings = await generateVariants(rawText, msgId, extractedUrl, page, 'format', GENERATED_FORMATS);
+    if (Object.keys(renderings).length > 0) newArticle.renderings = renderings;
+    const translations = await generateVariants(rawText, msgId, extractedUrl, page, 'language', TRANSLATION_LANGUAGES);
+    if (Object.keys(translations).length > 0) newArticle.translations = translations;
+
+    // Tag the tracked symbols the story mentions, with a snapshot of their price at publish time.
+    const mentionedSymbols = extractSymbols(`${cleanHeadline}\n${processed.content}\n${rawText}`, processed.tickers);
+    const priceMap = await getLatestPriceMap();
+    newArticle.symbols = mentionedSymbols.map(symbol => ({ symbol, priceAtPublish: priceMap.get(symbol) ?? null }));
+
+    // 7. Update the latest-articles cache and the long-term archive in Redis atomically.
     const currentArticlesStr = await redisClient.get('articles') || '[]';
     const currentArticles = JSON.parse(currentArticlesStr);
 
-    const updatedArticles = [newArticle, ...currentArticles.filter(a => a.id !== msgId)]
-      .sort((a, b) => b.id - a.id) // Sort by Telegram ID (newest first).
+    const updatedArticles = [newArticle, ...currentArticles.filter(a => !(a.id === msgId && a.channel === channel))]
+      .sort((a, b) => articleSortTime(b) - articleSortTime(a)) // Sort by message date (newest first).
       .slice(0, MAX_ARTICLES); // Keep only the latest N articles.
 
     const multi = redisClient.multi();
     multi.set('articles', JSON.stringify(updatedArticles));
-    multi.sAdd(PROCESSED_SET, msgId.toString());
-    multi.del(`failed:${msgId}`); // Remove failure log on success.
+    saveArticle(newArticle, multi);
+    saveSourceText(nextApiId, rawText, multi); // Kept so moderators can regenerate the article.
+    indexArticle(newArticle, multi); // Keep the search index current.
+    registerArticle(nextApiId, rawText, extractedUrl, multi); // Let later reposts be matched against it.
+    multi.sAdd(keys.processedSet, msgId.toString());
+    resolveFailure(channel, msgId, multi); // Remove it from the dead-letter queue on success.
     await multi.exec();
+    await pruneArchive(); // Apply the archive retention policy.
+    await pruneDedupIndex();
+    if (isPublicArticle(newArticle)) {
+      await publishEvent('article', newArticle); // Push to live (SSE) clients.
+      await emitWebhookEvent('article.created', { article: newArticle });
+    }
 
-    console.log(`✅ [Process Store] Stored article (MsgID ${msgId}, API_ID ${nextApiId})`);
-    return true; // Success.
+    console.log(`✅ [Process Store] Stored ${newArticle.status} article (${channel} MsgID ${msgId}, API_ID ${nextApiId})`);
+    return 'ok'; // Success.
 
   } catch (error) {
-    console.error(`❌ [Process Store] Critical error processing ${msgId}:`, error);
+    console.error(`❌ [Process Store] Critical error processing ${channel}/${msgId}:`, error);
     if (msgId) {
-      await redisClient.set(`failed:${msgId}`, `Critical error: ${error.message}`, { EX: 3600 * 24 });
-      await redisClient.sAdd(PROCESSED_SET, msgId.toString());
+      try {
+        await recordFailure({ channel, messageId: msgId, reason: `Critical error: ${error.message}`, text: rawText });
+        await redisClient.sAdd(keys.processedSet, msgId.toString());
+      } catch (recordError) {
+        console.error(`   [Process Store] Could not record failure of ${channel}/${msgId}:`, recordError);
+      }
     }
-    return false; // Failure.
+    return 'failed'; // Failure.
   } finally {
-    if (msgId) await redisClient.del(lockKey); // Always release the lock.
+    if (lockAcquired) await redisClient.del(lockKey); // Always release the lock (only if it is ours).
   }
 }
 
 /**
- * Gets the ID of the most recent message in the Telegram channel.
+ * Fetches the text of a single Telegram message.
+ * Used to regenerate articles whose original text wasn't stored.
+ * @param {string} channel - The channel the message belongs to.
+ * @param {number} messageId - The message ID.
+ * @returns {Promise<string|null>} The message text (limited like in processing), or null if unavailable.
+ */
+async function fetchMessageText(channel, messageId) {
+  const client = await getAuthorizedClient();
+  if (!client) return null;
+  const [message] = await client.getMessages(channel, { ids: [messageId] });
+  return message?.text?.substring(0, 2000) || null;
+}
+
+/**
+ * Gets the ID of the most recent message in a Telegram channel.
  * @param {TelegramClient} client - The authorized Telegram client.
+ * @param {string} channel - The channel to query.
  * @returns {Promise<number>} The ID of the latest message, or 0.
  */
-async function getCurrentTelegramMaxId(client) {
+async function getCurrentTelegramMaxId(client, channel) {
   if (!client) return 0;
   try {
-    const [latestMessage] = await client.getMessages(TELEGRAM_CHANNEL, { limit: 1, reverse: false });
+    const [latestMessage] = await client.getMessages(channel, { limit: 1, reverse: false });
     return latestMessage?.id || 0;
   } catch (error) {
-    console.error("   [Get Max ID] Error fetching latest message ID:", error);
+    console.error(`   [Get Max ID] Error fetching latest message ID for ${channel}:`, error);
     return 0;
   }
 }
 
 /**
- * Fetches older messages from Telegram for backfilling the cache.
+ * Fetches older messages from a Telegram channel for backfilling the cache.
  * @param {TelegramClient} client - The authorized Telegram client.
- * @param {number} oldestStoredId - The ID of the oldest message currently stored.
+ * @param {string} channel - The channel to fetch from.
+ * @param {number} oldestStoredId - The ID of the oldest message already examined.
  * @param {number} neededCount - How many messages are needed.
  * @returns {Promise<Array>} An array of older message objects.
  */
-async function fetchMessagesForBackfill(client, oldestStoredId, neededCount) {
-  console.log(`[Backfill Fetch] Looking for ${neededCount} messages older than ID ${oldestStoredId}`);
+async function fetchMessagesForBackfill(client, channel, oldestStoredId, neededCount) {
+  console.log(`[Backfill Fetch] ${channel}: Looking for ${neededCount} messages older than ID ${oldestStoredId}`);
   if (!client || oldestStoredId <= 1) return []; // Cannot fetch older than 1.
 
   try {
     const fetchLimit = Math.max(neededCount + 10, MESSAGE_FETCH_LIMIT);
-    const messages = await client.getMessages(TELEGRAM_CHANNEL, {
+    const messages = await client.getMessages(channel, {
       limit: fetchLimit,
       offsetId: oldestStoredId, // Start from the oldest ID we have.
       addOffset: 0,
       reverse: true // Fetch older messages (IDs less than offsetId).
     });
     const validMessages = messages.filter(msg => msg?.id && msg.id < oldestStoredId);
-    console.log(`[Backfill Fetch] Found ${validMessages.length} raw older messages.`);
+    console.log(`[Backfill Fetch] ${channel}: Found ${validMessages.length} raw older messages.`);
     return validMessages;
   } catch (error) {
-    console.error(`📩 [Backfill Fetch] Fetch Failed (around ID ${oldestStoredId}):`, error);
+    console.error(`📩 [Backfill Fetch] ${channel}: Fetch Failed (around ID ${oldestStoredId}):`, error);
     return [];
   }
 }
 
 /**
- * Fetches the latest messages from Telegram, newer than a given ID.
- * Also attempts to refetch messages marked as 'failed'.
+ * Fetches the latest messages from a Telegram channel, newer than a given ID.
  * @param {TelegramClient} client - The authorized Telegram client.
- * @param {number} redisMaxId - The ID of the newest message previously processed.
+ * @param {string} channel - The channel to fetch from.
+ * @param {number} redisMaxId - The ID of the newest message previously processed in this channel.
  * @returns {Promise<Array>} An array of new message objects.
  */
-async function fetchLatestMessages(client, redisMaxId) {
-  console.log(`[New Fetch] Fetching messages newer than ID ${redisMaxId}`);
+async function fetchLatestMessages(client, channel, redisMaxId) {
+  console.log(`[New Fetch] ${channel}: Fetching messages newer than ID ${redisMaxId}`);
   if (!client) return [];
 
   try {
     // Fetch latest messages.
-    const messages = await client.getMessages(TELEGRAM_CHANNEL, {
+    const messages = await client.getMessages(channel, {
       limit: MESSAGE_FETCH_LIMIT,
       offsetId: 0,
       addOffset: 0,
       reverse: false // Fetch newer messages.
     });
     const unprocessedNewer = messages.filter(msg => msg?.id && msg.id > redisMaxId);
+    console.log(`[New Fetch] ${channel}: Found ${unprocessedNewer.length} potential new messages.`);
+    return unprocessedNewer;
 
-    // Attempt to retry failed messages.
-    const failedKeys = await redisClient.keys('failed:*');
-    const failedIdsToRetry = failedKeys
-      .map(k => parseInt(k.split(':')[1]))
-      .filter(id => !isNaN(id) && id > redisMaxId);
+  } catch (error) {
+    console.error(`📩 [New Fetch] ${channel}: Fetch Failed (after ID ${redisMaxId}):`, error);
+    return [];
+  }
+}
 
-    let failedMessages = [];
-    if (failedIdsToRetry.length > 0) {
-      console.log(`   [New Fetch] Retrying ${failedIdsToRetry.length} failed IDs > ${redisMaxId}`);
-      try {
-        const fetchedFailed = await client.getMessages(TELEGRAM_CHANNEL, { ids: failedIdsToRetry });
-        failedMessages = fetchedFailed.filter(msg => msg?.id && msg.id > redisMaxId);
-      } catch (fetchError) {
-        console.error(`      [New Fetch] Error refetching failed messages:`, fetchError);
+/**
+ * Runs backfill and new-message processing for a single channel, using its own state keys.
+ * @param {TelegramClient} client - The authorized Telegram client.
+ * @param {string} channel - The channel to poll.
+ */
+async function pollChannel(client, channel) {
+  const keys = channelKeys(channel);
+  const currentArticles = JSON.parse(await redisClient.get('articles') || '[]');
+  const currentArticleCount = currentArticles.length;
+  const channelArticles = currentArticles.filter(a => a.channel === channel);
+  const redisMaxId = parseInt(await redisClient.get(keys.lastMaxId) || '0');
+  const backfillCursor = parseInt(await redisClient.get(keys.backfillCursor) || '0');
+  console.log(`[POLL] ${channel}: ${channelArticles.length}/${currentArticleCount} articles. Last Max ID: ${redisMaxId}`);
+
+  // --- Backfill Logic ---
+  if (currentArticleCount < MAX_ARTICLES) {
+    // Resume from the oldest message already examined, so skipped messages aren't refetched every cycle.
+    const candidates = channelArticles.map(a => a.id);
+    if (backfillCursor > 0) candidates.push(backfillCursor);
+    const oldestId = candidates.length > 0 ? Math.min(...candidates) : (redisMaxId > 0 ? redisMaxId + 1 : 1);
+    if (oldestId > 1) {
+      const needed = MAX_ARTICLES - currentArticleCount;
+      const messagesToBackfill = await fetchMessagesForBackfill(client, channel, oldestId, needed);
+      if (messagesToBackfill.length > 0) {
+        console.log(`   [Backfill] ${channel}: Processing ${messagesToBackfill.length} older messages...`);
+        for (const message of messagesToBackfill.sort((a, b) => a.id - b.id)) { // Process oldest first
+          if (!message || !message.id || await redisClient.sIsMember(keys.processedSet, message.id.toString())) continue;
+          await processAndStoreMessage(message, channel);
+          if (JSON.parse(await redisClient.get('articles') || '[]').length >= MAX_ARTICLES) break; // Stop if full
+        }
+        await redisClient.set(keys.backfillCursor, Math.min(...messagesToBackfill.map(m => m.id)));
+      } else {
+        console.log(`   [Backfill] ${channel}: No older messages found.`);
       }
     }
+  }
 
-    // Combine and deduplicate.
-    const combined = [...unprocessedNewer, ...failedMessages];
-    const uniqueMessages = Array.from(new Map(combined.map(msg => [msg.id, msg])).values());
-    console.log(`[New Fetch] Found ${uniqueMessages.length} unique potential new messages.`);
-    return uniqueMessages;
+  // --- Fetch Newer Messages Logic ---
+  const newMessages = await fetchLatestMessages(client, channel, redisMaxId);
+  let highestProcessedIdThisCycle = redisMaxId;
+  if (newMessages.length > 0) {
+    console.log(`   [New Messages] ${channel}: Processing ${newMessages.length} newer messages...`);
+    for (const message of newMessages.sort((a, b) => b.id - a.id)) { // Process newest first
+      if (!message || !message.id || message.id <= redisMaxId || await redisClient.sIsMember(keys.processedSet, message.id.toString())) continue;
+      const success = await processAndStoreMessage(message, channel) !== 'failed';
+      if (success) highestProcessedIdThisCycle = Math.max(highestProcessedIdThisCycle, message.id);
+    }
+  } else {
+    console.log(`   [New Messages] ${channel}: No new messages found.`);
+  }
 
+  // --- Update lastMaxId ---
+  const finalTelegramMaxId = await getCurrentTelegramMaxId(client, channel);
+  const newLastMaxId = Math.max(highestProcessedIdThisCycle, finalTelegramMaxId, redisMaxId);
+  if (newLastMaxId > redisMaxId) {
+    await redisClient.set(keys.lastMaxId, newLastMaxId);
+    console.log(`📈 [POLL] ${channel}: Updated lastMaxId to ${newLastMaxId}`);
+  }
+}
+
+/**
+ * Retries one dead-lettered message. The message is refetched from Telegram so its
+ * entities (links) are available; if that fails, the stored raw text is used instead.
+ * @param {string} channel - The channel the message belongs to.
+ * @param {number} messageId - The message ID.
+ * @returns {Promise<string>} The outcome, as processAndStoreMessage reports it ('ok', 'locked' or 'failed').
+ */
+async function retryFailedMessage(channel, messageId) {
+  const record = await getFailure(failureId(channel, messageId));
+  let message = null;
+  try {
+    const client = await getAuthorizedClient();
+    [message] = await client.getMessages(channel, { ids: [messageId] });
   } catch (error) {
-    console.error(`📩 [New Fetch] Fetch Failed (after ID ${redisMaxId}):`, error);
-    return [];
+    console.error(`   [DLQ] Could not refetch ${channel}/${messageId}:`, error.message);
+  }
+  if (!message?.id) {
+    if (!record?.text) return 'failed';
+    message = { id: messageId, text: record.text, entities: [] };
+  }
+  console.log(`   [DLQ] Retrying ${channel}/${messageId} (previous attempts: ${record?.attempts || 0})...`);
+  return processAndStoreMessage(message, channel, { retry: true });
+}
+
+/**
+ * Retries the dead-lettered messages whose backoff has elapsed (at most DLQ_RETRY_BATCH per cycle).
+ * @returns {Promise<void>}
+ */
+async function retryDueFailures() {
+  const dueIds = await getDueFailureIds(DLQ_RETRY_BATCH);
+  for (const id of dueIds) {
+    const { channel, messageId } = parseFailureId(id) || {};
+    if (!channel) continue;
+    try {
+      await retryFailedMessage(channel, messageId);
+    } catch (error) {
+      console.error(`💥 [DLQ] Error retrying ${id}:`, error);
+    }
   }
 }
 
 /**
- * Executes one polling cycle: backfills if needed, fetches new messages, processes them.
+ * Executes one polling cycle over every configured channel.
+ * Retries due dead-lettered messages afterwards.
+ * A failure in one channel is logged and does not stop the others.
  */
 async function executePoll() {
   if (isPollingActive) {
@@ -337,51 +582,15 @@ async function executePoll() {
     client = await getAuthorizedClient();
     if (!client) throw new Error("Telegram client not available.");
 
-    const currentArticles = JSON.parse(await redisClient.get('articles') || '[]');
-    const currentArticleCount = currentArticles.length;
-    const redisMaxId = parseInt(await redisClient.get('lastMaxId') || '0');
-    console.log(`[POLL] State: ${currentArticleCount} articles. Last Max ID: ${redisMaxId}`);
-
-    // --- Backfill Logic ---
-    if (currentArticleCount < MAX_ARTICLES) {
-      const oldestId = currentArticles.length > 0 ? Math.min(...currentArticles.map(a => a.id)) : (redisMaxId > 0 ? redisMaxId + 1 : 1);
-      if (oldestId > 1) {
-        const needed = MAX_ARTICLES - currentArticleCount;
-        const messagesToBackfill = await fetchMessagesForBackfill(client, oldestId, needed);
-        if (messagesToBackfill.length > 0) {
-          console.log(`   [Backfill] Processing ${messagesToBackfill.length} older messages...`);
-          for (const message of messagesToBackfill.sort((a, b) => a.id - b.id)) { // Process oldest first
-            if (!message || !message.id || await redisClient.sIsMember(PROCESSED_SET, message.id.toString())) continue;
-            await processAndStoreMessage(message);
-            if (JSON.parse(await redisClient.get('articles') || '[]').length >= MAX_ARTICLES) break; // Stop if full
-          }
-        } else {
-          console.log('   [Backfill] No older messages found.');
-        }
-      }
-    }
-
-    // --- Fetch Newer Messages Logic ---
-    const newMessages = await fetchLatestMessages(client, redisMaxId);
-    let highestProcessedIdThisCycle = redisMaxId;
-    if (newMessages.length > 0) {
-      console.log(`   [New Messages] Processing ${newMessages.length} newer messages...`);
-      for (const message of newMessages.sort((a, b) => b.id - a.id)) { // Process newest first
-        if (!message || !message.id || message.id <= redisMaxId || await redisClient.sIsMember(PROCESSED_SET, message.id.toString())) continue;
-        const success = await processAndStoreMessage(message);
-        if (success) highestProcessedIdThisCycle = Math.max(highestProcessedIdThisCycle, message.id);
+    for (const channel of TELEGRAM_CHANNELS) {
+      try {
+        await pollChannel(client, channel);
+      } catch (channelError) {
+        console.error(`💥 [POLL] Error polling channel ${channel}:`, channelError);
       }
-    } else {
-      console.log('   [New Messages] No new messages found.');
     }
 
-    // --- Update lastMaxId ---
-    const finalTelegramMaxId = await getCurrentTelegramMaxId(client);
-    const newLastMaxId = Math.max(highestProcessedIdThisCycle, finalTelegramMaxId, redisMaxId);
-    if (newLastMaxId > redisMaxId) {
-      await redisClient.set('lastMaxId', newLastMaxId);
-      console.log(`📈 [POLL] Updated lastMaxId to ${newLastMaxId}`);
-    }
+    await retryDueFailures();
 
   } catch (error) {
     console.error('💥 [POLL] Critical error during poll cycle:', error);
@@ -391,6 +600,30 @@ async function executePoll() {
   }
 }
 
+/**
+ * Moves single-channel state from before multi-channel support (global 'lastMaxId' and
+ * 'processed_ids' keys, articles without a 'channel') onto the legacy TELEGRAM_CHANNEL.
+ * Safe to run on every startup: it only acts when the legacy keys are still present.
+ */
+async function migrateLegacyChannelState() {
+  const legacyChannel = process.env.TELEGRAM_CHANNEL?.trim() || TELEGRAM_CHANNELS[0];
+  const keys = channelKeys(legacyChannel);
+
+  for (const [legacyKey, newKey] of [['lastMaxId', keys.lastMaxId], ['processed_ids', keys.processedSet]]) {
+    if (await redisClient.exists(legacyKey) && !(await redisClient.exists(newKey))) {
+      await redisClient.rename(legacyKey, newKey);
+      console.log(`   [Init] Migrated '${legacyKey}' to '${newKey}'.`);
+    }
+  }
+
+  const articles = JSON.parse(await redisClient.get('articles') || '[]');
+  if (articles.some(a => !a.channel)) {
+    const migrated = articles.map(a => (a.channel ? a : { ...a, channel: legacyChannel }));
+    await redisClient.set('articles', JSON.stringify(migrated));
+    console.log(`   [Init] Tagged existing articles with channel ${legacyChannel}.`);
+  }
+}
+
 /**
  * Initializes the system: sets up API ID counter and performs an initial fetch.
  * @returns {Promise<void>}
@@ -409,6 +642,10 @@ async function initializeSystem() {
       console.log(`   [Init] Initialized Article API ID counter to ${ARTICLE_API_ID_START}.`);
     }
 
+    // Move any pre-multi-channel state onto its channel before polling.
+    await migrateLegacyChannelState();
+    console.log(`   [Init] Monitoring ${TELEGRAM_CHANNELS.length} channel(s): ${TELEGRAM_CHANNELS.join(', ')}`);
+
     // Perform an initial fetch/poll to populate some data quickly.
     // We can call executePoll here, or a simplified initial fetch.
     // Calling executePoll ensures both backfill and new-fetch logic runs once.
@@ -438,4 +675,4 @@ async function startTelegramPolling() {
 }
 
 // Export functions for use in server.js or elsewhere.
-export { getAuthorizedClient, processAndStoreMessage, executePoll, startTelegramPolling, initializeSystem };
\ No newline at end of file
+export { TELEGRAM_CHANNELS, getAuthorizedClient, fetchMessageText, processAndStoreMessage, retryFailedMessage, executePoll, startTelegramPolling, initializeSystem };
\ No newline at end of file
@@ -0,0 +1,381 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { redisClient } from '../../utils/redis.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Optional subscriber configured through the environment (the original single-target setup).
+const WEBHOOK_TARGET_URL = process.env.WEBHOOK_TARGET_URL;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET; // Signs payloads for WEBHOOK_TARGET_URL.
+const WEBHOOK_AUTH_TOKEN = process.env.WEBHOOK_AUTH_TOKEN; // Optional bearer token for WEBHOOK_TARGET_URL.
+const ENV_SUBSCRIBER_ID = 'env';
+
+const WEBHOOK_POST_TIMEOUT_MS = 15000; // Timeout for each POST request.
+const WEBHOOK_DISPATCH_INTERVAL_MS = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 5000; // Outbox polling interval.
+const WEBHOOK_DISPATCH_BATCH = 20; // Max deliveries attempted per dispatch run.
+// Subscribers are sent to in parallel, each with at most this many deliveries in flight, so a slow
+// or dead subscriber only holds up its own deliveries.
+const WEBHOOK_SUBSCRIBER_CONCURRENCY = parseInt(process.env.WEBHOOK_SUBSCRIBER_CONCURRENCY) || 2;
+// Retries back off exponentially: base * 2^(attempts - 1), capped at WEBHOOK_RETRY_MAX_MS.
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000; // 30 seconds.
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000; // 1 hour.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// A claimed delivery is pushed this far into the future while it is attempted; if the instance dies
+// mid-attempt, the delivery becomes due again once the lease runs out.
+const DELIVERY_LEASE_MS = 4 * WEBHOOK_POST_TIMEOUT_MS;
+const DELIVERY_LOG_LIMIT = 1000; // Deliveries kept in the log (older ones are deleted).
+const ATTEMPT_LOG_LIMIT = 10; // Attempts kept per delivery.
+
+// Redis keys.
+const SUBSCRIBERS_KEY = 'webhook:subscribers'; // Hash: subscriber ID -> subscriber JSON.
+const DELIVERY_KEY_PREFIX = 'webhook:delivery:'; // webhook:delivery:<id> -> delivery JSON.
+const DELIVERY_LOG_KEY = 'webhook:deliveries'; // Sorted set: score = creation time, member = delivery ID.
+const OUTBOX_KEY = 'webhook:outbox'; // Sorted set: score = next attempt time, member = delivery ID.
+
+// Claims a due outbox entry by re-scoring it to the lease expiry, only if it is still due (not claimed
+// by another instance) and still in the outbox (XX). Returns 1 if claimed.
+const CLAIM_DELIVERY_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not score or tonumber(score) > tonumber(ARGV[2]) then return 0 end
+redis.call('ZADD', KEYS[1], 'XX', ARGV[3], ARGV[1])
+return 1`;
+
+// Event kinds a subscriber can filter on.
+export const WEBHOOK_EVENTS = ['articles', 'prices', 'alerts'];
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+// Service State Variables
+let isDispatchRunning = false; // Flag to prevent overlapping dispatch runs.
+let dispatchInterval = null;
+
+/**
+ * Signs a payload: HMAC-SHA256 over '<timestamp>.<body>' with the subscriber's secret.
+ * Receivers recompute it and reject stale timestamps to prevent replays.
+ * @param {string} secret - The subscriber's secret.
+ * @param {number} timestamp - Unix time in seconds.
+ * @param {string} body - The raw JSON body.
+ * @returns {string} The signature header value ('sha256=<hex>').
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Computes the delay before the next delivery attempt.
+ * @param {number} attempts - Failed attempts so far.
+ * @returns {number} The delay in ms.
+ */
+const retryDelay = (attempts) => Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+
+/**
+ * Hides a subscriber's secret for display.
+ * @param {object} subscriber - The subscriber.
+ * @returns {object} The subscriber without its secret (plus whether one is set).
+ */
+export const redactSubscriber = ({ secret, authToken, ...subscriber }) => ({ ...subscriber, signed: Boolean(secret) });
+
+/**
+ * The subscriber defined by WEBHOOK_TARGET_URL, if any. It receives every event.
+ * @returns {object|null} The subscriber, or null.
+ */
+const envSubscriber = () => (WEBHOOK_TARGET_URL ? {
+  id: ENV_SUBSCRIBER_ID,
+  url: WEBHOOK_TARGET_URL,
+  secret: WEBHOOK_SECRET || null,
+  authToken: WEBHOOK_AUTH_TOKEN || null,
+  events: WEBHOOK_EVENTS,
+  symbols: [],
+  active: true,
+  source: 'env'
+} : null);
+
+/**
+ * Lists all subscribers: the WEBHOOK_TARGET_URL one (if set) and those registered via the admin API.
+ * @returns {Promise<Array<object>>} The subscribers (with secrets).
+ */
+export async function listSubscribers() {
+  const stored = Object.values(await redisClient.hGetAll(SUBSCRIBERS_KEY)).map(json => JSON.parse(json));
+  return [envSubscriber(), ...stored].filter(Boolean);
+}
+
+/**
+ * Reads one subscriber.
+ * @param {string} id - The subscriber ID.
+ * @returns {Promise<object|null>} The subscriber, or null.
+ */
+export async function getSubscriber(id) {
+  if (id === ENV_SUBSCRIBER_ID) return envSubscriber();
+  const json = await redisClient.hGet(SUBSCRIBERS_KEY, id);
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Registers a subscriber. A signing secret is generated unless one is given.
+ * @param {object} fields - Validated fields: { url, events, symbols, secret? }.
+ * @returns {Promise<object>} The new subscriber, including its secret.
+ */
+export async function createSubscriber({ url, events = WEBHOOK_EVENTS, symbols = [], secret }) {
+  const subscriber = {
+    id: crypto.randomUUID(),
+    url,
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    events,
+    symbols,
+    active: true,
+    createdAt: new Date().toISOString()
+  };
+  await redisClient.hSet(SUBSCRIBERS_KEY, subscriber.id, JSON.stringify(subscriber));
+  console.log(`📡 [Webhook] Registered subscriber ${subscriber.id} (${url}).`);
+  return subscriber;
+}
+
+/**
+ * Updates a registered subscriber.
+ * @param {string} id - The subscriber ID.
+ * @param {object} changes - Validated changes: { url?, events?, symbols?, active? }.
+ * @returns {Promise<object|null>} The updated subscriber, or null if it isn't registered.
+ */
+export async function updateSubscriber(id, changes) {
+  const json = await redisClient.hGet(SUBSCRIBERS_KEY, id);
+  if (!json) return null;
+  const subscriber = { ...JSON.parse(json), ...changes, updatedAt: new Date().toISOString() };
+  await redisClient.hSet(SUBSCRIBERS_KEY, id, JSON.stringify(subscriber));
+  return subscriber;
+}
+
+/**
+ * Removes a registered subscriber. Its pending deliveries are cancelled when they come due.
+ * @param {string} id - The subscriber ID.
+ * @returns {Promise<boolean>} False if it isn't registered.
+ */
+export async function deleteSubscriber(id) {
+  const removed = await redisClient.hDel(SUBSCRIBERS_KEY, id);
+  if (removed) console.log(`📡 [Webhook] Removed subscriber ${id}.`);
+  return removed > 0;
+}
+
+/**
+ * Queues a payload for delivery to one subscriber.
+ * @param {object} subscriber - The subscriber.
+ * @param {string} event - The event type (sent in X-Webhook-Event).
+ * @param {object} payload - The JSON payload.
+ * @returns {Promise<object>} The delivery record.
+ */
+export async function enqueueDelivery(subscriber, event, payload) {
+  const now = Date.now();
+  const delivery = {
+    id: crypto.randomUUID(),
+    subscriberId: subscriber.id,
+    url: subscriber.url,
+    event,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(now).toISOString(),
+    attemptLog: []
+  };
+
+  const multi = redisClient.multi();
+  multi.set(`${DELIVERY_KEY_PREFIX}${delivery.id}`, JSON.stringify(delivery));
+  multi.zAdd(DELIVERY_LOG_KEY, { score: now, value: delivery.id });
+  multi.zAdd(OUTBOX_KEY, { score: now, value: delivery.id });
+  await multi.exec();
+  return delivery;
+}
+
+/**
+ * Queues an event for every active subscriber whose filter accepts it.
+ * @param {string} event - The event type (e.g., 'article.created').
+ * @param {string} kind - The event kind subscribers filter on ('articles', 'prices' or 'alerts').
+ * @param {function(object): Promise<object|null>} buildPayload - Builds the payload for a subscriber
+ *   (e.g., narrowed to its symbols); returning null skips that subscriber.
+ * @returns {Promise<number>} The number of deliveries queued.
+ */
+export async function publishWebhookEvent(event, kind, buildPayload) {
+  let queued = 0;
+  for (const subscriber of await listSubscribers()) {
+    if (!subscriber.active || !subscriber.events.includes(kind)) continue;
+    const payload = await buildPayload(subscriber);
+    if (!payload) continue;
+    await enqueueDelivery(subscriber, event, payload);
+    queued++;
+  }
+  if (queued > 0) console.log(`   [Webhook] Queued '${event}' for ${queued} subscriber(s).`);
+  await trimDeliveryLog();
+  return queued;
+}
+
+/**
+ * Deletes the oldest deliveries beyond DELIVERY_LOG_LIMIT.
+ * @returns {Promise<void>}
+ */
+async function trimDeliveryLog() {
+  const expired = await redisClient.zRange(DELIVERY_LOG_KEY, 0, -DELIVERY_LOG_LIMIT - 1);
+  if (expired.length === 0) return;
+  const multi = redisClient.multi();
+  multi.del(expired.map(id => `${DELIVERY_KEY_PREFIX}${id}`));
+  multi.zRem(DELIVERY_LOG_KEY, expired);
+  multi.zRem(OUTBOX_KEY, expired);
+  await multi.exec();
+}
+
+/**
+ * Sends one delivery and records the outcome, rescheduling it with backoff on failure.
+ * @param {object} delivery - The delivery record.
+ * @returns {Promise<object>} The updated delivery record.
+ */
+async function attemptDelivery(delivery) {
+  const subscriber = await getSubscriber(delivery.subscriberId);
+  const updated = { ...delivery };
+
+  if (!subscriber || !subscriber.active) {
+    updated.status = 'cancelled';
+    updated.nextAttemptAt = null;
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': timestamp.toString()
+    };
+    if (subscriber.secret) headers['X-Webhook-Signature'] = signPayload(subscriber.secret, timestamp, body);
+    if (subscriber.authToken) headers.Authorization = `Bearer ${subscriber.authToken}`;
+
+    const startTime = Date.now();
+    const attempt = { at: new Date(startTime).toISOString(), statusCode: null, error: null, durationMs: 0 };
+    try {
+      // axios rejects non-2xx responses, so reaching the next line means success.
+      const response = await axios.post(subscriber.url, body, { timeout: WEBHOOK_POST_TIMEOUT_MS, headers });
+      attempt.statusCode = response.status;
+    } catch (postError) {
+      attempt.statusCode = postError.response?.status ?? null;
+      attempt.error = postError.response ? `HTTP ${postError.response.status}` : postError.message;
+    }
+    attempt.durationMs = Date.now() - startTime;
+
+    updated.attempts += 1;
+    updated.lastAttemptAt = attempt.at;
+    updated.attemptLog = [...delivery.attemptLog, attempt].slice(-ATTEMPT_LOG_LIMIT);
+
+    if (!attempt.error) {
+      updated.status = 'delivered';
+      updated.nextAttemptAt = null;
+      console.log(`✅ [Webhook] Delivered ${delivery.event} to ${subscriber.url} (${attempt.statusCode}) in ${attempt.durationMs}ms.`);
+    } else if (updated.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      updated.status = 'failed';
+      updated.nextAttemptAt = null;
+      console.error(`❌ [Webhook] Giving up on ${delivery.id} to ${subscriber.url} after ${updated.attempts} attempts: ${attempt.error}`);
+    } else {
+      updated.nextAttemptAt = new Date(Date.now() + retryDelay(updated.attempts)).toISOString();
+      console.warn(`   [Webhook] Delivery ${delivery.id} to ${subscriber.url} failed (${attempt.error}); retrying at ${updated.nextAttemptAt}.`);
+    }
+  }
+
+  const multi = redisClient.multi();
+  multi.set(`${DELIVERY_KEY_PREFIX}${delivery.id}`, JSON.stringify(updated));
+  // Replaces the lease taken when the delivery was claimed.
+  if (updated.status === 'pending') multi.zAdd(OUTBOX_KEY, { score: Date.parse(updated.nextAttemptAt), value: delivery.id });
+  else multi.zRem(OUTBOX_KEY, delivery.id);
+  await multi.exec();
+  return updated;
+}
+
+/**
+ * Claims a due delivery for DELIVERY_LEASE_MS.
+ * @param {string} id - The delivery ID.
+ * @param {number} now - The dispatch time (ms epoch).
+ * @returns {Promise<boolean>} False if another instance claimed it first.
+ */
+async function claimDelivery(id, now) {
+  const claimed = await redisClient.eval(CLAIM_DELIVERY_SCRIPT, {
+    keys: [OUTBOX_KEY],
+    arguments: [id, now.toString(), (now + DELIVERY_LEASE_MS).toString()]
+  });
+  return claimed === 1;
+}
+
+/**
+ * Claims a due delivery and attempts it. Failures are logged and swallowed.
+ * @param {string} id - The delivery ID.
+ * @returns {Promise<void>}
+ */
+async function dispatchDelivery(id) {
+  try {
+    if (!(await claimDelivery(id, Date.now()))) return; // Claimed by another instance.
+    const json = await redisClient.get(`${DELIVERY_KEY_PREFIX}${id}`);
+    if (!json) { // Trimmed from the log.
+      await redisClient.zRem(OUTBOX_KEY, id);
+      return;
+    }
+    await attemptDelivery(JSON.parse(json));
+  } catch (error) {
+    console.error(`💥 [Webhook] Error dispatching delivery ${id}:`, error);
+  }
+}
+
+/**
+ * Attempts the deliveries that are due, all subscribers at once and at most WEBHOOK_SUBSCRIBER_CONCURRENCY
+ * per subscriber. Each one is claimed with a lease first, so several instances never send the same
+ * delivery concurrently, and it only leaves the outbox once its outcome is recorded: a delivery whose
+ * instance dies mid-attempt is retried after the lease.
+ * @returns {Promise<void>}
+ */
+async function dispatchDueDeliveries() {
+  if (isDispatchRunning) return;
+  isDispatchRunning = true;
+  try {
+    const dueIds = await redisClient.zRange(OUTBOX_KEY, '-inf', Date.now(), {
+      BY: 'SCORE',
+      LIMIT: { offset: 0, count: WEBHOOK_DISPATCH_BATCH }
+    });
+    if (dueIds.length === 0) return;
+
+    // Group by subscriber; trimmed deliveries form a group of their own and are just cleared.
+    const records = await redisClient.mGet(dueIds.map(id => `${DELIVERY_KEY_PREFIX}${id}`));
+    const queues = new Map();
+    dueIds.forEach((id, i) => {
+      const subscriberId = records[i] ? JSON.parse(records[i]).subscriberId : null;
+      queues.set(subscriberId, [...(queues.get(subscriberId) || []), id]);
+    });
+
+    await Promise.allSettled([...queues.values()].flatMap(queue =>
+      Array.from({ length: Math.min(WEBHOOK_SUBSCRIBER_CONCURRENCY, queue.length) }, async () => {
+        while (queue.length > 0) await dispatchDelivery(queue.shift());
+      })));
+  } catch (error) {
+    console.error('💥 [Webhook] Error dispatching deliveries:', error);
+  } finally {
+    isDispatchRunning = false;
+  }
+}
+
+/**
+ * Lists logged deliveries, newest first.
+ * @param {object} [options={}] - Query options.
+ * @param {string} [options.subscriberId] - Only deliveries to this subscriber.
+ * @param {string} [options.status] - Only deliveries with this status.
+ * @param {number} [options.limit=50] - Max deliveries.
+ * @returns {Promise<Array<object>>} The delivery records.
+ */
+export async function listDeliveries({ subscriberId, status, limit = 50 } = {}) {
+  const ids = await redisClient.zRange(DELIVERY_LOG_KEY, 0, -1, { REV: true });
+  const records = ids.length > 0 ? await redisClient.mGet(ids.map(id => `${DELIVERY_KEY_PREFIX}${id}`)) : [];
+  return records
+    .filter(Boolean)
+    .map(json => JSON.parse(json))
+    .filter(d => (!subscriberId || d.subscriberId === subscriberId) && (!status || d.status === status))
+    .slice(0, limit);
+}
+
+/**
+ * Starts the outbox dispatcher.
+ */
+export function startWebhookDispatcher() {
+  if (dispatchInterval) return;
+  dispatchInterval = setInterval(dispatchDueDeliveries, WEBHOOK_DISPATCH_INTERVAL_MS);
+  console.log(`⏱️ [Webhook] Delivery dispatcher running every ${WEBHOOK_DISPATCH_INTERVAL_MS / 1000}s.`);
+}
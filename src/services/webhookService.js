@@ -1,141 +1,164 @@
-import axios from 'axios';
-import crypto from 'crypto'; // Used for hashing data to detect changes.
 import dotenv from 'dotenv';
 import { redisClient } from '../../utils/redis.js';
+import { publishWebhookEvent, enqueueDelivery, getSubscriber, startWebhookDispatcher } from './webhookDeliveryService.js';
 
 dotenv.config();
 
 // --- Configuration ---
-const WEBHOOK_TARGET_URL = process.env.WEBHOOK_TARGET_URL; // URL to send updates to.
-const WEBHOOK_INTERVAL_MINUTES = parseInt(process.env.WEBHOOK_INTERVAL_MINUTES) || 1; // Check interval.
-const WEBHOOK_POST_TIMEOUT_MS = 15000; // Timeout for the POST request.
+// Every event gets the next value of a global, monotonic sequence and is kept in an event log
+// (the last WEBHOOK_EVENT_LOG_LIMIT events) so consumers can ask for a replay after a gap.
+const WEBHOOK_EVENT_LOG_LIMIT = parseInt(process.env.WEBHOOK_EVENT_LOG_LIMIT) || 10000;
+const REPLAY_MAX_EVENTS = 1000; // Max events re-queued by one replay request.
 
-// Redis keys to store the state of the last successful post.
-const LAST_POSTED_ARTICLE_MAX_ID_KEY = 'webhook_last_posted_article_max_id';
-const LAST_POSTED_PRICES_HASH_KEY = 'webhook_last_posted_prices_hash';
+// Redis keys.
+const EVENT_SEQUENCE_KEY = 'webhook:eventSeq'; // Counter: last assigned sequence number.
+const EVENT_LOG_KEY = 'webhook:events'; // Sorted set: score = sequence, member = event JSON.
+const SUBSCRIBER_LAST_SEQ_KEY = 'webhook:subscriberLastSeq'; // Hash: subscriber ID -> sequence of its last event.
 
-// Service State Variable
-let isWebhookCheckRunning = false; // Flag to prevent overlapping checks.
+// Event types, and the kind subscribers filter on ('articles', 'prices' or 'alerts').
+export const WEBHOOK_EVENT_TYPES = ['article.created', 'article.updated', 'article.deleted', 'prices.updated', 'alert.triggered'];
+const EVENT_KINDS = { article: 'articles', prices: 'prices', alert: 'alerts' };
+const eventKind = (type) => EVENT_KINDS[type.split('.')[0]];
 
 /**
- * Calculates an MD5 hash of the given data.
- * Used to efficiently check if price data has changed.
- * @param {*} data - The data to hash.
- * @returns {string} The MD5 hash as a hex string.
+ * The symbols an article event relates to.
+ * @param {object} event - An article event.
+ * @returns {string[]} The symbols.
  */
-function calculateHash(data) {
-    if (!data) return '';
-    return crypto.createHash('md5').update(JSON.stringify(data)).digest('hex');
+function articleEventSymbols(event) {
+    if (event.data.article) return (event.data.article.symbols || []).map(s => s.symbol);
+    return event.data.symbols || []; // article.deleted carries the symbols itself.
 }
 
+// Sets a subscriber's last sequence and returns the previous one in a single step, so concurrent
+// emits (other instances included) each chain from a different predecessor.
+const SWAP_LAST_SEQ_SCRIPT = `
+local previous = redis.call('HGET', KEYS[1], ARGV[1])
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return previous`;
+
 /**
- * Checks for updates in articles or prices and posts them to the webhook URL if changes are detected.
+ * Records an event as the last one sent to a subscriber.
+ * @param {string} subscriberId - The subscriber ID.
+ * @param {number} seq - The event's sequence number.
+ * @returns {Promise<number>} The sequence of the subscriber's previous event (0 if none).
  */
-async function checkAndPostUpdates() {
-    // Skip if no URL is set or if a check is already running.
-    if (!WEBHOOK_TARGET_URL) return;
-    if (isWebhookCheckRunning) {
-        console.log('[Webhook] Skip: Previous check still running.');
-        return;
-    }
+async function swapLastSeq(subscriberId, seq) {
+    const previous = await redisClient.eval(SWAP_LAST_SEQ_SCRIPT, {
+        keys: [SUBSCRIBER_LAST_SEQ_KEY],
+        arguments: [subscriberId, seq.toString()]
+    });
+    return parseInt(previous || '0');
+}
 
-    isWebhookCheckRunning = true;
-    console.log(`\n📡 [Webhook] Checking for updates...`);
+/**
+ * Narrows an event to a subscriber's symbols.
+ * @param {object} event - The event.
+ * @param {object} subscriber - The subscriber.
+ * @returns {object|null} The event (prices.updated reduced to the subscriber's symbols), or null if irrelevant.
+ */
+function narrowEvent(event, subscriber) {
+    if (subscriber.symbols.length === 0) return event;
 
-    try {
-        // 1. Get current data from Redis.
-        const articlesJson = await redisClient.get('articles');
-        const pricesJson = await redisClient.get('latestPrices');
-        const currentArticles = articlesJson ? JSON.parse(articlesJson) : [];
-        const currentPrices = pricesJson ? JSON.parse(pricesJson) : [];
-
-        // 2. Determine current state indicators.
-        // We use the highest Telegram ID ('id') from the latest article (which is first in the sorted array).
-        const currentArticleMaxId = currentArticles.length > 0 ? currentArticles[0].id : 0;
-        const currentPricesHash = calculateHash(currentPrices);
-
-        // 3. Get last posted state indicators.
-        const lastPostedArticleMaxId = parseInt(await redisClient.get(LAST_POSTED_ARTICLE_MAX_ID_KEY) || '0');
-        const lastPostedPricesHash = await redisClient.get(LAST_POSTED_PRICES_HASH_KEY) || '';
-
-        // 4. Compare current state with the last posted state.
-        const articlesChanged = currentArticleMaxId > lastPostedArticleMaxId;
-        const pricesChanged = currentPricesHash !== lastPostedPricesHash;
-
-        // 5. Post data if changes are detected.
-        if (articlesChanged || pricesChanged) {
-            console.log(`   [Webhook] Change detected (Articles: ${articlesChanged}, Prices: ${pricesChanged}). Posting...`);
-
-            const payload = {
-                allArticles: currentArticles,
-                latestArticle: currentArticles.length > 0 ? currentArticles[0] : null,
-                latestPrices: currentPrices
-            };
-
-            const startTime = Date.now();
-            try {
-                // Send the POST request using axios.
-                const response = await axios.post(WEBHOOK_TARGET_URL, payload, {
-                    timeout: WEBHOOK_POST_TIMEOUT_MS,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        // Optional: Add an auth token if needed by the target.
-                        // 'Authorization': `Bearer ${process.env.WEBHOOK_AUTH_TOKEN}`
-                    }
-                });
-
-                const duration = Date.now() - startTime;
-                // Check for a successful HTTP status code (2xx).
-                if (response.status >= 200 && response.status < 300) {
-                    console.log(`✅ [Webhook] Successfully posted update (${response.status}) in ${duration}ms.`);
-
-                    // 6. Update last posted state in Redis ONLY on success.
-                    const multi = redisClient.multi();
-                    multi.set(LAST_POSTED_ARTICLE_MAX_ID_KEY, currentArticleMaxId);
-                    multi.set(LAST_POSTED_PRICES_HASH_KEY, currentPricesHash);
-                    await multi.exec();
-
-                } else {
-                    console.error(`❌ [Webhook] Post failed with status ${response.status} in ${duration}ms.`);
-                }
-
-            } catch (postError) {
-                const duration = Date.now() - startTime;
-                console.error(`❌ [Webhook] Error posting update after ${duration}ms:`, postError.message);
-                // Log detailed error info if available.
-                if (postError.response) {
-                    console.error('   [Webhook] Error Response Status:', postError.response.status);
-                } else if (postError.request) {
-                    console.error('   [Webhook] No response received (Timeout or Network Issue).');
-                }
-            }
-
-        } else {
-            console.log('   [Webhook] No changes detected since last post.');
-        }
+    if (eventKind(event.type) === 'articles') {
+        return articleEventSymbols(event).some(symbol => subscriber.symbols.includes(symbol)) ? event : null;
+    }
+    if (eventKind(event.type) === 'alerts') {
+        return subscriber.symbols.includes(event.data.alert.symbol) ? event : null;
+    }
+    const prices = event.data.prices.filter(p => subscriber.symbols.includes(p.symbol));
+    return prices.length > 0 ? { ...event, data: { ...event.data, prices } } : null;
+}
 
+/**
+ * Records an event in the event log and queues it for every matching subscriber.
+ * Each delivered payload is { seq, prevSeq, type, occurredAt, data }: 'seq' is global and monotonic,
+ * 'prevSeq' is the sequence of the previous event sent to the same subscriber (0 if none), so a
+ * subscriber with a symbol filter can still tell a real gap from events it wasn't meant to get.
+ * Failures are logged and swallowed: webhooks must not break processing.
+ * @param {string} type - One of WEBHOOK_EVENT_TYPES.
+ * @param {object} data - The event data.
+ * @returns {Promise<object|null>} The recorded event, or null on failure.
+ */
+export async function emitWebhookEvent(type, data) {
+    try {
+        const seq = await redisClient.incr(EVENT_SEQUENCE_KEY);
+        const event = { seq, type, occurredAt: new Date().toISOString(), data };
+
+        const multi = redisClient.multi();
+        multi.zAdd(EVENT_LOG_KEY, { score: seq, value: JSON.stringify(event) });
+        multi.zRemRangeByRank(EVENT_LOG_KEY, 0, -WEBHOOK_EVENT_LOG_LIMIT - 1);
+        await multi.exec();
+
+        await publishWebhookEvent(type, eventKind(type), async (subscriber) => {
+            const narrowed = narrowEvent(event, subscriber);
+            if (!narrowed) return null;
+            return { ...narrowed, prevSeq: await swapLastSeq(subscriber.id, seq) };
+        });
+        return event;
     } catch (error) {
-        console.error('💥 [Webhook] Critical error during check/post cycle:', error);
-    } finally {
-        isWebhookCheckRunning = false; // Release the lock.
+        console.error(`💥 [Webhook] Failed to emit ${type}:`, error);
+        return null;
     }
 }
 
 /**
- * Starts the webhook service, setting up an interval to call checkAndPostUpdates.
+ * Reads events from the event log.
+ * @param {number} afterSeq - Only events with a greater sequence number.
+ * @param {number} [limit=100] - Max events (oldest first).
+ * @returns {Promise<{latestSeq: number, oldestSeq: number|null, events: Array<object>}>}
+ *   The events plus the newest assigned and the oldest retained sequence numbers.
  */
-function startWebhookService() {
-    if (!WEBHOOK_TARGET_URL) {
-        console.warn('ℹ️ [Webhook] Service not starting: WEBHOOK_TARGET_URL is not defined.');
-        return;
-    }
+export async function getWebhookEvents(afterSeq, limit = 100) {
+    const [latestSeq, oldest, members] = await Promise.all([
+        redisClient.get(EVENT_SEQUENCE_KEY),
+        redisClient.zRangeWithScores(EVENT_LOG_KEY, 0, 0),
+        redisClient.zRange(EVENT_LOG_KEY, `(${afterSeq}`, '+inf', { BY: 'SCORE', LIMIT: { offset: 0, count: limit } })
+    ]);
+    return {
+        latestSeq: parseInt(latestSeq || '0'),
+        oldestSeq: oldest.length > 0 ? oldest[0].score : null,
+        events: members.map(member => JSON.parse(member))
+    };
+}
 
-    const intervalMs = WEBHOOK_INTERVAL_MINUTES * 60 * 1000;
-    console.log(`⏱️ [Webhook] Service starting. Checking every ${WEBHOOK_INTERVAL_MINUTES} minute(s).`);
+/**
+ * Re-queues the events after a sequence number for one subscriber (narrowed to its filter).
+ * Replayed payloads carry 'replay: true'; their 'prevSeq' values chain from fromSeq.
+ * @param {string} subscriberId - The subscriber ID.
+ * @param {number} fromSeq - The last sequence number the subscriber received.
+ * @returns {Promise<{status: string, queued?: number, oldestSeq?: number}>} status is 'ok',
+ *   'not_found' (no such subscriber) or 'gone' (events after fromSeq were already dropped from the log).
+ */
+export async function replayWebhookEvents(subscriberId, fromSeq) {
+    const subscriber = await getSubscriber(subscriberId);
+    if (!subscriber) return { status: 'not_found' };
+
+    const { oldestSeq, events } = await getWebhookEvents(fromSeq, REPLAY_MAX_EVENTS);
+    if (oldestSeq !== null && fromSeq + 1 < oldestSeq) return { status: 'gone', oldestSeq };
+
+    let prevSeq = fromSeq;
+    let queued = 0;
+    for (const event of events) {
+        if (!subscriber.events.includes(eventKind(event.type))) continue;
+        const narrowed = narrowEvent(event, subscriber);
+        if (!narrowed) continue;
+        await enqueueDelivery(subscriber, event.type, { ...narrowed, prevSeq, replay: true });
+        prevSeq = event.seq;
+        queued++;
+    }
+    console.log(`📡 [Webhook] Replaying ${queued} event(s) after #${fromSeq} to ${subscriber.url}.`);
+    return { status: 'ok', queued };
+}
 
-    // Run the check once soon after start, then set the interval.
-    setTimeout(checkAndPostUpdates, 5000); // Wait 5 seconds before first check.
-    setInterval(checkAndPostUpdates, intervalMs);
+/**
+ * Starts the webhook service (the outbox dispatcher). Events are emitted by the services
+ * that produce them, so there is nothing to poll. Runs even without WEBHOOK_TARGET_URL,
+ * since subscribers can be registered through the admin API.
+ */
+function startWebhookService() {
+    console.log('⏱️ [Webhook] Service starting.');
+    startWebhookDispatcher();
 }
 
-export { startWebhookService };
\ No newline at end of file
+export { startWebhookService };
@@ -0,0 +1,266 @@
+import { OpenAI } from 'openai';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Configuration ---
+// OpenRouter (hosted, default provider for model entries without a prefix).
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const OPENROUTER_API_KEYS = process.env.OPENROUTER_API_KEYS?.split(',').map(k => k.trim()).filter(Boolean) || [];
+
+// Any OpenAI-compatible server (vLLM, llama.cpp server, LM Studio, ...).
+const OPENAI_COMPAT_BASE_URL = process.env.OPENAI_COMPAT_BASE_URL;
+const OPENAI_COMPAT_API_KEYS = process.env.OPENAI_COMPAT_API_KEYS?.split(',').map(k => k.trim()).filter(Boolean) || [];
+
+// Ollama exposes an OpenAI-compatible endpoint under /v1.
+const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1';
+
+// Used as the API key for servers that don't check one (the OpenAI client requires a value).
+const NO_KEY_PLACEHOLDER = 'not-needed';
+
+/**
+ * Creates a provider backed by an OpenAI-compatible chat completions API.
+ * @param {object} config - Provider configuration.
+ * @param {string} config.name - The provider name (used as the model prefix).
+ * @param {string} config.baseURL - The API base URL.
+ * @param {string[]} config.apiKeys - API keys to rotate through (empty for keyless servers).
+ * @param {object} [config.defaultHeaders] - Extra headers sent with every request.
+ * @param {object} [config.extraBody] - Extra, provider-specific fields sent in every request body.
+ * @returns {object} The provider ({ name, apiKeys, isConfigured, complete }).
+ */
+const createOpenAICompatibleProvider = ({ name, baseURL, apiKeys, defaultHeaders, extraBody }) => ({
+  name,
+  // Keyless servers still need one pass through the key loop.
+  apiKeys: apiKeys.length > 0 ? apiKeys : [null],
+  isConfigured: () => Boolean(baseURL),
+
+  /**
+   * Requests a chat completion.
+   * @param {object} request - The completion request.
+   * @param {string} request.model - The model name (without the provider prefix).
+   * @param {Array<object>} request.messages - Chat messages.
+   * @param {number} request.temperature - Sampling temperature.
+   * @param {number} request.maxTokens - Max tokens to generate.
+   * @param {string} [request.responseFormat] - 'json' to request a JSON object response.
+   * @param {string|null} request.apiKey - The API key for this attempt.
+   * @param {AbortSignal} request.signal - Signal used to abort the request on timeout.
+   * @returns {Promise<object>} { content, usage }.
+   */
+  async complete({ model, messages, temperature, maxTokens, responseFormat, apiKey, signal }) {
+    const client = new OpenAI({
+      baseURL,
+      apiKey: apiKey || NO_KEY_PLACEHOLDER,
+      defaultHeaders
+    });
+    const completion = await client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(responseFormat === 'json' && { response_format: { type: 'json_object' } }),
+      ...extraBody
+    }, { signal });
+    return {
+      content: completion?.choices?.[0]?.message?.content || null,
+      usage: completion?.usage || null
+    };
+  }
+});
+
+// --- Template Provider ---
+// Filler sentences the template provider cycles through to reach the requested length.
+const TEMPLATE_SENTENCES = [
+  'This report is generated from the source message without any outside information.',
+  'The details below summarise the update as it was originally published.',
+  'Readers should consult the linked source for the complete announcement.',
+  'Market participants are following the development closely.',
+  'Further information is expected as the situation develops.'
+];
+
+/**
+ * Splits text into sentences, dropping URLs and empty fragments.
+ * @param {string} text - The input text.
+ * @returns {string[]} The sentences, each ending with punctuation.
+ */
+const splitSentences = (text) => (text || '')
+  .replace(/https?:\/\/\S+/g, '')
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => /\w/.test(sentence))
+  .map(sentence => (/[.!?]$/.test(sentence) ? sentence : `${sentence}.`));
+
+// Keywords the template provider scores stories by: sentiment words and the first matching category.
+const TEMPLATE_BULLISH_WORDS = /\b(surges?|soars?|rall(?:y|ies)|gains?|jumps?|approv\w*|record highs?|inflows?|partnership|adopts?|launch\w*|bullish)\b/gi;
+const TEMPLATE_BEARISH_WORDS = /\b(plunges?|crash\w*|drops?|falls?|hack\w*|exploit\w*|stolen|lawsuit|sues|bans?|outflows?|liquidat\w*|delist\w*|bearish)\b/gi;
+const TEMPLATE_CATEGORIES = [
+  ['hack', /\b(hack\w*|exploit\w*|stolen|breach)\b/i],
+  ['etf', /\betfs?\b/i],
+  ['regulation', /\b(sec|cftc|regulat\w*|ban\w*|licen[cs]e\w*|mica)\b/i],
+  ['legal', /\b(lawsuit|sues|court|charged|settlement)\b/i],
+  ['listing', /\b(list(?:s|ed|ing)|delist\w*)\b/i],
+  ['macro', /\b(fed|inflation|interest rates?|cpi|recession|treasury)\b/i],
+  ['defi', /\b(defi|dex|staking|liquidity pool)\b/i]
+];
+
+/**
+ * Scores a text by keywords, for the 'score' task: one tenth of sentiment per net bullish word.
+ * @param {string} input - The article text.
+ * @returns {object} { sentiment, impact, category, rationale }.
+ */
+const templateScore = (input) => {
+  const text = input || '';
+  const bullish = (text.match(TEMPLATE_BULLISH_WORDS) || []).length;
+  const bearish = (text.match(TEMPLATE_BEARISH_WORDS) || []).length;
+  const sentiment = Math.max(-1, Math.min(1, (bullish - bearish) / 10));
+  const hits = bullish + bearish;
+  return {
+    sentiment,
+    impact: hits >= 6 ? 'high' : hits >= 2 ? 'medium' : 'low',
+    category: (TEMPLATE_CATEGORIES.find(([, pattern]) => pattern.test(text)) || ['market'])[0],
+    rationale: `${bullish} bullish and ${bearish} bearish keyword(s).`
+  };
+};
+
+/**
+ * A deterministic, offline provider that builds an article from the input text alone.
+ * The same input always yields the same output, which makes it suitable for CI and local runs.
+ */
+const templateProvider = {
+  name: 'template',
+  apiKeys: [null],
+  isConfigured: () => true,
+
+  /**
+   * Builds a 'Headline:' + body response (or the equivalent JSON object) within the requested bounds.
+   * @param {object} request - The completion request.
+   * @param {string} request.input - The raw source text.
+   * @param {object} request.bounds - Target lengths ({ wordMin, wordMax, charMin, charMax }, all optional).
+   * @param {number|null} [request.bullets] - Write this many '- ' bullet lines instead of prose.
+   * @param {boolean} [request.headlineOnly] - Return the headline line only.
+   * @param {string} [request.responseFormat] - 'json' to return a JSON article object.
+   * @param {string} [request.task] - 'verify' to answer a quality check (the template can't invent anything, so it finds
+   *   no issues), 'score' to rate the input by keywords.
+   * @returns {Promise<object>} { content, usage }.
+   */
+  async complete({ input, bounds, bullets, headlineOnly, responseFormat, task }) {
+    if (task === 'verify') return { content: JSON.stringify({ issues: [] }), usage: null };
+    if (task === 'score') return { content: JSON.stringify(templateScore(input)), usage: null };
+    const sourceSentences = splitSentences(input);
+    const headlineWords = (sourceSentences[0] || 'Crypto market update').replace(/[.!?]$/, '').split(/\s+/);
+    const headline = headlineWords.slice(0, 7).join(' ');
+    if (headlineOnly) return { content: `Headline: ${headline}`, usage: null };
+
+    // Aim for the middle of the word bounds, or else of the character bounds.
+    const targetWords = bounds.wordMax !== undefined ? Math.round(((bounds.wordMin || 0) + bounds.wordMax) / 2) : Infinity;
+    const targetChars = bounds.charMax !== undefined ? Math.round(((bounds.charMin || 0) + bounds.charMax) / 2) : Infinity;
+
+    // Alternate source and filler sentences until the body lands in the middle of the bounds.
+    const bodySentences = [];
+    let wordCount = 0;
+    let charCount = 0;
+    for (let i = 0; wordCount < targetWords && charCount < targetChars; i++) {
+      const pool = i % 2 === 0 && sourceSentences.length > 0 ? sourceSentences : TEMPLATE_SENTENCES;
+      const sentence = pool[Math.floor(i / 2) % pool.length];
+      bodySentences.push(sentence);
+      wordCount += sentence.split(/\s+/).length;
+      charCount += sentence.length + 1;
+    }
+
+    if (bullets) {
+      // One sentence per bullet, each cut to its share of the word target.
+      const perBullet = Number.isFinite(targetWords) ? Math.max(1, Math.floor(targetWords / bullets)) : 20;
+      const lines = Array.from({ length: bullets }, (_, i) => {
+        const sentence = (bodySentences[i] || TEMPLATE_SENTENCES[i % TEMPLATE_SENTENCES.length]).split(/\s+/).slice(0, perBullet).join(' ');
+        return `- ${sentence.replace(/[,;:]?$/, '').replace(/([^.!?])$/, '$1.')}`;
+      });
+      return { content: `Headline: ${headline}\n${lines.join('\n')}`, usage: null };
+    }
+
+    let words = bodySentences.join(' ').split(/\s+/).slice(0, Number.isFinite(targetWords) ? targetWords : undefined);
+    while (words.length > 1 && words.join(' ').length >= targetChars) words = words.slice(0, -1);
+    const body = words.join(' ').replace(/[,;:]?$/, '').replace(/([^.!?])$/, '$1.');
+
+    if (responseFormat === 'json') {
+      const tickers = [...new Set((input || '').match(/\$?\b[A-Z]{2,6}\b/g) || [])].map(t => t.replace(/^\$/, ''));
+      const content = JSON.stringify({
+        headline,
+        body,
+        summary: sourceSentences[0] || headline,
+        tickers,
+        sentiment: 'neutral',
+        tags: ['template']
+      });
+      return { content, usage: null };
+    }
+    return { content: `Headline: ${headline}\n${body}`, usage: null };
+  }
+};
+
+// --- Provider Registry ---
+const PROVIDERS = {
+  openrouter: createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseURL: OPENROUTER_BASE_URL,
+    apiKeys: OPENROUTER_API_KEYS,
+    defaultHeaders: {
+      "HTTP-Referer": process.env.SITE_URL, // Required by OpenRouter.
+      "X-Title": process.env.SITE_NAME || "CryptoNews AI Processor" // Required by OpenRouter.
+    },
+    extraBody: { usage: { include: true } } // Adds the request's cost (usage.cost) to the response.
+  }),
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    baseURL: OPENAI_COMPAT_BASE_URL,
+    apiKeys: OPENAI_COMPAT_API_KEYS
+  }),
+  ollama: createOpenAICompatibleProvider({
+    name: 'ollama',
+    baseURL: OLLAMA_BASE_URL,
+    apiKeys: []
+  }),
+  template: templateProvider
+};
+
+const DEFAULT_PROVIDER = 'openrouter';
+
+/**
+ * Parses a model entry of the form 'provider:model' (e.g., 'ollama:llama3').
+ * Entries without a known provider prefix are treated as OpenRouter models, so existing
+ * OpenRouter IDs (including ones with a ':free' suffix) keep working unchanged.
+ * @param {string} entry - The model entry from configuration.
+ * @returns {object} { id, provider, model }.
+ */
+const parseModelEntry = (entry) => {
+  const trimmed = entry.trim();
+  const separatorIndex = trimmed.indexOf(':');
+  const prefix = separatorIndex > 0 ? trimmed.slice(0, separatorIndex) : null;
+  if (prefix && PROVIDERS[prefix]) {
+    return { id: trimmed, provider: prefix, model: trimmed.slice(separatorIndex + 1) || 'default' };
+  }
+  return { id: trimmed, provider: DEFAULT_PROVIDER, model: trimmed };
+};
+
+/**
+ * Resolves configured model entries and checks that their providers are usable.
+ * @param {string[]} entries - Model entries in order of preference.
+ * @returns {Array<object>} Resolved entries ({ id, provider, model }).
+ * @throws {Error} If an entry's provider is missing its configuration.
+ */
+export const resolveModels = (entries) => entries.map(entry => {
+  const resolved = parseModelEntry(entry);
+  const provider = PROVIDERS[resolved.provider];
+  if (!provider.isConfigured()) {
+    throw new Error(`AI provider '${resolved.provider}' for model '${resolved.id}' is not configured (check OPENAI_COMPAT_BASE_URL)`);
+  }
+  if (resolved.provider === 'openrouter' && OPENROUTER_API_KEYS.length === 0) {
+    throw new Error(`OPENROUTER_API_KEYS environment variable not configured (required by model '${resolved.id}')`);
+  }
+  return resolved;
+});
+
+/**
+ * Looks up a provider by name.
+ * @param {string} name - The provider name.
+ * @returns {object} The provider.
+ */
+export const getProvider = (name) => PROVIDERS[name];
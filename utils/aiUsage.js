@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { redisClient } from './redis.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Daily caps (UTC days) on AI usage. 0 disables a cap. Costs are the USD amounts OpenRouter reports;
+// other providers report none, so only token caps apply to them.
+const AI_DAILY_TOKEN_BUDGET = parseInt(process.env.AI_DAILY_TOKEN_BUDGET) || 0;
+const AI_DAILY_COST_BUDGET = parseFloat(process.env.AI_DAILY_COST_BUDGET) || 0;
+// Per-model daily token caps: 'model=tokens' pairs, model IDs as in AI_MODELS.
+const AI_MODEL_DAILY_TOKEN_BUDGETS = Object.fromEntries((process.env.AI_MODEL_DAILY_TOKEN_BUDGETS || '')
+  .split(',')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .map(pair => {
+    const separatorIndex = pair.lastIndexOf('=');
+    return [pair.slice(0, separatorIndex).trim(), parseInt(pair.slice(separatorIndex + 1), 10)];
+  })
+  .filter(([model, tokens]) => model && tokens > 0));
+const AI_USAGE_LOG_LIMIT = parseInt(process.env.AI_USAGE_LOG_LIMIT) || 5000; // Attempt records kept.
+const AI_USAGE_RETENTION_DAYS = parseInt(process.env.AI_USAGE_RETENTION_DAYS) || 90; // Days of aggregates kept.
+const MAX_REPORT_DAYS = 90; // Longest range of one usage report.
+
+// Redis keys.
+const USAGE_LOG_KEY = 'ai:usage:log'; // List: attempt record JSON, newest first.
+const USAGE_DAY_KEY_PREFIX = 'ai:usage:day:'; // ai:usage:day:<YYYY-MM-DD> -> hash '<model>|<key>|<metric>' -> counter.
+
+// Counters kept per day, model and key. Outcomes are counted as 'outcome:<outcome>'.
+const METRICS = ['attempts', 'promptTokens', 'completionTokens', 'latencyMs', 'cost'];
+
+/**
+ * A short, non-reversible identifier for an API key, safe to store and show.
+ * @param {string|null} apiKey - The API key (null for keyless providers).
+ * @returns {string} The first 12 hex characters of the key's SHA-256, or 'none'.
+ */
+export const keyFingerprint = (apiKey) => (apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12) : 'none');
+
+/**
+ * The UTC day of a time.
+ * @param {number} [time=Date.now()] - The time (ms epoch).
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+const dayOf = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Records one model/key attempt and adds it to the day's aggregates. Failures are logged and
+ * swallowed: accounting must not break generation.
+ * @param {object} record - The attempt: { messageId, model, provider, format, language, keyFingerprint, promptTokens,
+ *   completionTokens, cost (USD or null), latencyMs, outcome ('success', 'rejected' or 'error'), reason }.
+ * @returns {Promise<void>}
+ */
+export async function recordAiAttempt(record) {
+  try {
+    const entry = { at: new Date().toISOString(), ...record, totalTokens: record.promptTokens + record.completionTokens };
+    const dayKey = `${USAGE_DAY_KEY_PREFIX}${dayOf()}`;
+    const prefix = `${record.model}|${record.keyFingerprint}|`;
+
+    const multi = redisClient.multi();
+    multi.lPush(USAGE_LOG_KEY, JSON.stringify(entry));
+    multi.lTrim(USAGE_LOG_KEY, 0, AI_USAGE_LOG_LIMIT - 1);
+    multi.hIncrBy(dayKey, `${prefix}attempts`, 1);
+    multi.hIncrBy(dayKey, `${prefix}outcome:${record.outcome}`, 1);
+    multi.hIncrBy(dayKey, `${prefix}promptTokens`, record.promptTokens);
+    multi.hIncrBy(dayKey, `${prefix}completionTokens`, record.completionTokens);
+    multi.hIncrBy(dayKey, `${prefix}latencyMs`, record.latencyMs);
+    if (record.cost) multi.hIncrByFloat(dayKey, `${prefix}cost`, record.cost);
+    multi.expire(dayKey, AI_USAGE_RETENTION_DAYS * 24 * 60 * 60);
+    await multi.exec();
+  } catch (error) {
+    console.error('💥 [AI Usage] Failed to record attempt:', error.message);
+  }
+}
+
+/**
+ * Creates an empty set of totals.
+ * @returns {object} Zeroed counters.
+ */
+const emptyTotals = () => ({ attempts: 0, outcomes: {}, promptTokens: 0, completionTokens: 0, latencyMs: 0, cost: 0 });
+
+/**
+ * Adds one counter to a set of totals.
+ * @param {object} totals - The totals.
+ * @param {string} metric - The metric ('attempts', 'outcome:<outcome>', 'promptTokens', ...).
+ * @param {number} value - The value.
+ */
+const addMetric = (totals, metric, value) => {
+  if (metric.startsWith('outcome:')) {
+    const outcome = metric.slice('outcome:'.length);
+    totals.outcomes[outcome] = (totals.outcomes[outcome] || 0) + value;
+  } else if (METRICS.includes(metric)) {
+    totals[metric] += value;
+  }
+};
+
+/**
+ * Turns raw totals into their reported form.
+ * @param {object} totals - The totals.
+ * @returns {object} { attempts, outcomes, promptTokens, completionTokens, totalTokens, cost, avgLatencyMs }.
+ */
+const reportTotals = ({ latencyMs, ...totals }) => ({
+  ...totals,
+  totalTokens: totals.promptTokens + totals.completionTokens,
+  cost: Math.round(totals.cost * 1e6) / 1e6,
+  avgLatencyMs: totals.attempts > 0 ? Math.round(latencyMs / totals.attempts) : null
+});
+
+/**
+ * Reads a day's aggregates.
+ * @param {string} day - The day (YYYY-MM-DD).
+ * @returns {Promise<Array<{model: string, key: string, metric: string, value: number}>>} The counters.
+ */
+async function readDay(day) {
+  const fields = await redisClient.hGetAll(`${USAGE_DAY_KEY_PREFIX}${day}`);
+  return Object.entries(fields).map(([field, value]) => {
+    const [model, key, metric] = field.split('|');
+    return { model, key, metric, value: parseFloat(value) || 0 };
+  });
+}
+
+/**
+ * Today's usage against the configured caps.
+ * @returns {Promise<object>} { date, totalTokens, cost, caps: { tokens, cost, models }, models: { model: tokens } }.
+ */
+export async function getAiBudgetStatus() {
+  const date = dayOf();
+  let totalTokens = 0;
+  let cost = 0;
+  const models = {};
+  for (const { model, metric, value } of await readDay(date)) {
+    if (metric === 'promptTokens' || metric === 'completionTokens') {
+      totalTokens += value;
+      models[model] = (models[model] || 0) + value;
+    } else if (metric === 'cost') {
+      cost += value;
+    }
+  }
+  return {
+    date,
+    totalTokens,
+    cost: Math.round(cost * 1e6) / 1e6,
+    caps: { tokens: AI_DAILY_TOKEN_BUDGET || null, cost: AI_DAILY_COST_BUDGET || null, models: AI_MODEL_DAILY_TOKEN_BUDGETS },
+    models
+  };
+}
+
+/**
+ * Checks whether a model may be called today.
+ * @param {string} model - The model ID (as in AI_MODELS).
+ * @returns {Promise<{scope: string, reason: string}|null>} The exceeded cap ('global': stop generating,
+ *   'model': skip this model), or null if within budget. Null as well if usage can't be read.
+ */
+export async function checkAiBudget(model) {
+  if (!AI_DAILY_TOKEN_BUDGET && !AI_DAILY_COST_BUDGET && !AI_MODEL_DAILY_TOKEN_BUDGETS[model]) return null;
+  try {
+    const status = await getAiBudgetStatus();
+    if (AI_DAILY_TOKEN_BUDGET && status.totalTokens >= AI_DAILY_TOKEN_BUDGET) {
+      return { scope: 'global', reason: `daily token budget exceeded (${status.totalTokens}/${AI_DAILY_TOKEN_BUDGET})` };
+    }
+    if (AI_DAILY_COST_BUDGET && status.cost >= AI_DAILY_COST_BUDGET) {
+      return { scope: 'global', reason: `daily cost budget exceeded ($${status.cost}/$${AI_DAILY_COST_BUDGET})` };
+    }
+    const modelCap = AI_MODEL_DAILY_TOKEN_BUDGETS[model];
+    if (modelCap && (status.models[model] || 0) >= modelCap) {
+      return { scope: 'model', reason: `daily token budget of ${model} exceeded (${status.models[model]}/${modelCap})` };
+    }
+    return null;
+  } catch (error) {
+    console.error('💥 [AI Usage] Budget check failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Aggregates usage by day, model and key.
+ * @param {object} [options={}] - The range.
+ * @param {string} [options.from] - First day (YYYY-MM-DD), default: 6 days before 'to'.
+ * @param {string} [options.to] - Last day (YYYY-MM-DD), default: today. At most MAX_REPORT_DAYS days in total.
+ * @returns {Promise<object>} { from, to, totals, days: [{ date, totals, models: [{ model, totals, keys: [{ key, totals }] }] }] },
+ *   newest day first.
+ */
+export async function getAiUsageReport({ from, to } = {}) {
+  const toTime = Date.parse(to || dayOf());
+  const fromTime = Math.max(Date.parse(from || dayOf(toTime - 6 * 24 * 60 * 60 * 1000)), toTime - (MAX_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000);
+
+  const grandTotals = emptyTotals();
+  const days = [];
+  for (let time = toTime; time >= fromTime; time -= 24 * 60 * 60 * 1000) {
+    const date = dayOf(time);
+    const dayTotals = emptyTotals();
+    const models = new Map();
+    for (const { model, key, metric, value } of await readDay(date)) {
+      if (!models.has(model)) models.set(model, { totals: emptyTotals(), keys: new Map() });
+      const entry = models.get(model);
+      if (!entry.keys.has(key)) entry.keys.set(key, emptyTotals());
+      for (const totals of [grandTotals, dayTotals, entry.totals, entry.keys.get(key)]) addMetric(totals, metric, value);
+    }
+    days.push({
+      date,
+      totals: reportTotals(dayTotals),
+      models: [...models].map(([model, { totals, keys }]) => ({
+        model,
+        totals: reportTotals(totals),
+        keys: [...keys].map(([key, keyTotals]) => ({ key, totals: reportTotals(keyTotals) }))
+      }))
+    });
+  }
+  return { from: dayOf(fromTime), to: dayOf(toTime), totals: reportTotals(grandTotals), days };
+}
+
+/**
+ * Reads recent attempt records, newest first.
+ * @param {object} [options={}] - Filters.
+ * @param {string} [options.model] - Only attempts of this model.
+ * @param {string} [options.outcome] - Only attempts with this outcome.
+ * @param {number} [options.limit=50] - Max records.
+ * @returns {Promise<Array<object>>} The records.
+ */
+export async function listAiAttempts({ model, outcome, limit = 50 } = {}) {
+  const records = (await redisClient.lRange(USAGE_LOG_KEY, 0, -1)).map(json => JSON.parse(json));
+  return records
+    .filter(record => (!model || record.model === model) && (!outcome || record.outcome === outcome))
+    .slice(0, limit);
+}
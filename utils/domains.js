@@ -0,0 +1,24 @@
+// --- Domain Lists ---
+// Shared by the settings that allow or deny hosts by domain (subdomains included).
+
+/**
+ * Normalizes a host for matching against a domain list.
+ * @param {string} host - A host name or IP literal (e.g., 'WWW.Example.com', '[::1]').
+ * @returns {string} The host in lowercase, without a leading 'www.' or IPv6 brackets.
+ */
+export const normalizeHost = (host) => host.toLowerCase().replace(/^www\./, '').replace(/^\[|\]$/g, '');
+
+/**
+ * Parses a comma-separated domain list.
+ * @param {string} [value] - The list.
+ * @returns {string[]} Lowercase domains without a leading 'www.'.
+ */
+export const parseDomains = (value) => (value || '').split(',').map(d => d.trim().toLowerCase().replace(/^www\./, '')).filter(Boolean);
+
+/**
+ * Whether a host is, or is a subdomain of, one of the domains.
+ * @param {string} host - The host, normalized (see normalizeHost).
+ * @param {string[]} domains - The domains.
+ * @returns {boolean} True on a match.
+ */
+export const matchesDomain = (host, domains) => domains.some(domain => host === domain || host.endsWith(`.${domain}`));
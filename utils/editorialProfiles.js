@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Configuration ---
+// Editorial profiles (prompt, validation bounds, temperature per output format) are read from a JSON
+// file: EDITORIAL_PROFILES_FILE, or editorial-profiles.json in the project root.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROFILES_FILE = process.env.EDITORIAL_PROFILES_FILE
+  ? path.resolve(process.env.EDITORIAL_PROFILES_FILE)
+  : path.join(__dirname, '..', 'editorial-profiles.json');
+
+// The profile of the main rendering: the article's own headline and body.
+export const DEFAULT_FORMAT = 'article';
+
+const BOUND_FIELDS = ['wordMin', 'wordMax', 'charMin', 'charMax'];
+
+/**
+ * Joins a prompt given as a string or as an array of lines.
+ * @param {string|string[]} value - The prompt.
+ * @returns {string} The prompt text.
+ */
+const joinLines = (value) => (Array.isArray(value) ? value.join('\n') : value);
+
+/**
+ * Checks and normalizes one profile from the config file.
+ * @param {string} name - The profile name.
+ * @param {object} config - The profile's configuration.
+ * @returns {object} The profile: { name, description, temperature, maxTokens, bounds, bullets,
+ *   headlineOnly, structured, prompt, format, reminder }.
+ * @throws {Error} If the configuration is invalid.
+ */
+function parseProfile(name, config) {
+  const fail = (problem) => { throw new Error(`Editorial profile '${name}' in ${PROFILES_FILE}: ${problem}`); };
+  if (!/^[a-z][a-z0-9_-]*$/.test(name)) fail('name must be lowercase letters, digits, - or _');
+  if (!config || typeof config !== 'object') fail('must be an object');
+
+  const prompt = joinLines(config.prompt);
+  const format = joinLines(config.format);
+  if (typeof prompt !== 'string' || !prompt.trim()) fail("'prompt' is required");
+  if (typeof format !== 'string' || !format.trim()) fail("'format' is required");
+
+  const bounds = config.bounds || {};
+  for (const field of Object.keys(bounds)) {
+    if (!BOUND_FIELDS.includes(field)) fail(`unknown bound '${field}'`);
+    if (!Number.isInteger(bounds[field]) || bounds[field] < 0) fail(`bound '${field}' must be a non-negative integer`);
+  }
+  if (bounds.wordMin > bounds.wordMax || bounds.charMin > bounds.charMax) fail('min bounds must not exceed max bounds');
+
+  const temperature = config.temperature ?? 0.5;
+  if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) fail("'temperature' must be between 0 and 2");
+  const maxTokens = config.maxTokens ?? 3500;
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) fail("'maxTokens' must be a positive integer");
+  if (config.bullets !== undefined && (!Number.isInteger(config.bullets) || config.bullets < 1)) fail("'bullets' must be a positive integer");
+
+  return {
+    name,
+    description: config.description || '',
+    temperature,
+    maxTokens,
+    bounds,
+    bullets: config.bullets || null,
+    headlineOnly: config.headlineOnly === true,
+    structured: config.structured === true, // Follows AI_OUTPUT_MODE=json; other profiles always use text output.
+    prompt,
+    format,
+    reminder: typeof config.reminder === 'string' ? config.reminder : ''
+  };
+}
+
+/**
+ * Reads the profiles from the config file.
+ * @returns {Object<string, object>} The profiles by name.
+ * @throws {Error} If the file is missing, not valid JSON, lacks the default profile or has an invalid profile.
+ */
+function loadProfiles() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read editorial profiles from ${PROFILES_FILE}: ${error.message}`);
+  }
+  const profiles = Object.fromEntries(Object.entries(config).map(([name, profile]) => [name, parseProfile(name, profile)]));
+  if (!profiles[DEFAULT_FORMAT]) {
+    throw new Error(`Editorial profiles in ${PROFILES_FILE} must include '${DEFAULT_FORMAT}'`);
+  }
+  return profiles;
+}
+
+const PROFILES = loadProfiles();
+
+// Every format an article can be rendered in.
+export const EDITORIAL_FORMATS = Object.keys(PROFILES);
+
+// Extra renderings generated for each new article, besides the main one. (Default: none)
+export const GENERATED_FORMATS = (process.env.EDITORIAL_FORMATS || '')
+  .split(',')
+  .map(format => format.trim())
+  .filter(format => format && format !== DEFAULT_FORMAT);
+const unknownFormats = GENERATED_FORMATS.filter(format => !PROFILES[format]);
+if (unknownFormats.length > 0) {
+  throw new Error(`EDITORIAL_FORMATS lists unknown profile(s): ${unknownFormats.join(', ')} (known: ${EDITORIAL_FORMATS.join(', ')})`);
+}
+
+/**
+ * Looks up a profile.
+ * @param {string} name - The profile name.
+ * @returns {object|null} The profile, or null if unknown.
+ */
+export const getProfile = (name) => PROFILES[name] || null;
+
+/**
+ * Fills a profile's {placeholders} ({wordMin}, {wordMax}, {charMin}, {charMax}, {bullets}).
+ * @param {string} template - The template text.
+ * @param {object} profile - The profile.
+ * @returns {string} The text with known placeholders replaced.
+ */
+export const fillTemplate = (template, profile) => template.replace(/\{(\w+)\}/g, (match, key) => {
+  const value = key === 'bullets' ? profile.bullets : profile.bounds[key];
+  return value ?? match;
+});
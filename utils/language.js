@@ -0,0 +1,110 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Languages that can be detected, by ISO 639-1 code.
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  de: 'German',
+  fr: 'French',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  tr: 'Turkish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  ar: 'Arabic',
+  ko: 'Korean',
+  zh: 'Chinese',
+  ja: 'Japanese'
+};
+
+// Chinese and Japanese are written without spaces, so the word bounds of the editorial
+// profiles can't be checked for them: they are detected, but not generated.
+const UNSPACED_LANGUAGES = ['zh', 'ja'];
+
+// Articles stored before ARTICLE_LANGUAGES existed were always written in English.
+const LEGACY_ARTICLE_LANGUAGE = 'en';
+
+// --- Configuration ---
+// Languages articles are written in. The first is the language of the article itself; each other one
+// is generated as a translation of the story. (Default: en)
+export const ARTICLE_LANGUAGES = [...new Set((process.env.ARTICLE_LANGUAGES || 'en')
+  .split(',')
+  .map(language => language.trim().toLowerCase())
+  .filter(Boolean))];
+const unsupportedLanguages = ARTICLE_LANGUAGES.filter(language => !LANGUAGE_NAMES[language] || UNSPACED_LANGUAGES.includes(language));
+if (ARTICLE_LANGUAGES.length === 0 || unsupportedLanguages.length > 0) {
+  const supported = Object.keys(LANGUAGE_NAMES).filter(language => !UNSPACED_LANGUAGES.includes(language));
+  throw new Error(`ARTICLE_LANGUAGES lists unsupported language(s): ${unsupportedLanguages.join(', ') || '(none)'} (supported: ${supported.join(', ')})`);
+}
+export const PRIMARY_LANGUAGE = ARTICLE_LANGUAGES[0];
+export const TRANSLATION_LANGUAGES = ARTICLE_LANGUAGES.slice(1);
+
+// Frequent short words of the languages written in Latin script. Words shared by several languages
+// count for each of them; the language with the most hits wins.
+const STOPWORDS = {
+  en: 'the and is are was were of to in that this with for on has have will be it from by at not its after',
+  es: 'el la los las de del que y en un una es por con para se su al lo como más pero ha está según sus',
+  de: 'der die das und ist nicht mit von den dem des ein eine auf für sich auch wird im zu bei nach sind hat',
+  fr: 'le la les des du et est une un dans pour que qui sur pas au aux avec sont ce par plus été selon',
+  it: 'il lo la gli le di che è e per un una con non del della sono nel alla ha anche più dei',
+  pt: 'o a os as de do da que e em um uma é para com não no na dos por mais foi ao pelo',
+  nl: 'de het een en van is dat niet op met voor zijn ook aan wordt bij naar er maar heeft',
+  tr: 've bir bu da de için ile olarak çok daha gibi olan ama kadar sonra göre ise'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))]));
+
+// Non-Latin scripts, checked in order (Japanese text mixes kana with Han characters).
+const SCRIPTS = [
+  { language: 'ja', pattern: /[぀-ヿ]/gu },
+  { language: 'ko', pattern: /[가-힯]/gu },
+  { language: 'zh', pattern: /[一-鿿]/gu },
+  { language: 'ar', pattern: /[؀-ۿ]/gu },
+  { language: 'ru', pattern: /[Ѐ-ӿ]/gu }
+];
+const UKRAINIAN_LETTERS = /[іїєґ]/iu;
+
+const MIN_STOPWORD_HITS = 2; // Fewer hits are too weak a signal (short messages, lists of tickers).
+
+/**
+ * Detects the language of a text: by script for non-Latin text, otherwise by counting frequent words.
+ * Links, mentions, hashtags and $TICKERS are ignored.
+ * @param {string} text - The text.
+ * @returns {string|null} The ISO 639-1 code (a key of LANGUAGE_NAMES), or null if it can't be told.
+ */
+export function detectLanguage(text) {
+  const cleaned = String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#$]\w+/g, ' ');
+  const letters = (cleaned.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  for (const { language, pattern } of SCRIPTS) {
+    const count = (cleaned.match(pattern) || []).length;
+    if (count / letters < 0.3) continue;
+    return language === 'ru' && UKRAINIAN_LETTERS.test(cleaned) ? 'uk' : language;
+  }
+
+  const words = cleaned.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([language, stopwords]) => [language, words.filter(word => stopwords.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, bestScore], [, secondScore]] = scores;
+  return bestScore >= MIN_STOPWORD_HITS && bestScore > secondScore ? best : null;
+}
+
+/**
+ * The English name of a language, for prompts.
+ * @param {string} language - The ISO 639-1 code.
+ * @returns {string} The name, or the code itself if unknown.
+ */
+export const languageName = (language) => LANGUAGE_NAMES[language] || language;
+
+/**
+ * The language an article's own headline and body are written in.
+ * @param {object} article - A stored article.
+ * @returns {string} The ISO 639-1 code.
+ */
+export const articleLanguage = (article) => article.language || LEGACY_ARTICLE_LANGUAGE;
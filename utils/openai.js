@@ -1,32 +1,51 @@
-import { OpenAI } from 'openai';
-import { sanitizeContent } from './validation.js';
+import {
+  sanitizeContent, parseJsonResponse, validateArticleJson, validateArticleScore, IMPACT_TIERS, ARTICLE_CATEGORIES
+} from './validation.js';
+import { resolveModels, getProvider } from './aiProviders.js';
+import { recordAiAttempt, checkAiBudget, keyFingerprint } from './aiUsage.js';
+import { getProfile, fillTemplate, DEFAULT_FORMAT } from './editorialProfiles.js';
+import { PRIMARY_LANGUAGE, languageName } from './language.js';
+import {
+  QUALITY_CHECK_ENABLED, QUALITY_CHECK_MODEL, QUALITY_ACTION, findUnsupportedClaims, buildQualityReport,
+  isBelowQualityThreshold, describeQuality
+} from './qualityGate.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 // --- Configuration ---
 const MODEL_TIMEOUT = parseInt(process.env.MODEL_TIMEOUT) || 20000; // AI request timeout in ms.
-const WORD_MIN = 200; // Minimum words for a valid article.
-const WORD_MAX = 300; // Maximum words for a valid article.
-const CHAR_MIN = 900; // Minimum characters for a valid article.
-const CHAR_MAX = 3500; // Maximum characters for a valid article.
-
-// Load OpenRouter API keys from environment.
-const API_KEYS = process.env.OPENROUTER_API_KEYS?.split(',').filter(Boolean) || [];
-if (API_KEYS.length === 0) {
-  throw new Error('OPENROUTER_API_KEYS environment variable not configured');
-}
+// Prompts, length bounds and temperatures come from the editorial profiles (see utils/editorialProfiles.js).
+
+// Output mode: 'text' (a 'Headline:' line followed by the body) or 'json' (a schema-checked JSON object).
+// Only profiles marked 'structured' (the full article) use JSON; the others always use text.
+const AI_OUTPUT_MODE = process.env.AI_OUTPUT_MODE === 'json' ? 'json' : 'text';
+// How many follow-up "repair" requests to make when a JSON response fails to parse or validate.
+const JSON_REPAIR_ATTEMPTS = parseInt(process.env.AI_JSON_REPAIR_ATTEMPTS ?? '1', 10) || 0;
 
 // Load the list of models (primary and fallbacks combined) in order of preference.
-// We now use a single environment variable for all models.
-const MODELS = (process.env.OPENROUTER_MODELS || 'meta-llama/llama-3-70b-instruct')
+// Entries are 'provider:model' (e.g., 'ollama:llama3', 'template:default'); entries without a
+// known provider prefix are OpenRouter models. AI_MODELS takes precedence over OPENROUTER_MODELS.
+const MODEL_ENTRIES = (process.env.AI_MODELS || process.env.OPENROUTER_MODELS || 'meta-llama/llama-3-70b-instruct')
   .split(',')
+  .map(entry => entry.trim())
   .filter(Boolean);
 
-if (MODELS.length === 0) {
-  throw new Error('OPENROUTER_MODELS environment variable not configured or empty');
+if (MODEL_ENTRIES.length === 0) {
+  throw new Error('AI_MODELS (or OPENROUTER_MODELS) environment variable not configured or empty');
 }
 
+// Resolve each entry to its provider; throws if a provider is missing its configuration.
+const MODELS = resolveModels(MODEL_ENTRIES);
+// The optional model checking generated texts for contradictions with their source (see utils/qualityGate.js).
+const QUALITY_VERIFIER = QUALITY_CHECK_ENABLED && QUALITY_CHECK_MODEL ? resolveModels([QUALITY_CHECK_MODEL])[0] : null;
+// Market scoring: every new article is rated for sentiment, impact and category by one more AI call.
+// Set ARTICLE_SCORING_ENABLED=false to turn this off. (Default: true)
+const ARTICLE_SCORING_ENABLED = process.env.ARTICLE_SCORING_ENABLED !== 'false';
+// Models used for scoring, in order ('provider:model' entries, as in AI_MODELS). Defaults to AI_MODELS.
+const SCORING_MODEL_ENTRIES = (process.env.ARTICLE_SCORING_MODELS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+const SCORING_MODELS = ARTICLE_SCORING_ENABLED && SCORING_MODEL_ENTRIES.length > 0 ? resolveModels(SCORING_MODEL_ENTRIES) : MODELS;
+
 
 /**
  * Creates a short preview of content (first 20 words).
@@ -53,25 +72,55 @@ const countWords = (str) => {
 
 
 /**
- * Processes a Telegram message text to generate a news article.
- * It tries models from the OPENROUTER_MODELS list in order.
+ * Shortens an API key for logging.
+ * @param {string|null} apiKey - The API key (null for keyless providers).
+ * @returns {string} A short, non-secret label.
+ */
+const keyLabel = (apiKey) => (apiKey ? `${apiKey.slice(0, 5)}...` : 'none');
+
+/**
+ * Combines the message text with the content of its linked page, when one was fetched.
+ * @param {string} text - The raw text from the Telegram message.
+ * @param {object|null} page - The enriched source page ({ title, publishedAt, content }), or null.
+ * @returns {string} The AI input.
+ */
+const buildInput = (text, page) => {
+  if (!page) return text;
+  const meta = [page.title && `Title: ${page.title}`, page.publishedAt && `Published: ${page.publishedAt}`].filter(Boolean);
+  return `${text}\n\n--- LINKED SOURCE PAGE ---\n${meta.length > 0 ? `${meta.join('\n')}\n\n` : ''}${page.content}`;
+};
+
+/**
+ * Processes a Telegram message text to generate a news article, or another rendering or language of it.
+ * It tries models from the AI_MODELS list in order.
  * @param {string} text - The raw text from the Telegram message.
  * @param {number} messageId - The ID of the Telegram message for logging.
  * @param {string} validatedUrl - The source URL extracted from the message.
- * @returns {Promise<object|null>} An object with { headline, content, link } or null on failure.
+ * @param {Array<object>} [attemptLog=[]] - Receives one { model, key, outcome, reason } entry per model/key tried.
+ * @param {object|null} [page=null] - The linked page's extracted content (see enrichmentService), added to the AI input.
+ * @param {object} [options={}] - What to write.
+ * @param {string} [options.format='article'] - The editorial profile to write in ('article', 'social', 'brief', 'alert', ...).
+ * @param {string} [options.language] - The language to write in (ISO 639-1), default the first of ARTICLE_LANGUAGES.
+ * @returns {Promise<object|null>} An object with { headline, content, link, format, language, quality } or null on failure.
+ *   'content' is empty for headline-only profiles; 'quality' is the source check (null when QUALITY_CHECK_ENABLED=false).
  */
-export async function processTelegramMessage(text, messageId, validatedUrl) {
-  console.log(`\n[AI Processing] Starting for message ID: ${messageId}`);
+export async function processTelegramMessage(text, messageId, validatedUrl, attemptLog = [], page = null, { format = DEFAULT_FORMAT, language = PRIMARY_LANGUAGE } = {}) {
+  console.log(`\n[AI Processing] Starting for message ID: ${messageId} (${format}, ${language}${page ? ', with source page' : ''})`);
   try {
+    const profile = getProfile(format);
+    if (!profile) throw new Error(`Unknown editorial profile '${format}'`);
+
     // Attempt to generate content using the consolidated list of models.
-    let result = await tryModels(MODELS, text, messageId);
+    let result = await tryModels(MODELS, buildInput(text, page), messageId, attemptLog, profile, language);
 
     // If a result was successfully generated, return it.
     if (result) {
-      console.log(`✅ [AI Success] Message ID ${messageId} processed.`);
+      console.log(`✅ [AI Success] Message ID ${messageId} processed (${format}, ${language}).`);
       return {
-        ...result, // Contains headline and content
-        link: validatedUrl
+        ...result, // Contains headline and content (plus summary, tickers, sentiment, tags in JSON mode)
+        link: validatedUrl,
+        format,
+        language
       };
     }
 
@@ -81,123 +130,468 @@ export async function processTelegramMessage(text, messageId, validatedUrl) {
 
   } catch (error) {
     console.error(`💥 [AI Fatal Error] Processing ${messageId}: ${error.message}`);
+    attemptLog.push({ model: null, key: null, outcome: 'error', reason: error.message });
     return null;
   }
 }
 
 /**
- * Iterates through the list of models and API keys to get a valid article.
- * @param {string[]} models - Array of model names to try (in order).
- * @param {string} text - The input text for the AI.
+ * Builds the system prompt of a profile for the output mode and language.
+ * @param {object} profile - The editorial profile.
+ * @param {string} mode - 'text' or 'json'.
+ * @param {string} language - The language to write in (ISO 639-1).
+ * @returns {string} The system prompt.
+ */
+const buildSystemPrompt = (profile, mode, language) => {
+  const rules = fillTemplate(profile.prompt, profile);
+  const name = languageName(language);
+
+  if (mode === 'json') {
+    const formatRule = (rules.match(/^\d+\./gm) || []).length + 1; // Continue the profile's rule numbering.
+    return `${rules}
+${formatRule}. FORMAT: Reply with ONLY a JSON object (no markdown, no code fences) with exactly these fields:
+{
+  "headline": "string",
+  "body": "string, the full article",
+  "summary": "string, one or two sentences",
+  "tickers": ["uppercase crypto tickers mentioned, e.g. BTC"],
+  "sentiment": "bullish" | "bearish" | "neutral",
+  "tags": ["short lowercase topic tags"]
+}
+
+LANGUAGE: Write "headline", "body" and "summary" in ${name}, whatever the language of the input. Keep the field names, "sentiment" and "tags" in English.`;
+  }
+
+  return `${rules}
+${fillTemplate(profile.format, profile)}
+
+LANGUAGE: Write in ${name}, whatever the language of the input. Keep the 'Headline:' label in English.`;
+};
+
+/**
+ * Checks a generated rendering against its profile: bullet count, word and character bounds
+ * (of the headline, for headline-only profiles). Bullets are normalized to '- ' lines.
+ * @param {object} article - The extracted { headline, content, ... }.
+ * @param {object} profile - The editorial profile.
+ * @returns {{value?: object, error?: string}} The sanitized rendering, or why it was rejected.
+ */
+function validateRendering(article, profile) {
+  const { bounds } = profile;
+  if (profile.headlineOnly) {
+    const length = article.headline.length;
+    if ((bounds.charMin && length < bounds.charMin) || (bounds.charMax && length > bounds.charMax)) {
+      return { error: `headline length ${length} out of bounds` };
+    }
+    return { value: { ...article, content: '' } };
+  }
+
+  let content = article.content;
+  if (profile.bullets) {
+    content = content.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => line.replace(/^(?:[-*•]|\d+[.)])\s*/, '- '))
+      .join('\n');
+  }
+  const sanitized = sanitizeContent(content);
+
+  if (profile.bullets) {
+    const lines = sanitized.split('\n').filter(line => line.trim());
+    if (lines.length !== profile.bullets || !lines.every(line => line.startsWith('- '))) {
+      return { error: `${lines.length} line(s) instead of ${profile.bullets} bullets` };
+    }
+  }
+
+  // Validate word and character counts.
+  const wordCount = countWords(sanitized);
+  const charCount = sanitized.length;
+  console.log(`    [AI Validation] ${profile.name}: Words: ${wordCount} | Chars: ${charCount}`);
+  if ((bounds.wordMin !== undefined && wordCount < bounds.wordMin) || (bounds.wordMax !== undefined && wordCount > bounds.wordMax)) {
+    return { error: `word count ${wordCount} out of bounds` };
+  }
+  if ((bounds.charMin !== undefined && charCount < bounds.charMin) || (bounds.charMax !== undefined && charCount > bounds.charMax)) {
+    return { error: `char count ${charCount} out of bounds` };
+  }
+  return { value: { ...article, content: sanitized } };
+}
+
+/**
+ * Runs a JSON side task (a quality check, a market score) on the given models: each model's keys are tried
+ * in turn until one returns a reply that parses and passes 'parse'. Models over their daily budget are skipped,
+ * and every attempt is recorded for usage accounting. Failures never fail the article, the task is just skipped.
+ * @param {Array<object>} models - Resolved model entries ({ id, provider, model }) to try (in order).
+ * @param {object} task - The request.
+ * @param {string} task.name - Names the task for the offline template provider ('verify', 'score').
+ * @param {string} task.label - Log label (e.g., 'AI Quality').
+ * @param {string} task.format - Recorded as the attempt's format in the usage log (e.g., 'quality-check').
+ * @param {string} task.prompt - The system prompt.
+ * @param {string} task.input - The user message.
+ * @param {number} task.maxTokens - The completion token limit.
+ * @param {function(object|null): *} parse - Turns the parsed JSON reply into the result, or null if invalid.
  * @param {number} messageId - The Telegram message ID for logging.
- * @returns {Promise<object|null>} An object with { headline, content } or null.
+ * @returns {Promise<{value: *, model: string}|null>} The result and the model that produced it, or null.
  */
-async function tryModels(models, text, messageId) {
-  // Iterate through each model in the provided list.
-  for (const model of models) {
-    // Iterate through each available API key (for rotation/fallback).
-    for (const apiKey of API_KEYS) {
-      const controller = new AbortController(); // For implementing timeouts.
-      let timeoutHandle;
+async function requestJsonTask(models, { name, label, format, prompt, input, maxTokens }, parse, messageId) {
+  const messages = [{ role: 'system', content: prompt }, { role: 'user', content: input }];
 
+  for (const { id: model, provider: providerName, model: providerModel } of models) {
+    const budget = await checkAiBudget(model);
+    if (budget) {
+      console.warn(`  [${label}] ${messageId} -> ${model}: ${budget.reason}, skipping.`);
+      if (budget.scope === 'global') return null;
+      continue;
+    }
+
+    const provider = getProvider(providerName);
+    for (const apiKey of provider.apiKeys) {
+      const startTime = Date.now();
+      const usage = { promptTokens: 0, completionTokens: 0, cost: 0 };
+      let outcome = 'success';
+      let reason = null;
+      let value = null;
       try {
-        console.log(`  [AI Attempt] ${messageId} -> ${model} (Key: ${apiKey.slice(0, 5)}...)`);
-        const startTime = Date.now();
-
-        // Configure the OpenAI client to use OpenRouter.
-        const openai = new OpenAI({
-          baseURL: "https://openrouter.ai/api/v1",
-          apiKey: apiKey,
-          defaultHeaders: {
-            "HTTP-Referer": process.env.SITE_URL, // Required by OpenRouter.
-            "X-Title": process.env.SITE_NAME || "CryptoNews AI Processor" // Required by OpenRouter.
-          }
-        });
+        const responseContent = await requestCompletion(provider, {
+          model: providerModel,
+          messages,
+          temperature: 0,
+          maxTokens,
+          responseFormat: 'json',
+          task: name, // Tells the offline template provider which task to answer.
+          input,
+          apiKey
+        }, usage);
+        value = parse(parseJsonResponse(responseContent));
+        if (value === null) {
+          outcome = 'rejected';
+          reason = `invalid ${format} response`;
+        }
+      } catch (error) {
+        outcome = 'error';
+        reason = error.message;
+      }
 
-        // Create a timeout promise.
-        const timeoutPromise = new Promise((_, reject) => {
-          timeoutHandle = setTimeout(() => {
-            controller.abort(); // Abort the API request on timeout.
-            reject(new Error(`Timeout after ${MODEL_TIMEOUT}ms`));
-          }, MODEL_TIMEOUT);
-        });
+      await recordAiAttempt({
+        messageId,
+        model,
+        provider: providerName,
+        format,
+        keyFingerprint: keyFingerprint(apiKey),
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        cost: usage.cost || null,
+        latencyMs: Date.now() - startTime,
+        outcome,
+        reason
+      });
+      if (value !== null) return { value, model };
+      console.warn(`  [${label}] ${messageId} -> ${model} (Key: ${keyLabel(apiKey)}): ${reason}.`);
+    }
+  }
+  return null;
+}
 
-        // Define the prompt with strict requirements.
-        const completionPromise = openai.chat.completions.create({
-          model,
-          messages: [{
-            role: "system",
-            content: `STRICT REQUIREMENTS FOR CRYPTO NEWS ARTICLE:
-1. HEADLINE: Must be exactly 5-7 words.
-2. ARTICLE BODY: Must be between ${WORD_MIN} and ${WORD_MAX} words (approx ${CHAR_MIN}-${CHAR_MAX} characters).
-3. CONTENT: Must be full sentences providing detailed analysis based ONLY on the user input. DO NOT add outside info or disclaimers.
-4. FORMAT: MUST follow this structure EXACTLY, with 'Headline:' at the start:
-
-Headline: [Your headline here]
-[Your article content here]`
-          }, {
-            role: "user",
-            content: `${text}\n\nREMEMBER: The article body must be ${WORD_MIN}-${WORD_MAX} words long and start AFTER the headline line.`
-          }],
-          temperature: 0.5,
-          max_tokens: 3500,
-          signal: controller.signal // Link to the abort controller.
-        });
+const VERIFIER_PROMPT = `You are a fact checker for a crypto news desk. Compare the ARTICLE with the SOURCE it was written from.
+List every statement of the ARTICLE that contradicts the SOURCE or isn't supported by it: invented facts, numbers, names, dates or quotes.
+The ARTICLE may be written in another language than the SOURCE; translations are not issues.
+Reply with ONLY a JSON object (no markdown, no code fences): {"issues": ["one short sentence per issue"]}, with an empty array if the ARTICLE is faithful.`;
 
-        // Race the completion against the timeout.
-        const completion = await Promise.race([completionPromise, timeoutPromise]);
-        clearTimeout(timeoutHandle); // Clear timeout if successful.
+/**
+ * Asks QUALITY_VERIFIER which statements of a generated text contradict or go beyond its source.
+ * @param {object} article - The generated { headline, content }.
+ * @param {string} source - The AI input (message text plus linked page).
+ * @param {number} messageId - The Telegram message ID for logging.
+ * @returns {Promise<string[]|null>} The issues (empty if faithful), or null if the check couldn't be made.
+ */
+async function findContradictions(article, source, messageId) {
+  const result = await requestJsonTask([QUALITY_VERIFIER], {
+    name: 'verify',
+    label: 'AI Quality',
+    format: 'quality-check',
+    prompt: VERIFIER_PROMPT,
+    input: `SOURCE:\n${source}\n\nARTICLE:\n${article.headline}\n${article.content}`,
+    maxTokens: 500
+  }, (parsed) => (Array.isArray(parsed?.issues) && parsed.issues.every(issue => typeof issue === 'string')
+    ? parsed.issues.map(issue => issue.trim()).filter(Boolean)
+    : null), messageId);
+  return result ? result.value : null;
+}
 
-        // Validate the response.
-        const responseContent = completion?.choices?.[0]?.message?.content;
-        if (!responseContent) {
-          console.warn(`    [AI API Error] ${model} - Malformed response.`);
-          continue; // Try next key or model.
-        }
+const SCORING_PROMPT = `You are a market analyst on a crypto trading desk. Rate the news ARTICLE for traders.
+Reply with ONLY a JSON object (no markdown, no code fences) with exactly these fields:
+{
+  "sentiment": number from -1 (very bearish) through 0 (neutral) to 1 (very bullish) for the crypto assets concerned,
+  "impact": ${IMPACT_TIERS.map(tier => `"${tier}"`).join(' | ')} (how much the story can move prices),
+  "category": ${ARTICLE_CATEGORIES.map(category => `"${category}"`).join(' | ')},
+  "rationale": "one short sentence"
+}`;
 
-        console.log(`    [AI Raw Response] ${model} (${Date.now() - startTime}ms): ${getContentPreview(responseContent)}`);
+/**
+ * Rates an article for traders: sentiment, impact tier and category (see validateArticleScore).
+ * Tries SCORING_MODELS in order; an article that can't be scored is simply stored without a score.
+ * @param {object} article - The article's { headline, content }.
+ * @param {number} messageId - The Telegram message ID for logging.
+ * @returns {Promise<object|null>} { sentiment, impact, category, rationale, scoredBy, scoredAt }, or null
+ *   when scoring is off or no model answered.
+ */
+export async function scoreArticle(article, messageId) {
+  if (!ARTICLE_SCORING_ENABLED) return null;
+  const result = await requestJsonTask(SCORING_MODELS, {
+    name: 'score',
+    label: 'AI Scoring',
+    format: 'market-score',
+    prompt: SCORING_PROMPT,
+    input: `ARTICLE:\n${article.headline}\n${article.content}`,
+    maxTokens: 200
+  }, (parsed) => (parsed ? validateArticleScore(parsed).value : null), messageId);
+  if (!result) {
+    console.warn(`  [AI Scoring] ${messageId}: no score, storing the article without one.`);
+    return null;
+  }
+  console.log(`    [AI Scoring] ${messageId}: sentiment ${result.value.sentiment}, ${result.value.impact} impact, ${result.value.category} (${result.model}).`);
+  return { ...result.value, scoredBy: result.model, scoredAt: new Date().toISOString() };
+}
 
-        // Extract and clean headline and content.
-        const headlineMatch = responseContent.match(/^(?:#+\s*)?(?:headline|title|header):?\s*(.+)/mi);
-        if (!headlineMatch || !headlineMatch[1]) {
-          console.warn(`    [AI Rejected] ${model} - Missing or empty 'Headline:' line.`);
-          continue;
+/**
+ * Checks a generated text against its source: unsupported claims, plus contradictions when
+ * QUALITY_CHECK_MODEL is set (see utils/qualityGate.js).
+ * @param {object} article - The generated { headline, content }.
+ * @param {string} source - The AI input (message text plus linked page).
+ * @param {number} messageId - The Telegram message ID for logging.
+ * @param {string} language - The language the text was written in (ISO 639-1).
+ * @returns {Promise<object|null>} The quality report ({ score, issues, verifiedBy, checkedAt }), or null when checks are off.
+ */
+async function assessQuality(article, source, messageId, language) {
+  if (!QUALITY_CHECK_ENABLED) return null;
+  const issues = findUnsupportedClaims(article, source, language);
+  const contradictions = QUALITY_VERIFIER ? await findContradictions(article, source, messageId) : null;
+  if (contradictions) issues.push(...contradictions.map(value => ({ type: 'contradiction', value })));
+  return buildQualityReport(issues, contradictions ? QUALITY_VERIFIER.id : null);
+}
+
+/**
+ * Sends one completion request to a provider, aborting it after MODEL_TIMEOUT.
+ * @param {object} provider - The AI provider.
+ * @param {object} request - The provider request (model, messages, apiKey, ...).
+ * @param {object} usage - Accumulates the reported { promptTokens, completionTokens, cost } of the attempt.
+ * @returns {Promise<string|null>} The response text, or null if the response was malformed.
+ */
+async function requestCompletion(provider, request, usage) {
+  const controller = new AbortController(); // For implementing timeouts.
+  let timeoutHandle;
+
+  try {
+    // Create a timeout promise.
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutHandle = setTimeout(() => {
+        controller.abort(); // Abort the API request on timeout.
+        reject(new Error(`Timeout after ${MODEL_TIMEOUT}ms`));
+      }, MODEL_TIMEOUT);
+    });
+
+    const completionPromise = provider.complete({
+      ...request,
+      signal: controller.signal // Link to the abort controller.
+    });
+
+    // Race the completion against the timeout.
+    const completion = await Promise.race([completionPromise, timeoutPromise]);
+    usage.promptTokens += completion?.usage?.prompt_tokens || 0;
+    usage.completionTokens += completion?.usage?.completion_tokens || 0;
+    usage.cost += completion?.usage?.cost || 0; // Reported by OpenRouter only.
+    return completion?.content || null;
+  } finally {
+    clearTimeout(timeoutHandle);
+    if (!controller.signal.aborted) {
+      controller.abort();
+    }
+  }
+}
+
+/**
+ * Extracts the headline and body from a text-mode response.
+ * The headline line is removed by position, so headlines containing regex characters are safe.
+ * @param {string} responseContent - The raw model output.
+ * @returns {object|null} { headline, content } or null if no headline line was found.
+ */
+const extractTextArticle = (responseContent) => {
+  const headlineMatch = responseContent.match(/^(?:#+\s*)?(?:headline|title|header):?\s*(.+)/mi);
+  if (!headlineMatch || !headlineMatch[1]) return null;
+
+  const headline = headlineMatch[1].replace(/^[\s*_\-]+|[\s*_\-]+$/g, '').substring(0, 100).trim();
+  const content = (responseContent.slice(0, headlineMatch.index) + responseContent.slice(headlineMatch.index + headlineMatch[0].length))
+    .replace(/^(?:#+\s*)?(?:headline|title|header):?\s*.+$/mi, '') // Drop a repeated headline line, if any.
+    .replace(/(\n\s*){3,}/g, '\n\n')
+    .trim();
+  return { headline, content };
+};
+
+/**
+ * Requests a JSON-mode article, re-asking the model to repair its output when it
+ * doesn't parse or doesn't match the schema (up to JSON_REPAIR_ATTEMPTS times).
+ * @param {object} provider - The AI provider.
+ * @param {object} request - The provider request.
+ * @param {string} model - The model ID, for logging.
+ * @param {object} usage - Accumulates the usage of every request made (see requestCompletion).
+ * @returns {Promise<object|null>} The validated article fields, or null.
+ */
+async function requestJsonArticle(provider, request, model, usage) {
+  let messages = request.messages;
+
+  for (let attempt = 0; attempt <= JSON_REPAIR_ATTEMPTS; attempt++) {
+    const responseContent = await requestCompletion(provider, { ...request, messages }, usage);
+    if (!responseContent) {
+      console.warn(`    [AI API Error] ${model} - Malformed response.`);
+      return null;
+    }
+    console.log(`    [AI Raw Response] ${model}: ${getContentPreview(responseContent)}`);
+
+    const parsed = parseJsonResponse(responseContent);
+    const { valid, errors, value } = parsed
+      ? validateArticleJson(parsed)
+      : { valid: false, errors: ['response is not a valid JSON object'] };
+    if (valid) return value;
+
+    console.warn(`    [AI JSON Invalid] ${model} (attempt ${attempt + 1}): ${errors.join('; ')}`);
+    messages = [
+      ...request.messages,
+      { role: 'assistant', content: responseContent },
+      {
+        role: 'user',
+        content: `Your reply was invalid: ${errors.join('; ')}. Reply again with ONLY the corrected JSON object, keeping the same content.`
+      }
+    ];
+  }
+  return null;
+}
+
+/**
+ * Iterates through the list of models and their providers' API keys to get a valid article.
+ * Every attempt is recorded for usage accounting; a model over its daily budget is skipped, and
+ * generation stops altogether once the global daily budget is exceeded.
+ * @param {Array<object>} models - Resolved model entries ({ id, provider, model }) to try (in order).
+ * @param {string} text - The input text for the AI.
+ * @param {number} messageId - The Telegram message ID for logging.
+ * @param {Array<object>} attemptLog - Receives one { model, key, outcome, reason } entry per model/key tried
+ *   (outcome 'budget_exceeded' when a budget cap stopped the model).
+ * @param {object} profile - The editorial profile to write in.
+ * @param {string} language - The language to write in (ISO 639-1).
+ * @returns {Promise<object|null>} An object with { headline, content, quality } (plus the extra JSON-mode fields) or null.
+ */
+async function tryModels(models, text, messageId, attemptLog, profile, language) {
+  const mode = profile.structured ? AI_OUTPUT_MODE : 'text';
+  const reminder = mode === 'json'
+    ? fillTemplate('REMEMBER: The "body" field must be {wordMin}-{wordMax} words long.', profile)
+    : fillTemplate(profile.reminder, profile);
+  const messages = [{
+    role: "system",
+    content: buildSystemPrompt(profile, mode, language)
+  }, {
+    role: "user",
+    content: reminder ? `${text}\n\n${reminder}` : text
+  }];
+
+  // Iterate through each model in the provided list.
+  for (const { id: model, provider: providerName, model: providerModel } of models) {
+    const provider = getProvider(providerName);
+    // Iterate through each of the provider's API keys (for rotation/fallback).
+    for (const apiKey of provider.apiKeys) {
+      const budget = await checkAiBudget(model);
+      if (budget) {
+        console.warn(`  [AI Budget] ${messageId} -> ${model}: ${budget.reason}.`);
+        attemptLog.push({ model, key: keyLabel(apiKey), outcome: 'budget_exceeded', reason: budget.reason });
+        if (budget.scope === 'global') return null; // Stop generating until the next day.
+        break; // Try the next model.
+      }
+
+      const startTime = Date.now();
+      const usage = { promptTokens: 0, completionTokens: 0, cost: 0 };
+      const logAttempt = async (outcome, reason = null) => {
+        attemptLog.push({ model, key: keyLabel(apiKey), outcome, reason });
+        await recordAiAttempt({
+          messageId,
+          model,
+          provider: providerName,
+          format: profile.name,
+          language,
+          keyFingerprint: keyFingerprint(apiKey),
+          promptTokens: usage.promptTokens,
+          completionTokens: usage.completionTokens,
+          cost: usage.cost || null,
+          latencyMs: Date.now() - startTime,
+          outcome,
+          reason
+        });
+      };
+      try {
+        console.log(`  [AI Attempt] ${messageId} -> ${model} (Key: ${keyLabel(apiKey)}, Mode: ${mode}, Profile: ${profile.name}, Language: ${language})`);
+        const request = {
+          model: providerModel,
+          messages,
+          temperature: profile.temperature,
+          maxTokens: profile.maxTokens,
+          // Raw input and target shape, used by the offline template provider.
+          input: text,
+          bounds: profile.bounds,
+          bullets: profile.bullets,
+          headlineOnly: profile.headlineOnly,
+          responseFormat: mode,
+          apiKey
+        };
+
+        let article;
+        if (mode === 'json') {
+          const fields = await requestJsonArticle(provider, request, model, usage);
+          if (!fields) {
+            console.warn(`    [AI Rejected] ${model} - No valid JSON article after ${JSON_REPAIR_ATTEMPTS} repair attempt(s).`);
+            await logAttempt('rejected', 'invalid JSON article');
+            continue;
+          }
+          const { body, ...extra } = fields;
+          article = { ...extra, content: body };
+        } else {
+          const responseContent = await requestCompletion(provider, request, usage);
+          if (!responseContent) {
+            console.warn(`    [AI API Error] ${model} - Malformed response.`);
+            await logAttempt('error', 'malformed response');
+            continue; // Try next key or model.
+          }
+          console.log(`    [AI Raw Response] ${model} (${Date.now() - startTime}ms): ${getContentPreview(responseContent)}`);
+
+          article = extractTextArticle(responseContent);
+          if (!article) {
+            console.warn(`    [AI Rejected] ${model} - Missing or empty 'Headline:' line.`);
+            await logAttempt('rejected', 'missing headline');
+            continue;
+          }
         }
-        const headline = headlineMatch[1].replace(/^[\s*_\-]+|[\s*_\-]+$/g, '').substring(0, 100).trim();
-        const content = responseContent
-          .replace(new RegExp(`^.*${headlineMatch[1]}.*$`, 'mi'), '')
-          .replace(/^(?:#+\s*)?(?:headline|title|header):?\s*.+$/mi, '')
-          .replace(/(\n\s*){3,}/g, '\n\n')
-          .trim();
-        const sanitized = sanitizeContent(content);
-
-        // Validate word and character counts.
-        const wordCount = countWords(sanitized);
-        const charCount = sanitized.length;
-        console.log(`    [AI Validation] ${model}: Words: ${wordCount} | Chars: ${charCount}`);
-
-        if (wordCount < WORD_MIN || wordCount > WORD_MAX) {
-          console.warn(`    [AI Rejected] ${model} - Word count (${wordCount}) out of bounds.`);
+        const { value, error } = validateRendering(article, profile);
+        if (error) {
+          console.warn(`    [AI Rejected] ${model} - ${error}.`);
+          await logAttempt('rejected', error);
           continue;
         }
-        if (charCount < CHAR_MIN || charCount > CHAR_MAX) {
-          console.warn(`    [AI Rejected] ${model} - Char count (${charCount}) out of bounds.`);
-          continue;
+
+        // Check the text against its source; below QUALITY_MIN_SCORE it's rejected here or held by the caller.
+        const quality = await assessQuality(value, text, messageId, language);
+        if (quality) {
+          if (QUALITY_ACTION === 'reject' && isBelowQualityThreshold(quality)) {
+            console.warn(`    [AI Rejected] ${model} - Quality ${describeQuality(quality)}.`);
+            await logAttempt('rejected', `quality ${describeQuality(quality)}`);
+            continue;
+          }
+          console.log(`    [AI Quality] ${profile.name}: ${describeQuality(quality)}`);
         }
 
         // Return successful result.
-        return { headline, content: sanitized };
+        await logAttempt('success');
+        return { ...value, quality };
 
       } catch (error) {
-        console.error(`    [AI Model Error] ${model} (Key: ${apiKey.slice(0, 5)}...): ${error.message}`);
-      } finally {
-        clearTimeout(timeoutHandle);
-        if (!controller.signal.aborted) {
-          controller.abort();
-        }
+        console.error(`    [AI Model Error] ${model} (Key: ${keyLabel(apiKey)}): ${error.message}`);
+        await logAttempt('error', error.message);
       }
     }
   }
   // If no model/key succeeded, return null.
   return null;
-}
\ No newline at end of file
+}
@@ -0,0 +1,381 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Configuration ---
+// Binance and Kraken quote against a currency/stablecoin of their own choosing.
+const BINANCE_QUOTE_ASSET = process.env.BINANCE_QUOTE_ASSET || 'USDT';
+const KRAKEN_QUOTE_ASSET = process.env.KRAKEN_QUOTE_ASSET || 'USD';
+// CoinCap's v3 API needs a key (https://pro.coincap.io/dashboard).
+const COINCAP_API_KEY = process.env.COINCAP_API_KEY;
+const PRICE_FIXTURE_FILE = process.env.PRICE_FIXTURE_FILE || 'prices.fixture.json';
+
+// Health scoring: the score is a moving average of request outcomes (1 = every symbol priced,
+// 0 = failure). After PRICE_PROVIDER_MAX_FAILURES consecutive failures a source is benched for
+// PRICE_PROVIDER_COOLDOWN_MS and only tried when the healthy ones leave symbols unpriced.
+const HEALTH_SMOOTHING = 0.3; // Weight of the latest outcome in the score.
+const PRICE_PROVIDER_MAX_FAILURES = parseInt(process.env.PRICE_PROVIDER_MAX_FAILURES) || 3;
+const PRICE_PROVIDER_COOLDOWN_MS = parseInt(process.env.PRICE_PROVIDER_COOLDOWN_MS) || 5 * 60 * 1000; // 5 minutes.
+
+// Kraken uses its own codes for a few assets.
+const KRAKEN_ASSET_CODES = { BTC: 'XBT', DOGE: 'XDG' };
+
+// Pairs each Binance endpoint lists as trading (exchangeInfo URL -> Promise<Set>), read once per process.
+const binanceTradingPairs = new Map();
+
+/**
+ * Reads the pairs Binance trades, once per exchangeInfo URL. A failed read is retried on the next call.
+ * @param {string} url - The ticker endpoint URL; exchangeInfo is read from the same API base.
+ * @param {number} timeout - Request timeout in ms.
+ * @returns {Promise<Set<string>|null>} The trading pair names (e.g., 'BTCUSDT'), or null if the URL is not a
+ *   /ticker/ endpoint (a proxy) and there is no exchangeInfo to read.
+ */
+async function getBinanceTradingPairs(url, timeout) {
+  const tickerPath = /\/ticker\/[^/?]*(\?.*)?$/;
+  if (!tickerPath.test(url)) return null;
+  const infoUrl = url.replace(tickerPath, '/exchangeInfo');
+  if (!binanceTradingPairs.has(infoUrl)) {
+    const pairs = axios.get(infoUrl, { timeout }).then(response => {
+      if (!Array.isArray(response.data?.symbols)) throw new Error('Unexpected exchangeInfo format');
+      return new Set(response.data.symbols.filter(pair => pair.status === 'TRADING').map(pair => pair.symbol));
+    });
+    pairs.catch(() => binanceTradingPairs.delete(infoUrl));
+    binanceTradingPairs.set(infoUrl, pairs);
+  }
+  return binanceTradingPairs.get(infoUrl);
+}
+
+/**
+ * Parses an optional numeric field of a response.
+ * @param {*} raw - The raw value.
+ * @returns {number|null} The number, or null if missing or not finite.
+ */
+const optionalNumber = (raw) => {
+  const value = parseFloat(raw);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Collects the valid quotes of a parsed response.
+ * @param {Array<[string, string, object]>} entries - [symbol, currency, { price, change24h, volume24h, marketCap }]
+ *   with raw values; only 'price' is required.
+ * @returns {object} Symbol -> currency -> quote, for positive, finite prices only.
+ */
+const validQuotes = (entries) => {
+  const quotes = {};
+  for (const [symbol, currency, raw] of entries) {
+    const price = optionalNumber(raw.price);
+    if (price === null || price <= 0) continue;
+    quotes[symbol] = quotes[symbol] || {};
+    quotes[symbol][currency] = {
+      price,
+      change24h: optionalNumber(raw.change24h),
+      volume24h: optionalNumber(raw.volume24h),
+      marketCap: optionalNumber(raw.marketCap)
+    };
+  }
+  return quotes;
+};
+
+// --- Adapters ---
+// Each adapter maps the tracked symbols to the provider's identifiers, calls its API and parses
+// the response into { SYMBOL: { currency: quote } }. Symbols the provider doesn't know are simply
+// left out. 'currencies' lists the quote currencies an adapter can serve (null: any).
+
+const ADAPTERS = {
+  coingecko: {
+    defaultUrl: 'https://api.coingecko.com/api/v3/simple/price',
+    hosts: ['coingecko.com'],
+    currencies: null,
+
+    /**
+     * Fetches prices, 24h change, volume and market cap from CoinGecko's simple/price endpoint.
+     * @param {string} url - The endpoint URL.
+     * @param {object} symbolMap - Symbol -> CoinGecko ID.
+     * @param {string[]} currencies - Quote currencies (e.g., ['usd', 'eur']).
+     * @param {number} timeout - Request timeout in ms.
+     * @returns {Promise<object>} Symbol -> currency -> quote.
+     */
+    async fetchPrices(url, symbolMap, currencies, timeout) {
+      const response = await axios.get(url, {
+        params: {
+          ids: Object.values(symbolMap).join(','),
+          vs_currencies: currencies.join(','),
+          include_market_cap: true,
+          include_24hr_vol: true,
+          include_24hr_change: true,
+          precision: 2
+        },
+        timeout
+      });
+      return validQuotes(Object.entries(symbolMap).flatMap(([symbol, apiId]) => currencies.map(currency => {
+        const data = response.data?.[apiId] || {};
+        return [symbol, currency, {
+          price: data[currency],
+          change24h: data[`${currency}_24h_change`],
+          volume24h: data[`${currency}_24h_vol`],
+          marketCap: data[`${currency}_market_cap`]
+        }];
+      })));
+    }
+  },
+
+  binance: {
+    defaultUrl: 'https://api.binance.com/api/v3/ticker/24hr',
+    hosts: ['binance.com', 'binance.us'],
+    currencies: ['usd'],
+
+    /**
+     * Fetches prices from Binance's ticker/24hr endpoint (<SYMBOL><BINANCE_QUOTE_ASSET> pairs), with the
+     * 24h change and quote volume. The plain ticker/price endpoint works too (price only).
+     * Binance rejects a whole 'symbols' request if one pair is unknown, so pairs it doesn't trade (per
+     * exchangeInfo, read once) are left out of the request.
+     * @param {string} url - The endpoint URL.
+     * @param {object} symbolMap - Symbol -> CoinGecko ID (only the symbols are used).
+     * @param {string[]} currencies - Quote currencies (only 'usd' is served).
+     * @param {number} timeout - Request timeout in ms.
+     * @returns {Promise<object>} Symbol -> currency -> quote.
+     */
+    async fetchPrices(url, symbolMap, currencies, timeout) {
+      const trading = await getBinanceTradingPairs(url, timeout);
+      const pairs = Object.fromEntries(Object.keys(symbolMap)
+        .map(symbol => [`${symbol}${BINANCE_QUOTE_ASSET}`, symbol])
+        .filter(([pair]) => !trading || trading.has(pair)));
+      if (Object.keys(pairs).length === 0) return {};
+      const response = await axios.get(url, { params: { symbols: JSON.stringify(Object.keys(pairs)) }, timeout });
+      if (!Array.isArray(response.data)) throw new Error('Unexpected response format');
+      return validQuotes(response.data.filter(ticker => pairs[ticker.symbol]).map(ticker => [pairs[ticker.symbol], 'usd', {
+        price: ticker.lastPrice ?? ticker.price,
+        change24h: ticker.priceChangePercent,
+        volume24h: ticker.quoteVolume
+      }]));
+    }
+  },
+
+  kraken: {
+    defaultUrl: 'https://api.kraken.com/0/public/Ticker',
+    hosts: ['kraken.com'],
+    currencies: ['usd'],
+
+    /**
+     * Fetches last-trade prices and 24h volume from Kraken's public Ticker endpoint. Kraken has no
+     * rolling 24h change (its open price is from midnight UTC), so change24h stays null.
+     * Kraken answers with its canonical pair names (XBTUSD -> XXBTZUSD), so both forms are matched.
+     * All tickers are fetched and filtered: Kraken fails a whole 'pair' request if one pair is unknown.
+     * @param {string} url - The endpoint URL.
+     * @param {object} symbolMap - Symbol -> CoinGecko ID (only the symbols are used).
+     * @param {string[]} currencies - Quote currencies (only 'usd' is served).
+     * @param {number} timeout - Request timeout in ms.
+     * @returns {Promise<object>} Symbol -> currency -> quote.
+     */
+    async fetchPrices(url, symbolMap, currencies, timeout) {
+      const pairs = Object.keys(symbolMap).map(symbol => {
+        const asset = KRAKEN_ASSET_CODES[symbol] || symbol;
+        return { symbol, names: [`${asset}${KRAKEN_QUOTE_ASSET}`, `X${asset}Z${KRAKEN_QUOTE_ASSET}`] };
+      });
+      const response = await axios.get(url, { timeout });
+      const { error, result } = response.data || {};
+      if (!result) throw new Error(error?.join('; ') || 'Unexpected response format');
+      return validQuotes(pairs.map(({ symbol, names }) => {
+        const ticker = result[names[0]] || result[names[1]];
+        const price = ticker?.c?.[0]; // 'c' is the last trade: [price, volume].
+        const baseVolume = optionalNumber(ticker?.v?.[1]); // 'v' is [today, last 24h], in the base asset.
+        return [symbol, 'usd', { price, volume24h: baseVolume !== null ? baseVolume * parseFloat(price) : null }];
+      }));
+    }
+  },
+
+  coincap: {
+    defaultUrl: 'https://rest.coincap.io/v3/assets',
+    hosts: ['coincap.io'],
+    currencies: ['usd'],
+
+    /**
+     * Fetches prices, 24h change, volume and market cap from CoinCap's assets endpoint. Its asset
+     * IDs mostly match CoinGecko's; assets are also matched on their ticker.
+     * @param {string} url - The endpoint URL.
+     * @param {object} symbolMap - Symbol -> CoinGecko ID.
+     * @param {string[]} currencies - Quote currencies (only 'usd' is served).
+     * @param {number} timeout - Request timeout in ms.
+     * @returns {Promise<object>} Symbol -> currency -> quote.
+     */
+    async fetchPrices(url, symbolMap, currencies, timeout) {
+      const response = await axios.get(url, {
+        params: { ids: Object.values(symbolMap).join(',') },
+        headers: COINCAP_API_KEY ? { Authorization: `Bearer ${COINCAP_API_KEY}` } : {},
+        timeout
+      });
+      const assets = response.data?.data;
+      if (!Array.isArray(assets)) throw new Error('Unexpected response format');
+      return validQuotes(Object.entries(symbolMap).map(([symbol, apiId]) => {
+        const asset = assets.find(a => a.id === apiId) || assets.find(a => a.symbol?.toUpperCase() === symbol) || {};
+        return [symbol, 'usd', {
+          price: asset.priceUsd,
+          change24h: asset.changePercent24Hr,
+          volume24h: asset.volumeUsd24Hr,
+          marketCap: asset.marketCapUsd
+        }];
+      }));
+    }
+  },
+
+  fixture: {
+    defaultUrl: PRICE_FIXTURE_FILE,
+    hosts: [],
+    currencies: null,
+
+    /**
+     * Reads prices from a local JSON file, for offline development and CI. Per symbol, the file
+     * holds a USD price or an object of quotes per currency, each a price or a full quote:
+     *   { "BTC": 65000, "ETH": { "usd": { "price": 3000, "change24h": -1.2 }, "eur": 2760 } }
+     * The array form [{ "symbol": "BTC", "price": 65000 }] is accepted too. The file is re-read
+     * on every poll, so it can be edited while the app runs.
+     * @param {string} path - The file path.
+     * @param {object} symbolMap - Symbol -> CoinGecko ID (only the symbols are used).
+     * @param {string[]} currencies - Quote currencies.
+     * @returns {Promise<object>} Symbol -> currency -> quote.
+     */
+    async fetchPrices(path, symbolMap, currencies) {
+      const data = JSON.parse(await fs.readFile(path, 'utf8'));
+      const fixture = Array.isArray(data) ? Object.fromEntries(data.map(p => [p.symbol, p.price])) : data;
+      return validQuotes(Object.keys(symbolMap).flatMap(symbol => currencies.map(currency => {
+        const entry = fixture[symbol];
+        const quote = typeof entry === 'object' && entry !== null ? entry[currency] : (currency === 'usd' ? entry : undefined);
+        return [symbol, currency, typeof quote === 'object' && quote !== null ? quote : { price: quote }];
+      })));
+    }
+  }
+};
+
+/**
+ * Parses a price source entry: a provider name ('kraken'), 'provider:url' (a custom endpoint or,
+ * for 'fixture', a file path), or a bare URL whose provider is recognized by its host. Bare URLs
+ * of unknown hosts are assumed to speak CoinGecko's format, as PRICE_API_URLS entries always did.
+ * @param {string} entry - The entry from configuration.
+ * @returns {object} { id, provider, url }.
+ */
+const parseSourceEntry = (entry) => {
+  const trimmed = entry.trim();
+  if (ADAPTERS[trimmed]) return { id: trimmed, provider: trimmed, url: ADAPTERS[trimmed].defaultUrl };
+
+  const separatorIndex = trimmed.indexOf(':');
+  const prefix = separatorIndex > 0 ? trimmed.slice(0, separatorIndex) : null;
+  if (prefix && ADAPTERS[prefix]) return { id: trimmed, provider: prefix, url: trimmed.slice(separatorIndex + 1) };
+
+  let host = '';
+  try {
+    host = new URL(trimmed).hostname;
+  } catch (_) { /* Not a URL: falls through to the default. */ }
+  const provider = Object.keys(ADAPTERS).find(name => ADAPTERS[name].hosts.some(h => host === h || host.endsWith(`.${h}`)));
+  return { id: trimmed, provider: provider || 'coingecko', url: trimmed };
+};
+
+/**
+ * Creates a price source: an adapter bound to one endpoint, with its own health record.
+ * @param {object} entry - A parsed entry ({ id, provider, url }).
+ * @returns {object} The source ({ id, provider, url, health, supports, isBenched, fetchPrices }).
+ */
+const createPriceSource = ({ id, provider, url }) => {
+  const adapter = ADAPTERS[provider];
+  const health = {
+    score: 1,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    benchedUntil: null,
+    lastLatencyMs: null,
+    lastError: null,
+    lastSuccessAt: null,
+    lastFailureAt: null
+  };
+
+  /**
+   * Records the outcome of a request in the health record.
+   * @param {number} outcome - 1 for a complete result down to 0 for a failure.
+   * @param {number} latencyMs - Request duration.
+   * @param {string|null} error - The error message, if the request failed.
+   */
+  const record = (outcome, latencyMs, error) => {
+    health.score = health.score * (1 - HEALTH_SMOOTHING) + outcome * HEALTH_SMOOTHING;
+    health.lastLatencyMs = latencyMs;
+    if (error) {
+      health.failures++;
+      health.consecutiveFailures++;
+      health.lastError = error;
+      health.lastFailureAt = new Date().toISOString();
+      if (health.consecutiveFailures >= PRICE_PROVIDER_MAX_FAILURES) {
+        health.benchedUntil = new Date(Date.now() + PRICE_PROVIDER_COOLDOWN_MS).toISOString();
+      }
+    } else {
+      health.successes++;
+      health.consecutiveFailures = 0;
+      health.benchedUntil = null;
+      health.lastSuccessAt = new Date().toISOString();
+    }
+  };
+
+  return {
+    id,
+    provider,
+    url,
+    health,
+
+    /**
+     * Whether the source can quote prices in a currency.
+     * @param {string} currency - The currency code (e.g., 'eur').
+     * @returns {boolean} True if supported.
+     */
+    supports: (currency) => !adapter.currencies || adapter.currencies.includes(currency),
+
+    /**
+     * Whether the source is benched after repeated failures.
+     * @returns {boolean} True while its cooldown lasts.
+     */
+    isBenched: () => Boolean(health.benchedUntil) && Date.parse(health.benchedUntil) > Date.now(),
+
+    /**
+     * Fetches quotes and updates the health record. A response without a single usable price
+     * counts as a failure.
+     * @param {object} symbolMap - Symbol -> CoinGecko ID, for the symbols still needed.
+     * @param {string[]} currencies - Quote currencies still needed (the caller passes supported ones only).
+     * @param {number} timeout - Request timeout in ms.
+     * @returns {Promise<object>} Symbol -> currency -> quote.
+     * @throws {Error} If the request fails or yields no prices.
+     */
+    async fetchPrices(symbolMap, currencies, timeout) {
+      const startedAt = Date.now();
+      try {
+        const quotes = await adapter.fetchPrices(url, symbolMap, currencies, timeout);
+        const found = Object.values(quotes).reduce((count, byCurrency) => count + Object.keys(byCurrency).length, 0);
+        if (found === 0) throw new Error('No usable prices in response');
+        record(found / (Object.keys(symbolMap).length * currencies.length), Date.now() - startedAt, null);
+        return quotes;
+      } catch (error) {
+        record(0, Date.now() - startedAt, error.message);
+        throw error;
+      }
+    }
+  };
+};
+
+// Supported provider names.
+export const PRICE_PROVIDERS = Object.keys(ADAPTERS);
+
+/**
+ * Creates the configured price sources, in order of preference.
+ * @param {string[]} entries - Source entries (see parseSourceEntry).
+ * @returns {Array<object>} The sources.
+ */
+export const resolvePriceSources = (entries) => entries.map(entry => createPriceSource(parseSourceEntry(entry)));
+
+/**
+ * Orders sources for a fetch: healthy ones in configured order, then benched ones by health score.
+ * @param {Array<object>} sources - The sources, in order of preference.
+ * @returns {Array<object>} The sources in the order to try them.
+ */
+export const rankPriceSources = (sources) => [
+  ...sources.filter(source => !source.isBenched()),
+  ...sources.filter(source => source.isBenched()).sort((a, b) => b.health.score - a.health.score)
+];
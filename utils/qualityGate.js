@@ -0,0 +1,232 @@
+import dotenv from 'dotenv';
+import { detectLanguage } from './language.js';
+
+dotenv.config();
+
+// --- Configuration ---
+// Every generated text is checked against its source (the message plus the linked page): numbers,
+// prices, percentages, proper nouns and quotes the source doesn't contain lower its quality score (0-1).
+// Set QUALITY_CHECK_ENABLED=false to turn this off. (Default: true)
+export const QUALITY_CHECK_ENABLED = process.env.QUALITY_CHECK_ENABLED !== 'false';
+// Articles scoring below QUALITY_MIN_SCORE are rejected (the next model/key is tried) or held for review.
+const minScore = parseFloat(process.env.QUALITY_MIN_SCORE);
+export const QUALITY_MIN_SCORE = isNaN(minScore) ? 0.6 : minScore;
+export const QUALITY_ACTION = process.env.QUALITY_ACTION === 'reject' ? 'reject' : 'hold';
+// Optional second model ('provider:model', as in AI_MODELS) asked to list contradictions with the source.
+export const QUALITY_CHECK_MODEL = (process.env.QUALITY_CHECK_MODEL || '').trim();
+
+// Score deducted per unsupported claim, by type.
+const ISSUE_PENALTIES = {
+  number: 0.15,
+  price: 0.15,
+  percentage: 0.15,
+  proper_noun: 0.1,
+  quote: 0.25,
+  contradiction: 0.25
+};
+const MAX_REPORTED_ISSUES = 20;
+
+// Number words, by the factor they stand for.
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3, mil: 1e3, tausend: 1e3, mille: 1e3,
+  m: 1e6, mn: 1e6, million: 1e6, millions: 1e6, millones: 1e6, millionen: 1e6, milioni: 1e6, milhões: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9, billions: 1e9, milliard: 1e9, milliards: 1e9, milliarde: 1e9, milliarden: 1e9, miliardi: 1e9,
+  trillion: 1e12, trillions: 1e12, billionen: 1e12
+};
+// A number: optional currency sign, digits (with ',' '.' or space grouping), optional unit or percent sign.
+const NUMBER_PATTERN = /([$€£¥])?\s?(?<![\d.,])(\d{1,3}(?:[ \u00a0\u202f]\d{3})+(?:[.,]\d+)?|\d[\d.,]*\d|\d)(?![\d])[ \u00a0]?(%|percent\b|per cent\b|por ciento\b|prozent\b|pour cent\b|per cento\b|[\p{L}]+)?/giu;
+const PERCENT_WORDS = /^(%|percent|per cent|por ciento|prozent|pour cent|per cento)$/;
+const PRICE_WORDS = /^(usd|usdt|usdc|eur|dollars?|dólares|euros?)$/;
+// Capitalized words (or tickers), with inner hyphens, apostrophes or dots ('Bitcoin-Kurs', 'U.S.').
+const PROPER_NOUN_PATTERN = /\p{Lu}[\p{L}\p{N}]*(?:[-'’.]\p{L}[\p{L}\p{N}]*)*/gu;
+const QUOTE_PATTERN = /["“„«]([^"“”„«»\n]+)["”“»]/g;
+const MIN_QUOTE_WORDS = 3;
+
+/**
+ * Removes links, which carry numbers and names that aren't claims.
+ * @param {string} text - The text.
+ * @returns {string} The text without URLs.
+ */
+const stripUrls = (text) => String(text || '').replace(/https?:\/\/\S+/g, ' ');
+
+/**
+ * Lowercases text and collapses punctuation and whitespace, for substring comparisons.
+ * @param {string} text - The text.
+ * @returns {string} The normalized text.
+ */
+const normalizeText = (text) => ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+
+/**
+ * The values a written number may stand for: '70.000' is 70000 in German but 70 in English,
+ * so both are kept when the grouping is ambiguous.
+ * @param {string} digits - The number as written (digits and separators).
+ * @returns {Array<{value: number, precision: number}>} Candidate values with their count of significant digits.
+ */
+function numberReadings(digits) {
+  const compact = digits.replace(/[ \u00a0\u202f]/g, '');
+  const readings = new Set();
+  const commas = (compact.match(/,/g) || []).length;
+  const dots = (compact.match(/\./g) || []).length;
+
+  if (commas === 0 && dots === 0) {
+    readings.add(compact);
+  } else if (commas > 0 && dots > 0) {
+    // The last separator is the decimal point.
+    const decimal = compact.lastIndexOf(',') > compact.lastIndexOf('.') ? ',' : '.';
+    const grouping = decimal === ',' ? '.' : ',';
+    readings.add(compact.split(grouping).join('').replace(decimal, '.'));
+  } else {
+    const separator = commas > 0 ? ',' : '.';
+    const groups = compact.split(separator);
+    const groupedThousands = groups.slice(1).every(group => group.length === 3);
+    if (groupedThousands) readings.add(groups.join(''));
+    if (groups.length === 2) readings.add(groups.join('.'));
+  }
+
+  return [...readings].map(reading => ({
+    value: parseFloat(reading),
+    precision: Math.max(1, reading.replace('.', '').replace(/^0+/, '').replace(/0+$/, '').length)
+  })).filter(({ value }) => Number.isFinite(value));
+}
+
+/**
+ * Finds the numbers in a text.
+ * @param {string} text - The text.
+ * @returns {Array<{raw: string, type: string, readings: Array<{value: number, precision: number}>}>}
+ *   The numbers ('type' is 'price', 'percentage' or 'number'); values include units like 'k' or 'million'.
+ */
+function extractNumbers(text) {
+  const numbers = [];
+  for (const match of stripUrls(text).matchAll(NUMBER_PATTERN)) {
+    const [, currency = '', digits, unit = ''] = match;
+    const unitWord = unit.toLowerCase();
+    const percent = PERCENT_WORDS.test(unitWord);
+    const multiplier = MULTIPLIERS[unitWord] || 1;
+    const priceWord = PRICE_WORDS.test(unitWord);
+    const type = percent ? 'percentage' : (currency || priceWord ? 'price' : 'number');
+    const raw = `${currency}${digits}${percent || priceWord || multiplier > 1 ? ` ${unit}`.replace(' %', '%') : ''}`;
+    const readings = numberReadings(digits).map(({ value, precision }) => ({ value: value * multiplier, precision }));
+    // Small bare integers are mostly counts and list items, often spelled out in the source.
+    if (type === 'number' && multiplier === 1 && readings.every(({ value }) => Number.isInteger(value) && value <= 10)) continue;
+    numbers.push({ raw, type, readings });
+  }
+  return numbers;
+}
+
+/**
+ * Whether a number from the output matches one of the source: equal, or the source value rounded or
+ * truncated to the output's precision ('1.2 billion' for 1,234,567,890).
+ * @param {object} number - A number from the output (see extractNumbers).
+ * @param {number[]} sourceValues - All values read from the source.
+ * @returns {boolean} True if supported.
+ */
+const isSupportedNumber = (number, sourceValues) => number.readings.some(({ value, precision }) =>
+  sourceValues.some(sourceValue => {
+    const unit = 10 ** (Math.floor(Math.log10(Math.abs(sourceValue) || 1)) - precision + 1);
+    const rounded = Number(sourceValue.toPrecision(Math.min(precision, 21)));
+    const truncated = Math.trunc(sourceValue / unit) * unit;
+    return [sourceValue, rounded, truncated].some(candidate => Math.abs(candidate - value) <= Math.abs(value) * 1e-9);
+  }));
+
+/**
+ * Finds capitalized words that don't start a sentence, line or bullet.
+ * @param {string} text - The text.
+ * @returns {string[]} The words, possessive "'s" removed.
+ */
+function extractProperNouns(text) {
+  const nouns = [];
+  const cleaned = stripUrls(text);
+  for (const match of cleaned.matchAll(PROPER_NOUN_PATTERN)) {
+    const gap = cleaned.slice(0, match.index).match(/[\s"“„«(\-–—*]*$/u)[0];
+    const before = cleaned.slice(0, match.index - gap.length);
+    if (before === '' || gap.includes('\n') || /[.!?:;]$/.test(before)) continue; // Sentence, line or bullet start.
+    const word = match[0].replace(/['’]s$/, '').replace(/\.$/, '');
+    if (word.length < 2) continue;
+    nouns.push(word);
+  }
+  return nouns;
+}
+
+/**
+ * Finds quoted passages of at least MIN_QUOTE_WORDS words.
+ * @param {string} text - The text.
+ * @returns {string[]} The quoted passages.
+ */
+const extractQuotes = (text) => [...String(text || '').matchAll(QUOTE_PATTERN)]
+  .map(match => match[1].trim())
+  .filter(quote => quote.split(/\s+/).length >= MIN_QUOTE_WORDS);
+
+/**
+ * Lists the claims of a generated text that its source doesn't support: numbers, prices and percentages
+ * (in the headline and body), and, when both are in the same language, proper nouns (in the body) and quotes.
+ * @param {object} article - The generated { headline, content }.
+ * @param {string} source - The AI input (message text plus linked page).
+ * @param {string} language - The language the text was written in (ISO 639-1).
+ * @returns {Array<{type: string, value: string}>} The unsupported claims, each reported once.
+ */
+export function findUnsupportedClaims(article, source, language) {
+  const output = `${article.headline || ''}\n${article.content || ''}`;
+  const issues = [];
+
+  const sourceValues = extractNumbers(source).flatMap(number => number.readings.map(({ value }) => value));
+  for (const number of extractNumbers(output)) {
+    if (!isSupportedNumber(number, sourceValues)) issues.push({ type: number.type, value: number.raw });
+  }
+
+  // Names and quotes are translated along with the text, so they can only be compared within one language.
+  if (detectLanguage(source) === language) {
+    const sourceText = normalizeText(stripUrls(source));
+    const sourceWords = new Set(sourceText.trim().split(' '));
+    for (const noun of extractProperNouns(article.content)) {
+      const parts = normalizeText(noun).trim().split(' ');
+      if (!parts.every(part => sourceWords.has(part)) && !sourceText.includes(normalizeText(noun))) {
+        issues.push({ type: 'proper_noun', value: noun });
+      }
+    }
+    for (const quote of extractQuotes(output)) {
+      if (!sourceText.includes(normalizeText(quote))) issues.push({ type: 'quote', value: quote });
+    }
+  }
+
+  const seen = new Set();
+  return issues.filter(({ type, value }) => {
+    const key = `${type}|${value.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Scores a text by its unsupported claims and contradictions.
+ * @param {Array<{type: string, value: string}>} issues - The issues found.
+ * @returns {number} The score: 1 without issues, down to 0.
+ */
+export const scoreQuality = (issues) => Math.max(0, Math.round((1 - issues.reduce((sum, { type }) => sum + (ISSUE_PENALTIES[type] || 0), 0)) * 100) / 100);
+
+/**
+ * Builds the quality record stored with an article.
+ * @param {Array<{type: string, value: string}>} issues - The issues found.
+ * @param {string|null} verifiedBy - The model that checked for contradictions, or null.
+ * @returns {object} { score, issues, verifiedBy, checkedAt }.
+ */
+export const buildQualityReport = (issues, verifiedBy) => ({
+  score: scoreQuality(issues),
+  issues: issues.slice(0, MAX_REPORTED_ISSUES),
+  verifiedBy,
+  checkedAt: new Date().toISOString()
+});
+
+/**
+ * Whether a quality report falls below QUALITY_MIN_SCORE.
+ * @param {object|null|undefined} quality - The report (see buildQualityReport), or nothing if unchecked.
+ * @returns {boolean} True if checked and below the threshold.
+ */
+export const isBelowQualityThreshold = (quality) => Boolean(quality) && quality.score < QUALITY_MIN_SCORE;
+
+/**
+ * Summarizes the issues of a report for logs and attempt records.
+ * @param {object} quality - The report.
+ * @returns {string} E.g. "score 0.45: number '12%', quote 'we will ...'".
+ */
+export const describeQuality = (quality) => `score ${quality.score}${quality.issues.length > 0 ? `: ${quality.issues.slice(0, 5).map(({ type, value }) => `${type} '${value.slice(0, 40)}'`).join(', ')}` : ''}`;
@@ -1,6 +1,7 @@
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import crypto from 'crypto';
 
 // --- Helmet Configuration ---
 // Helmet helps secure Express apps by setting various HTTP headers.
@@ -63,6 +64,30 @@ export const ipRateLimiter = rateLimit({
   }
 });
 
+// --- Admin Authentication ---
+
+/**
+ * Admin authentication middleware: requires 'Authorization: Bearer <ADMIN_API_TOKEN>'.
+ * The admin API is disabled (503) when ADMIN_API_TOKEN is not set.
+ * The optional 'X-Admin-User' header names the moderator in audit records (req.adminUser).
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ success: false, error: 'Admin API is disabled (ADMIN_API_TOKEN not set)' });
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  // Compare hashes so the check takes constant time regardless of token length.
+  const digest = (value) => crypto.createHash('sha256').update(value || '').digest();
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  req.adminUser = (req.headers['x-admin-user'] || 'admin').toString().substring(0, 64);
+  next();
+};
+
 // --- Security Middleware Array ---
 // Exports an array containing all security middleware for easy application in app.js.
 export const securityMiddleware = [
@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Tracked Symbol Universe ---
+// Parse crypto symbols and create a mapping (e.g., BTC -> bitcoin) from CRYPTO_SYMBOLS.
+const CRYPTO_SYMBOLS = process.env.CRYPTO_SYMBOLS?.split(',') || [];
+export const SYMBOL_MAP = Object.fromEntries(
+  CRYPTO_SYMBOLS
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([symbol, apiId]) => symbol && apiId)
+);
+
+// The tracked ticker symbols (e.g., ['BTC', 'ETH', 'SOL']).
+export const TRACKED_SYMBOLS = Object.keys(SYMBOL_MAP);
+
+/**
+ * Escapes a string for literal use inside a RegExp.
+ * @param {string} str - The string to escape.
+ * @returns {string} The escaped string.
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One matcher per tracked symbol, built once:
+// - the ticker in upper case (BTC) or with a cashtag in any case ($btc),
+// - the CoinGecko ID as a word, case-insensitive, with '-' also matching a space (usd-coin / USD Coin).
+const SYMBOL_MATCHERS = Object.entries(SYMBOL_MAP).map(([symbol, apiId]) => ({
+  symbol,
+  patterns: [
+    new RegExp(`(?<![A-Za-z0-9$])${escapeRegExp(symbol)}(?![A-Za-z0-9])`),
+    new RegExp(`\\$${escapeRegExp(symbol)}(?![A-Za-z0-9])`, 'i'),
+    new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(apiId).replace(/-/g, '[-\\s]')}(?![A-Za-z0-9])`, 'i')
+  ]
+}));
+
+/**
+ * Finds the tracked symbols mentioned in a text.
+ * @param {string} text - The text to scan (message, headline, article body...).
+ * @param {string[]} [hints=[]] - Extra candidate tickers (e.g., from the AI); only tracked ones are kept.
+ * @returns {string[]} The mentioned symbols, in CRYPTO_SYMBOLS order.
+ */
+export function extractSymbols(text, hints = []) {
+  const hinted = new Set(hints.map(hint => String(hint).replace(/^\$/, '').toUpperCase()));
+  return SYMBOL_MATCHERS
+    .filter(({ symbol, patterns }) => hinted.has(symbol) || patterns.some(pattern => pattern.test(text || '')))
+    .map(({ symbol }) => symbol);
+}
@@ -42,4 +42,103 @@ export function sanitizeContent(content, options = {}) {
     // Fallback: return the original content (truncated) on error.
     return content.substring(0, options.maxLength || 5000);
   }
-}
\ No newline at end of file
+}
+
+// --- Structured Article Output ---
+const ARTICLE_SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+
+/**
+ * Parses a JSON object out of a model response.
+ * Tolerates surrounding text and markdown code fences around the object.
+ * @param {string} text - The raw model output.
+ * @returns {object|null} The parsed object, or null if no valid JSON object was found.
+ */
+export function parseJsonResponse(text) {
+  if (!text) return null;
+  const stripped = text.replace(/```(?:json)?/gi, '');
+  const start = stripped.indexOf('{');
+  const end = stripped.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(stripped.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Checks a parsed JSON article against the expected schema and normalizes it.
+ * Required: headline, body (non-empty strings). Optional: summary (string),
+ * tickers and tags (string arrays), sentiment (bullish/bearish/neutral).
+ * @param {object} data - The parsed JSON object.
+ * @returns {{valid: boolean, errors: string[], value: object|null}} The result; 'value' is set when valid.
+ */
+export function validateArticleJson(data) {
+  const errors = [];
+  const isStringArray = (v) => Array.isArray(v) && v.every(item => typeof item === 'string');
+
+  if (typeof data.headline !== 'string' || !data.headline.trim()) errors.push("'headline' must be a non-empty string");
+  if (typeof data.body !== 'string' || !data.body.trim()) errors.push("'body' must be a non-empty string");
+  if (data.summary !== undefined && typeof data.summary !== 'string') errors.push("'summary' must be a string");
+  if (data.tickers !== undefined && !isStringArray(data.tickers)) errors.push("'tickers' must be an array of strings");
+  if (data.tags !== undefined && !isStringArray(data.tags)) errors.push("'tags' must be an array of strings");
+  if (data.sentiment !== undefined && !ARTICLE_SENTIMENTS.includes(String(data.sentiment).toLowerCase())) {
+    errors.push(`'sentiment' must be one of: ${ARTICLE_SENTIMENTS.join(', ')}`);
+  }
+  if (errors.length > 0) return { valid: false, errors, value: null };
+
+  const uniqueClean = (list, transform) => [...new Set((list || []).map(item => transform(item.trim())).filter(Boolean))];
+  return {
+    valid: true,
+    errors,
+    value: {
+      headline: data.headline.trim().substring(0, 100),
+      body: data.body.trim(),
+      summary: sanitizeContent(data.summary || '', { maxLength: 500 }).trim(),
+      tickers: uniqueClean(data.tickers, t => t.replace(/^\$/, '').toUpperCase()).slice(0, 20),
+      sentiment: data.sentiment ? String(data.sentiment).toLowerCase() : 'neutral',
+      tags: uniqueClean(data.tags, t => t.toLowerCase()).slice(0, 10)
+    }
+  };
+}
+
+// --- Market Scoring ---
+export const IMPACT_TIERS = ['low', 'medium', 'high', 'critical'];
+export const ARTICLE_CATEGORIES = [
+  'regulation', 'hack', 'etf', 'listing', 'macro', 'institutional', 'adoption', 'defi', 'technology', 'legal', 'market', 'other'
+];
+
+/**
+ * Checks a parsed market score against the expected schema and normalizes it.
+ * Required: sentiment (number from -1, very bearish, to 1, very bullish), impact (IMPACT_TIERS)
+ * and category (ARTICLE_CATEGORIES). Optional: rationale (string).
+ * @param {object} data - The parsed JSON object.
+ * @returns {{valid: boolean, errors: string[], value: object|null}} The result; 'value' is set when valid.
+ */
+export function validateArticleScore(data) {
+  const errors = [];
+  const sentiment = typeof data.sentiment === 'string' ? parseFloat(data.sentiment) : data.sentiment;
+  const impact = String(data.impact ?? '').toLowerCase();
+  const category = String(data.category ?? '').toLowerCase();
+
+  if (typeof sentiment !== 'number' || !Number.isFinite(sentiment) || sentiment < -1 || sentiment > 1) {
+    errors.push("'sentiment' must be a number from -1 to 1");
+  }
+  if (!IMPACT_TIERS.includes(impact)) errors.push(`'impact' must be one of: ${IMPACT_TIERS.join(', ')}`);
+  if (!ARTICLE_CATEGORIES.includes(category)) errors.push(`'category' must be one of: ${ARTICLE_CATEGORIES.join(', ')}`);
+  if (data.rationale !== undefined && typeof data.rationale !== 'string') errors.push("'rationale' must be a string");
+  if (errors.length > 0) return { valid: false, errors, value: null };
+
+  return {
+    valid: true,
+    errors,
+    value: {
+      sentiment: Math.round(sentiment * 100) / 100,
+      impact,
+      category,
+      rationale: sanitizeContent(data.rationale || '', { maxLength: 300 }).trim()
+    }
+  };
+}